@@ -0,0 +1,364 @@
+/**
+ * CartWhisper 推荐质量离线评估
+ *
+ * 对 test-data/products-*.json 中的商品目录直接运行推荐流程（不需要数据库和服务），
+ * 统计规则违例、覆盖率、多样性和 token 成本，输出可 diff 的 JSON / Markdown 报告。
+ *
+ * 违例按商家自己填写的 productType / tags 判断，不使用生成时的分类器（分类器已在候选筛选时
+ * 排除了它认为性别不符、同类的商品，用它检查只会得到 0）。
+ *
+ * 用法:
+ *   node scripts/evaluate-recommendations.js [options]
+ *
+ * 选项:
+ *   --provider=mock|deepseek|openai  AI provider（默认 mock，不消耗 token）
+ *   --engine=ai|heuristic            推荐引擎（默认 ai）
+ *   --batch-size=N                   每次 AI 调用的源商品数（默认 1）
+ *   --count=N                        每个商品生成的推荐数（默认 3，至少 1）
+ *   --limit=N                        每个目录评估的源商品数（默认 20，0 表示全部）
+ *   --files=a.json,b.json            只评估指定的目录文件（默认 test-data/products-*.json）
+ *   --prompt=template.json           使用指定的 prompt 模板（格式同 POST /api/admin/prompt-templates）
+ *   --max-price-ratio=N              推荐商品价格超过源商品 N 倍视为价格异常（默认 2）
+ *   --label=name                     报告名称（默认 <engine>-<provider>）
+ *   --out=dir                        报告目录（默认 reports/）
+ *   --verbose                        输出推荐生成日志
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  generateRecommendations,
+  getAIProvider,
+  getShopClassifier,
+  normalizeCollections,
+  validatePromptTemplate,
+  toPromptTemplate,
+  formatPromptVersion,
+  BUILTIN_PROMPT_TEMPLATE,
+  RECOMMENDATION_ENGINES,
+  SyncMonitor
+} = require('../src/index.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// 颜色输出
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+};
+
+function log(msg, color = 'reset') {
+  process.stdout.write(`${colors[color]}${msg}${colors.reset}\n`);
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+// 与同步接口一致的商品格式
+function loadCatalog(file) {
+  const products = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return products.map(p => ({
+    ...p,
+    productId: String(p.id).replace('gid://shopify/Product/', ''),
+    price: parseFloat(p.price) || 0,
+    tags: p.tags || [],
+    collections: normalizeCollections(p.collections)
+  }));
+}
+
+// 推荐生成会输出大量日志，评估时默认静默
+async function quietly(verbose, fn) {
+  if (verbose) return fn();
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+// 商家标签中明确的男女标记（productType / tags 以这些词开头，如 "Mens Pants"、"WOMENS SOCKS"）
+const REFERENCE_AUDIENCES = {
+  male: /^(?:men|mens|men's|male|man)\b/,
+  female: /^(?:women|womens|women's|female|woman|ladies)\b/
+};
+// productType 覆盖目录超过该比例时视为泛类（如 "Apparel"），不参与同类检查
+const BROAD_PRODUCT_TYPE_SHARE = 0.25;
+
+// 商家标签中的受众；没有标记或同时标记男女时返回 null
+function referenceAudience(p) {
+  const labels = [p.productType || '', ...p.tags].map(label => String(label).trim().toLowerCase());
+  const matched = Object.keys(REFERENCE_AUDIENCES).filter(name => labels.some(label => REFERENCE_AUDIENCES[name].test(label)));
+  return matched.length === 1 ? matched[0] : null;
+}
+
+const normalizeProductType = (p) => (p.productType || '').trim().toLowerCase();
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+const percent = (n, total) => (total > 0 ? round(n / total * 100, 1) : 0);
+
+/**
+ * 评估一个商品目录
+ */
+async function evaluateCatalog(file, options) {
+  const catalog = loadCatalog(file);
+  const sources = options.limit > 0 ? catalog.slice(0, options.limit) : catalog;
+  const classifier = getShopClassifier({});
+  const byId = new Map(catalog.map(p => [p.productId, p]));
+  const typeCounts = new Map();
+  for (const p of catalog) typeCounts.set(normalizeProductType(p), (typeCounts.get(normalizeProductType(p)) || 0) + 1);
+  const isSpecificType = (type) => type !== '' && typeCounts.get(type) <= catalog.length * BROAD_PRODUCT_TYPE_SHARE;
+
+  const result = await quietly(options.verbose, () => generateRecommendations(sources, catalog, {
+    provider: options.provider,
+    engine: options.engine,
+    batchSize: options.batchSize,
+    count: options.count,
+    reserve: 0, // 只评估正式推荐，不生成备选
+    classifier,
+    promptTemplate: options.promptTemplate
+  }));
+
+  const violations = { genderMismatch: 0, sameProductType: 0, priceOutlier: 0 };
+  const examples = [];
+  const recsBySource = new Map();
+  const targetCounts = new Map();
+
+  for (const rec of result.recommendations) {
+    const source = byId.get(rec.sourceId);
+    const target = byId.get(rec.targetId);
+    if (!source || !target) continue;
+
+    if (!recsBySource.has(rec.sourceId)) recsBySource.set(rec.sourceId, []);
+    recsBySource.get(rec.sourceId).push(target);
+    targetCounts.set(rec.targetId, (targetCounts.get(rec.targetId) || 0) + 1);
+
+    const sourceAudience = referenceAudience(source);
+    const targetAudience = referenceAudience(target);
+    const sourceType = normalizeProductType(source);
+    const found = [];
+    if (sourceAudience && targetAudience && sourceAudience !== targetAudience) found.push('genderMismatch');
+    if (isSpecificType(sourceType) && sourceType === normalizeProductType(target)) found.push('sameProductType');
+    if (source.price > 0 && target.price > source.price * options.maxPriceRatio) found.push('priceOutlier');
+
+    for (const type of found) {
+      violations[type]++;
+      if (examples.length < 10) {
+        examples.push({ type, engine: rec.engine, source: source.title, target: target.title });
+      }
+    }
+  }
+
+  const totalRecs = result.recommendations.length;
+  const violationCount = Object.values(violations).reduce((sum, n) => sum + n, 0);
+
+  // 多样性：单个商品推荐列表中的类目占比，以及被推荐商品在整个目录中的分布
+  const lists = [...recsBySource.values()];
+  const intraListDiversity = lists.length > 0
+    ? lists.reduce((sum, list) => sum + new Set(list.map(p => classifier.getCategory(p))).size / list.length, 0) / lists.length
+    : 0;
+  const maxTargetCount = Math.max(0, ...targetCounts.values());
+
+  const outcomes = {};
+  for (const o of result.outcomes) outcomes[o.outcome] = (outcomes[o.outcome] || 0) + 1;
+
+  const usage = { prompt_tokens: result.promptTokens, completion_tokens: result.completionTokens, total_tokens: result.totalTokens };
+  const estimatedCost = SyncMonitor.prototype.calculateCost(usage);
+
+  return {
+    catalog: path.basename(file),
+    catalogSize: catalog.length,
+    sourceProducts: sources.length,
+    recommendations: totalRecs,
+    coverage: {
+      productsWithRecs: recsBySource.size,
+      percent: percent(recsBySource.size, sources.length),
+      avgRecsPerProduct: round(sources.length > 0 ? totalRecs / sources.length : 0)
+    },
+    violations: {
+      ...violations,
+      total: violationCount,
+      rate: percent(violationCount, totalRecs)
+    },
+    diversity: {
+      intraListDiversity: round(intraListDiversity),
+      distinctTargets: targetCounts.size,
+      catalogCoverage: percent(targetCounts.size, catalog.length),
+      maxTargetShare: percent(maxTargetCount, totalRecs)
+    },
+    outcomes,
+    cost: {
+      aiCalls: result.aiCalls,
+      totalTokens: result.totalTokens,
+      promptTokens: result.promptTokens,
+      completionTokens: result.completionTokens,
+      tokensPerProduct: sources.length > 0 ? Math.round(result.totalTokens / sources.length) : 0,
+      estimatedCost: round(estimatedCost, 6)
+    },
+    parse: {
+      repairs: result.parseRepairs,
+      retries: result.parseRetries,
+      failures: result.parseFailures
+    },
+    examples
+  };
+}
+
+function summarize(catalogs) {
+  const sum = (fn) => catalogs.reduce((total, c) => total + fn(c), 0);
+  const sources = sum(c => c.sourceProducts);
+  const recs = sum(c => c.recommendations);
+  const violations = {};
+  for (const type of ['genderMismatch', 'sameProductType', 'priceOutlier', 'total']) {
+    violations[type] = sum(c => c.violations[type]);
+  }
+  violations.rate = percent(violations.total, recs);
+
+  return {
+    catalogs: catalogs.length,
+    sourceProducts: sources,
+    recommendations: recs,
+    coveragePercent: percent(sum(c => c.coverage.productsWithRecs), sources),
+    violations,
+    intraListDiversity: round(catalogs.length > 0 ? sum(c => c.diversity.intraListDiversity) / catalogs.length : 0),
+    totalTokens: sum(c => c.cost.totalTokens),
+    estimatedCost: round(sum(c => c.cost.estimatedCost), 6)
+  };
+}
+
+function toMarkdown(report) {
+  const { settings, summary, catalogs } = report;
+  const lines = [
+    `# 推荐质量评估：${settings.label}`,
+    '',
+    `- Provider: \`${settings.provider}\``,
+    `- Engine: \`${settings.engine}\``,
+    `- Prompt: \`${settings.promptVersion}\``,
+    `- Batch size: ${settings.batchSize}`,
+    `- 每个商品推荐数: ${settings.count}`,
+    `- 每个目录源商品数: ${settings.limit || '全部'}`,
+    `- 价格异常阈值: ${settings.maxPriceRatio}x`,
+    '',
+    '## 汇总',
+    '',
+    '| 指标 | 值 |',
+    '|------|----|',
+    `| 源商品 | ${summary.sourceProducts} |`,
+    `| 推荐数 | ${summary.recommendations} |`,
+    `| 覆盖率 | ${summary.coveragePercent}% |`,
+    `| 违例 | ${summary.violations.total} (${summary.violations.rate}%) |`,
+    `| 性别不符 / 同类型 / 价格异常 | ${summary.violations.genderMismatch} / ${summary.violations.sameProductType} / ${summary.violations.priceOutlier} |`,
+    `| 列表内类目多样性 | ${summary.intraListDiversity} |`,
+    `| Tokens | ${summary.totalTokens} |`,
+    `| 估算成本 | ¥${summary.estimatedCost} |`,
+    '',
+    '## 各目录',
+    '',
+    '| 目录 | 源商品 | 覆盖率 | 违例率 | 性别 | 同类型 | 价格 | 多样性 | 目录覆盖 | 最热商品占比 | Tokens/商品 | 结果 |',
+    '|------|--------|--------|--------|------|--------|------|--------|----------|--------------|-------------|------|'
+  ];
+  for (const c of catalogs) {
+    const outcomes = Object.entries(c.outcomes).sort().map(([k, v]) => `${k}:${v}`).join(' ');
+    lines.push(`| ${c.catalog} | ${c.sourceProducts} | ${c.coverage.percent}% | ${c.violations.rate}% | ${c.violations.genderMismatch} | ${c.violations.sameProductType} | ${c.violations.priceOutlier} | ${c.diversity.intraListDiversity} | ${c.diversity.catalogCoverage}% | ${c.diversity.maxTargetShare}% | ${c.cost.tokensPerProduct} | ${outcomes} |`);
+  }
+
+  const examples = catalogs.flatMap(c => c.examples.map(e => ({ ...e, catalog: c.catalog })));
+  if (examples.length > 0) {
+    lines.push('', '## 违例示例', '');
+    for (const e of examples) {
+      lines.push(`- [${e.catalog}] \`${e.type}\` (${e.engine}): ${e.source} → ${e.target}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    log('Usage: node scripts/evaluate-recommendations.js [--provider=mock] [--engine=ai|heuristic] [--batch-size=N] [--count=N] [--limit=N] [--files=a.json,b.json] [--prompt=template.json] [--label=name] [--out=dir]');
+    return;
+  }
+
+  const providerName = args.provider || 'mock';
+  const provider = getAIProvider(providerName);
+  const engine = args.engine || 'ai';
+  if (!RECOMMENDATION_ENGINES.includes(engine)) {
+    throw new Error(`engine must be one of: ${RECOMMENDATION_ENGINES.join(', ')}`);
+  }
+  if (engine === 'ai' && !provider.isConfigured()) {
+    log(`⚠ Provider ${provider.name} is not configured, recommendations will use the heuristic fallback`, 'yellow');
+  }
+
+  let promptTemplate = BUILTIN_PROMPT_TEMPLATE;
+  if (args.prompt) {
+    const body = JSON.parse(fs.readFileSync(path.resolve(args.prompt), 'utf8'));
+    const error = validatePromptTemplate(body);
+    if (error) throw new Error(`Invalid prompt template: ${error}`);
+    promptTemplate = toPromptTemplate({ id: 'local', version: 0, ...body });
+  }
+
+  const count = args.count === undefined ? 3 : Number(args.count);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('--count must be a positive integer');
+  }
+
+  const files = args.files
+    ? args.files.split(',').map(f => path.resolve(f))
+    : fs.readdirSync(path.join(ROOT, 'test-data'))
+      .filter(f => /^products-.*\.json$/.test(f))
+      .sort()
+      .map(f => path.join(ROOT, 'test-data', f));
+
+  const settings = {
+    label: args.label || `${engine}-${provider.name}`,
+    provider: provider.name,
+    engine,
+    promptVersion: formatPromptVersion(promptTemplate),
+    batchSize: Math.max(1, parseInt(args['batch-size']) || 1),
+    count,
+    limit: args.limit === undefined ? 20 : Math.max(0, parseInt(args.limit) || 0),
+    maxPriceRatio: parseFloat(args['max-price-ratio']) || 2
+  };
+
+  log(`\n🧪 Evaluating ${files.length} catalogs (${settings.label})`, 'cyan');
+  const catalogs = [];
+  for (const file of files) {
+    const result = await evaluateCatalog(file, {
+      ...settings,
+      provider,
+      promptTemplate,
+      verbose: !!args.verbose
+    });
+    catalogs.push(result);
+    const color = result.violations.total > 0 ? 'yellow' : 'green';
+    log(`  ${result.catalog}: coverage ${result.coverage.percent}%, violations ${result.violations.total} (${result.violations.rate}%), tokens ${result.cost.totalTokens}`, color);
+  }
+
+  const report = { generatedAt: new Date().toISOString(), settings, summary: summarize(catalogs), catalogs };
+  const outDir = path.resolve(args.out || path.join(ROOT, 'reports'));
+  fs.mkdirSync(outDir, { recursive: true });
+  const base = path.join(outDir, `eval-${settings.label}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(`${base}.md`, toMarkdown(report));
+
+  log(`\n📊 Violations: ${report.summary.violations.total} (${report.summary.violations.rate}%), coverage ${report.summary.coveragePercent}%, ¥${report.summary.estimatedCost}`, 'cyan');
+  log(`💾 Saved to: ${base}.json / ${base}.md`, 'green');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    log(`❌ Error: ${error.message}`, 'red');
+    process.exit(1);
+  });
@@ -98,13 +98,263 @@ async function initDatabase() {
     // Sync permission control
     await addColumn('Shop', 'isSyncEnabled', 'BOOLEAN', 'true');
     await addColumn('Shop', 'globalTokenQuota', 'INTEGER', '140000000');
+    // AI provider override (null = use AI_PROVIDER env)
+    await addColumn('Shop', 'aiProvider', 'TEXT', null);
+    // Category taxonomy overrides (null = default taxonomy only)
+    await addColumn('Shop', 'taxonomy', 'JSONB', null);
+    // Catalog locales (primary locale + additional storefront locales)
+    await addColumn('Shop', 'primaryLocale', 'TEXT', "'en'");
+    await addColumn('Shop', 'locales', 'TEXT[]', null);
+    // Recommendation engine (null = ai)
+    await addColumn('Shop', 'recommendationEngine', 'TEXT', null);
+
+    // Similarity index (hashed term vectors)
+    await addColumn('Product', 'vector', 'REAL[]', null);
+    await addColumn('Product', 'vectorHash', 'TEXT', null);
+    // Collection handles (used by collection-scoped merchant rules)
+    await addColumn('Product', 'collections', 'TEXT[]', null);
+    // Variant grouping (merchant-supplied key + computed group, see computeProductGroup)
+    await addColumn('Product', 'groupKey', 'TEXT', null);
+    await addColumn('Product', 'productGroup', 'TEXT', null);
 
     // Recommendation tracking (impressions/clicks)
     await addColumn('Recommendation', 'impressions', 'INTEGER', '0');
     await addColumn('Recommendation', 'clicks', 'INTEGER', '0');
+    // Per-locale reasons for multi-locale shops ({ locale: reason })
+    await addColumn('Recommendation', 'reasons', 'JSONB', null);
+    // Engine that produced the row (ai / heuristic / fallback)
+    await addColumn('Recommendation', 'engine', 'TEXT', "'ai'");
+    // Prompt template version that produced the row (null for heuristic rows)
+    await addColumn('Recommendation', 'promptVersion', 'TEXT', null);
+    // Ranked position within the source product's list (1 = best); reads order by it
+    await addColumn('Recommendation', 'rank', 'INTEGER', null);
+    // Backfill rows created before ranks were recorded: keep creation order, after any ranked rows of the same source
+    await client.query(`
+      UPDATE "Recommendation" r SET "rank" = ranked."rank"
+      FROM (
+        SELECT "id", "rank" IS NULL AS "missing",
+          COALESCE(MAX("rank") OVER (PARTITION BY "shopId", "sourceId"), 0)
+            + ROW_NUMBER() OVER (PARTITION BY "shopId", "sourceId", "rank" IS NULL ORDER BY "createdAt", "id") AS "rank"
+        FROM "Recommendation"
+        WHERE ("shopId", "sourceId") IN (SELECT "shopId", "sourceId" FROM "Recommendation" WHERE "rank" IS NULL)
+      ) ranked
+      WHERE r."id" = ranked."id" AND ranked."missing"
+    `);
+    // Recommendations generated per product (null = DEFAULT_RECS_PER_PRODUCT)
+    await addColumn('Shop', 'recsPerProduct', 'INTEGER', null);
+    // Price-band rules for recommendation targets (see createPriceFilter)
+    await addColumn('Shop', 'priceRules', 'JSONB', null);
+    // Unit cost, used to prefer higher-margin targets
+    await addColumn('Product', 'cost', 'FLOAT', null);
+    // Availability from sync (null = unknown, treated as available)
+    await addColumn('Product', 'available', 'BOOLEAN', null);
+    await addColumn('Product', 'inventoryQuantity', 'INTEGER', null);
+    await addColumn('Product', 'published', 'BOOLEAN', null);
+    // Reserve rows ranked after the visible ones, used to backfill unavailable targets
+    await addColumn('Recommendation', 'reserve', 'BOOLEAN', 'false');
+    // CTR demotion (see createCtrRanker); cleared when the pair recovers or is regenerated
+    await addColumn('Recommendation', 'demotedAt', 'TIMESTAMP', null);
+    await addColumn('Recommendation', 'demotionReason', 'TEXT', null);
+    // Storefront exploration (see createExplorer); null policy = no exploration
+    await addColumn('Shop', 'explorationPolicy', 'TEXT', null);
+    await addColumn('Shop', 'explorationRate', 'FLOAT', null);
+    // Times served through exploration, and the feedback reported for those serves
+    await addColumn('Recommendation', 'exploreServes', 'INTEGER', '0');
+    await addColumn('Recommendation', 'exploreImpressions', 'INTEGER', '0');
+    await addColumn('Recommendation', 'exploreClicks', 'INTEGER', '0');
 
     await client.query(`CREATE INDEX IF NOT EXISTS "Shop_plan_idx" ON "Shop"("plan")`);
 
+    // MerchantRule - 商家手动规则（pin / exclude / boost_tag / ban）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "MerchantRule" (
+        "id" TEXT PRIMARY KEY,
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "type" TEXT NOT NULL,
+        "scope" TEXT NOT NULL DEFAULT 'product',
+        "sourceProductId" TEXT,
+        "sourceCollection" TEXT,
+        "targetProductId" TEXT,
+        "tag" TEXT,
+        "weight" FLOAT,
+        "position" INTEGER DEFAULT 0,
+        "createdAt" TIMESTAMP DEFAULT NOW(),
+        "updatedAt" TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS "MerchantRule_shopId_idx" ON "MerchantRule"("shopId")`);
+
+    // PromptTemplate - 推荐 prompt 模板（同名模板按 version 递增，旧版本保留）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "PromptTemplate" (
+        "id" TEXT PRIMARY KEY,
+        "name" TEXT NOT NULL,
+        "version" INTEGER NOT NULL,
+        "systemPrompt" TEXT,
+        "batchSystemPrompt" TEXT,
+        "singlePrompt" TEXT NOT NULL,
+        "batchPrompt" TEXT NOT NULL,
+        "notes" TEXT,
+        "createdAt" TIMESTAMP DEFAULT NOW(),
+        UNIQUE("name", "version")
+      )
+    `);
+    // PromptAssignment - 按计划指定模板（商店级别见 Shop.promptTemplateId）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "PromptAssignment" (
+        "plan" TEXT PRIMARY KEY,
+        "templateId" TEXT NOT NULL REFERENCES "PromptTemplate"("id") ON DELETE CASCADE,
+        "updatedAt" TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await addColumn('Shop', 'promptTemplateId', 'TEXT', null);
+
+    // Experiment - A/B 实验（variants 见 validateExperimentVariants，第一个变体为对照组）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "Experiment" (
+        "id" TEXT PRIMARY KEY,
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "name" TEXT NOT NULL,
+        "status" TEXT NOT NULL DEFAULT 'running',
+        "variants" JSONB NOT NULL,
+        "createdAt" TIMESTAMP DEFAULT NOW(),
+        "startedAt" TIMESTAMP DEFAULT NOW(),
+        "stoppedAt" TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS "Experiment_shopId_idx" ON "Experiment"("shopId")`);
+    // 每个商店最多一个进行中的实验（并发创建时由唯一索引兜底）；建索引前停止同一商店较早开始的重复实验
+    await client.query(`
+      UPDATE "Experiment" e SET "status" = 'stopped', "stoppedAt" = NOW()
+      WHERE e."status" = 'running' AND EXISTS (
+        SELECT 1 FROM "Experiment" o
+        WHERE o."shopId" = e."shopId" AND o."status" = 'running'
+          AND (o."startedAt" > e."startedAt" OR (o."startedAt" = e."startedAt" AND o."id" > e."id"))
+      )
+    `);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS "Experiment_running_shopId_idx" ON "Experiment"("shopId") WHERE "status" = 'running'`);
+    // ExperimentRecommendation - 生成型变体（engine / prompt）的推荐，字段同 Recommendation
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "ExperimentRecommendation" (
+        "id" TEXT PRIMARY KEY,
+        "experimentId" TEXT NOT NULL REFERENCES "Experiment"("id") ON DELETE CASCADE,
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "variant" TEXT NOT NULL,
+        "sourceId" TEXT NOT NULL REFERENCES "Product"("id") ON DELETE CASCADE,
+        "targetId" TEXT NOT NULL REFERENCES "Product"("id") ON DELETE CASCADE,
+        "reason" TEXT,
+        "reasons" JSONB,
+        "engine" TEXT,
+        "promptVersion" TEXT,
+        "rank" INTEGER,
+        "reserve" BOOLEAN DEFAULT false,
+        "impressions" INTEGER DEFAULT 0,
+        "clicks" INTEGER DEFAULT 0,
+        "exploreServes" INTEGER DEFAULT 0,
+        "exploreImpressions" INTEGER DEFAULT 0,
+        "exploreClicks" INTEGER DEFAULT 0,
+        "createdAt" TIMESTAMP DEFAULT NOW(),
+        UNIQUE("experimentId", "variant", "sourceId", "targetId")
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS "ExperimentRec_sourceId_idx" ON "ExperimentRecommendation"("sourceId")`);
+    // ExperimentStat - 每个变体的返回、展示、点击计数
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "ExperimentStat" (
+        "experimentId" TEXT NOT NULL REFERENCES "Experiment"("id") ON DELETE CASCADE,
+        "variant" TEXT NOT NULL,
+        "served" INTEGER DEFAULT 0,
+        "impressions" INTEGER DEFAULT 0,
+        "clicks" INTEGER DEFAULT 0,
+        PRIMARY KEY ("experimentId", "variant")
+      )
+    `);
+    // Served with default recommendations while a generated variant had none yet (still counted under the variant)
+    await addColumn('ExperimentStat', 'fallbackServed', 'INTEGER', '0');
+
+    // Bundle - 套装（Complete the look），锚点商品 + 1~3 个搭配商品（见 generateBundles）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "Bundle" (
+        "id" TEXT PRIMARY KEY,
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "anchorId" TEXT NOT NULL REFERENCES "Product"("id") ON DELETE CASCADE,
+        "title" TEXT,
+        "titles" JSONB,
+        "reason" TEXT,
+        "reasons" JSONB,
+        "engine" TEXT,
+        "promptVersion" TEXT,
+        "rank" INTEGER,
+        "impressions" INTEGER DEFAULT 0,
+        "clicks" INTEGER DEFAULT 0,
+        "createdAt" TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS "Bundle_anchorId_idx" ON "Bundle"("shopId", "anchorId")`);
+    // BundleItem - 套装中的搭配商品（不含锚点），按 position 排序
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "BundleItem" (
+        "bundleId" TEXT NOT NULL REFERENCES "Bundle"("id") ON DELETE CASCADE,
+        "productId" TEXT NOT NULL REFERENCES "Product"("id") ON DELETE CASCADE,
+        "position" INTEGER NOT NULL,
+        PRIMARY KEY ("bundleId", "productId")
+      )
+    `);
+    // Bundle generation (see getShopBundleSettings); discount is served as metadata only
+    await addColumn('Shop', 'bundlesEnabled', 'BOOLEAN', 'false');
+    await addColumn('Shop', 'bundleSize', 'INTEGER', null);
+    await addColumn('Shop', 'bundleDiscountPercent', 'FLOAT', null);
+
+    // OrderIngest - 已导入的订单（按订单 ID 去重，webhook 重试或重复上传不会重复计数）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "OrderIngest" (
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "orderId" TEXT NOT NULL,
+        "products" INTEGER DEFAULT 0,
+        "source" TEXT,
+        "createdAt" TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY ("shopId", "orderId")
+      )
+    `);
+    // ProductPurchase - 包含某个商品的订单数（productId 为 Shopify 商品数字 ID，订单中的商品可能尚未同步）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "ProductPurchase" (
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "productId" TEXT NOT NULL,
+        "orders" INTEGER DEFAULT 0,
+        "updatedAt" TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY ("shopId", "productId")
+      )
+    `);
+    // CoPurchase - 同时包含两个商品的订单数（productA < productB，每对只存一行）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "CoPurchase" (
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "productA" TEXT NOT NULL,
+        "productB" TEXT NOT NULL,
+        "orders" INTEGER DEFAULT 0,
+        "updatedAt" TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY ("shopId", "productA", "productB")
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS "CoPurchase_productB_idx" ON "CoPurchase"("shopId", "productB")`);
+    // Order history (see ingestOrders); slots = co-purchase positions per list (null = DEFAULT_COPURCHASE_SLOTS)
+    await addColumn('Shop', 'ordersIngested', 'INTEGER', '0');
+    await addColumn('Shop', 'coPurchaseSlots', 'INTEGER', null);
+
+    // ProductDailyStat - 商品每天作为推荐的展示和点击（trending 比较最近窗口和上一个窗口的 CTR，见 computeShopFeed）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "ProductDailyStat" (
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "productId" TEXT NOT NULL REFERENCES "Product"("id") ON DELETE CASCADE,
+        "date" DATE NOT NULL,
+        "impressions" INTEGER DEFAULT 0,
+        "clicks" INTEGER DEFAULT 0,
+        PRIMARY KEY ("shopId", "productId", "date")
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS "ProductDailyStat_date_idx" ON "ProductDailyStat"("shopId", "date")`);
+
     // ============ 监控表 ============
     // SyncLog - 记录每次同步操作
     await client.query(`
@@ -126,8 +376,55 @@ async function initDatabase() {
       )
     `);
     await client.query(`CREATE INDEX IF NOT EXISTS "SyncLog_shopId_idx" ON "SyncLog"("shopId", "startedAt")`);
+    // Batch generation metrics
+    await addColumn('SyncLog', 'aiCalls', 'INTEGER', '0');
+    await addColumn('SyncLog', 'batchSize', 'INTEGER', '1');
+    await addColumn('SyncLog', 'batchTokensSaved', 'INTEGER', '0');
     await client.query(`CREATE INDEX IF NOT EXISTS "SyncLog_status_idx" ON "SyncLog"("status")`);
 
+    // GenerationOutcome - 记录每次同步中每个商品的推荐生成结果（ai / cached / heuristic / fallback / skipped / no_candidates）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "GenerationOutcome" (
+        "id" TEXT PRIMARY KEY,
+        "syncLogId" TEXT NOT NULL REFERENCES "SyncLog"("id") ON DELETE CASCADE,
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "productId" TEXT NOT NULL,
+        "outcome" TEXT NOT NULL,
+        "errorType" TEXT,
+        "errorMessage" TEXT,
+        "attempts" INTEGER DEFAULT 0,
+        "recommendations" INTEGER DEFAULT 0,
+        "createdAt" TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS "GenerationOutcome_syncLogId_idx" ON "GenerationOutcome"("syncLogId")`);
+    await client.query(`CREATE INDEX IF NOT EXISTS "GenerationOutcome_shopId_createdAt_idx" ON "GenerationOutcome"("shopId", "createdAt")`);
+    await addColumn('SyncLog', 'fallbackProducts', 'INTEGER', '0');
+    // AI response parsing metrics
+    await addColumn('SyncLog', 'parseRepairs', 'INTEGER', '0');
+    await addColumn('SyncLog', 'parseRetries', 'INTEGER', '0');
+    await addColumn('SyncLog', 'parseFailures', 'INTEGER', '0');
+    // Prompt template version used by the sync (null when no AI call was made)
+    await addColumn('SyncLog', 'promptVersion', 'TEXT', null);
+    // AI result cache metrics (see createAICache)
+    await addColumn('SyncLog', 'cacheHits', 'INTEGER', '0');
+    await addColumn('SyncLog', 'cacheTokensSaved', 'INTEGER', '0');
+
+    // AICache - AI 推荐结果缓存（key 为 prompt 内容的哈希，见 computeAICacheKey）
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "AICache" (
+        "shopId" TEXT NOT NULL REFERENCES "Shop"("id") ON DELETE CASCADE,
+        "key" TEXT NOT NULL,
+        "promptVersion" TEXT,
+        "recommendations" JSONB NOT NULL,
+        "tokens" INTEGER DEFAULT 0,
+        "hits" INTEGER DEFAULT 0,
+        "createdAt" TIMESTAMP DEFAULT NOW(),
+        "lastUsedAt" TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY ("shopId", "key")
+      )
+    `);
+
     // ApiLog - 记录API调用（可选，用于详细追踪）
     await client.query(`
       CREATE TABLE IF NOT EXISTS "ApiLog" (
@@ -170,7 +467,21 @@ async function initDatabase() {
   }
 }
 
+// 读取数值环境变量：未设置、无法解析或小于 min 时使用默认值（与 `parseInt(...) || default` 不同，0 是合法值）
+function readIntEnv(name, fallback, min = 0) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+function readFloatEnv(name, fallback, min = 0) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
 // ============ 监控工具类 ============
+// GenerationOutcome 明细的保留天数（同步记录结果时清理该商店更早的明细）
+const GENERATION_OUTCOME_RETENTION_DAYS = readIntEnv('GENERATION_OUTCOME_RETENTION_DAYS', 30, 1);
+
 class SyncMonitor {
   constructor(shopId, mode) {
     this.shopId = shopId;
@@ -184,6 +495,16 @@ class SyncMonitor {
       tokensUsed: 0,
       promptTokens: 0,
       completionTokens: 0,
+      aiCalls: 0,
+      batchSize: 1,
+      batchTokensSaved: 0,
+      fallbackProducts: 0,
+      parseRepairs: 0,
+      parseRetries: 0,
+      parseFailures: 0,
+      promptVersion: null,
+      cacheHits: 0,
+      cacheTokensSaved: 0,
     };
   }
 
@@ -263,10 +584,24 @@ class SyncMonitor {
           "productsSynced" = $4,
           "recommendationsGenerated" = $5,
           "tokensUsed" = $6,
-          "estimatedCost" = $7
-        WHERE "id" = $8`,
+          "estimatedCost" = $7,
+          "aiCalls" = $8,
+          "batchSize" = $9,
+          "batchTokensSaved" = $10,
+          "fallbackProducts" = $11,
+          "parseRepairs" = $12,
+          "parseRetries" = $13,
+          "parseFailures" = $14,
+          "promptVersion" = $15,
+          "cacheHits" = $16,
+          "cacheTokensSaved" = $17
+        WHERE "id" = $18`,
         ['success', durationMs, this.metrics.productsScanned, this.metrics.productsSynced,
-         this.metrics.recommendationsGenerated, this.metrics.tokensUsed, estimatedCost, this.logId]
+         this.metrics.recommendationsGenerated, this.metrics.tokensUsed, estimatedCost,
+         this.metrics.aiCalls, this.metrics.batchSize, this.metrics.batchTokensSaved,
+         this.metrics.fallbackProducts, this.metrics.parseRepairs, this.metrics.parseRetries,
+         this.metrics.parseFailures, this.metrics.promptVersion, this.metrics.cacheHits,
+         this.metrics.cacheTokensSaved, this.logId]
       );
       console.log(`[Monitor] Sync completed: ${this.logId} (${durationMs}ms, ${this.metrics.tokensUsed} tokens, ¥${estimatedCost.toFixed(4)})`);
     } catch (error) {
@@ -274,6 +609,40 @@ class SyncMonitor {
     }
   }
 
+  async recordOutcomes(outcomes) {
+    if (!outcomes || outcomes.length === 0) return;
+    this.metrics.fallbackProducts += outcomes.filter(o => o.outcome === 'fallback').length;
+
+    try {
+      // 分批插入，避免单条 SQL 参数过多
+      for (let i = 0; i < outcomes.length; i += 500) {
+        const chunk = outcomes.slice(i, i + 500);
+        const values = [];
+        const rows = chunk.map((o, j) => {
+          const base = j * 9;
+          values.push(
+            `outcome_${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`, this.logId, this.shopId,
+            o.productId, o.outcome, o.errorType, o.errorMessage, o.attempts, o.recommendations
+          );
+          return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9})`;
+        });
+        await pool.query(
+          `INSERT INTO "GenerationOutcome" ("id", "syncLogId", "shopId", "productId", "outcome", "errorType", "errorMessage", "attempts", "recommendations")
+           VALUES ${rows.join(', ')}`,
+          values
+        );
+      }
+
+      const pruned = await pool.query(
+        `DELETE FROM "GenerationOutcome" WHERE "shopId" = $1 AND "createdAt" <= NOW() - make_interval(days => $2)`,
+        [this.shopId, GENERATION_OUTCOME_RETENTION_DAYS]
+      );
+      if (pruned.rowCount > 0) console.log(`[Monitor] Pruned ${pruned.rowCount} generation outcomes older than ${GENERATION_OUTCOME_RETENTION_DAYS} days`);
+    } catch (error) {
+      console.error('[Monitor] Failed to record outcomes:', error);
+    }
+  }
+
   async fail(error) {
     const durationMs = Date.now() - this.startTime;
 
@@ -319,13 +688,21 @@ async function logApiCall(shopId, endpoint, method, durationMs, statusCode, succ
 app.set('trust proxy', 1);
 app.use(helmet({ contentSecurityPolicy: false })); // 允许内联脚本
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+// webhook 需要原始请求体校验签名（见 verifyWebhookSignature），其余请求不保留
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 
 // 静态文件服务（测试面板）
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
 const syncLimiter = rateLimit({ windowMs: 60000, max: 10 });
 const queryLimiter = rateLimit({ windowMs: 60000, max: 300 });
+// 同步接口的 dryRun 只做预估（同 /api/products/sync/estimate），按查询接口限流，不占用同步次数
+const syncOrEstimateLimiter = (req, res, next) => (req.body && req.body.dryRun === true ? queryLimiter : syncLimiter)(req, res, next);
 
 const cache = new Map();
 const CACHE_TTL = 300000;
@@ -343,7 +720,29 @@ setInterval(() => {
   if (cleanedCount > 0) {
     console.log(`[Cache] Cleaned ${cleanedCount} expired entries, current size: ${cache.size}`);
   }
-}, 60000); // 每60秒清理一次
+}, 60000).unref(); // 每60秒清理一次（unref：被脚本或测试 require 时不阻止进程退出）
+
+// 推荐读取结果的缓存前缀：recs（带 API key 的推荐接口）、public（店面推荐接口）、feed（店面商品流）
+const RECOMMENDATION_CACHE_PREFIXES = ['recs', 'public', 'feed'];
+
+/**
+ * 只删除某个商店的缓存，其他商店的缓存不受影响
+ * 商店相关的缓存键格式为 `${prefix}:${shopId}` 或 `${prefix}:${shopId}:...`
+ * @param {string} shopId - Shop.id
+ * @param {string[]} prefixes - 要删除的缓存前缀
+ * @returns {number} 删除的条目数
+ */
+function clearShopCache(shopId, prefixes) {
+  const scopes = prefixes.map(prefix => `${prefix}:${shopId}`);
+  let deleted = 0;
+  for (const key of cache.keys()) {
+    if (scopes.some(scope => key === scope || key.startsWith(`${scope}:`))) {
+      cache.delete(key);
+      deleted++;
+    }
+  }
+  return deleted;
+}
 
 // API 限额配置
 const API_LIMITS = {
@@ -413,283 +812,2967 @@ async function trackApiUsage(req, res, next) {
   next();
 }
 
-// ============ DeepSeek AI ============
-async function callDeepSeek(prompt) {
-  const apiKey = process.env.DEEPSEEK_API_KEY;
-  if (!apiKey) return null;
+// ============ AI Providers ============
+const RECOMMENDATION_SYSTEM_PROMPT = 'You are an e-commerce recommendation expert. Return JSON with a recommendations array, each element containing productId and reason (or reasons keyed by locale code when several languages are requested). Keep reason brief (under 50 characters). Return only JSON, no other text.';
+const BATCH_RECOMMENDATION_SYSTEM_PROMPT = 'You are an e-commerce recommendation expert. Return JSON with a results array, one element per source product containing sourceId and a recommendations array of productId and reason (or reasons keyed by locale code when several languages are requested). Keep reason brief (under 50 characters). Return only JSON, no other text.';
 
-  try {
-    const res = await fetch('https://api.deepseek.com/chat/completions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-      body: JSON.stringify({
-        model: 'deepseek-chat',
-        messages: [
-          { role: 'system', content: 'You are an e-commerce recommendation expert. Return JSON with a recommendations array, each element containing productId and reason. Keep reason brief (under 50 characters). Return only JSON, no other text.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7
-      })
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    // 返回完整数据，包括content和usage
-    return {
-      content: data.choices?.[0]?.message?.content,
-      usage: data.usage || null
-    };
-  } catch (e) {
-    console.error('[AI] Error:', e.message);
-    return null;
-  }
+// 粗略估算 token 数（约 4 个字符 = 1 token），用于 mock provider 和成本预估
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
 }
 
-// 判断是否是同款产品（基于 handle 前缀）
-function isSameProduct(product1, product2) {
-  if (!product1.handle || !product2.handle) return false;
-
-  // 提取 handle 的主要部分（去掉颜色/尺寸后缀）
-  const normalize = (handle) => {
-    // 移除末尾的颜色或尺寸相关的部分，如 -white, -black, -s, -m, -l 等
-    return handle.replace(/-[a-z0-9]*$/, '').toLowerCase();
-  };
+// AI 调用错误（按类型分类，决定是否重试）
+class AIError extends Error {
+  /**
+   * @param {string} type - rate_limit | server | auth | malformed | bad_request | timeout | network | circuit_open | not_configured
+   * @param {string} message
+   * @param {{status?: number, retryAfterMs?: number}} [details]
+   */
+  constructor(type, message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'AIError';
+    this.type = type;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
 
-  return normalize(product1.handle) === normalize(product2.handle);
+  get retryable() {
+    return ['rate_limit', 'server', 'timeout', 'network', 'malformed'].includes(this.type);
+  }
 }
 
-async function generateRecommendations(products, allProducts = null) {
-  // products: 需要生成推荐的商品
-  // allProducts: 所有可选的推荐目标商品（如果为空，则使用 products）
-  const targetPool = allProducts || products;
-  const results = [];
-  let totalTokens = 0; // 累加token消耗
-  let totalPromptTokens = 0; // 累加输入token
-  let totalCompletionTokens = 0; // 累加输出token
+// 解析 Retry-After 响应头（秒数或 HTTP 日期）
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-  console.log('[AI] ===== GENERATE RECOMMENDATIONS =====');
-  console.log(`[AI] Products to generate recs for: ${products.length}`);
-  console.log(`[AI] Target pool size: ${targetPool.length}`);
-  console.log(`[AI] DeepSeek API Key present: ${!!process.env.DEEPSEEK_API_KEY}`);
+// 调用 OpenAI 兼容的 /chat/completions 接口（DeepSeek 也使用同一协议）
+async function callChatCompletions({ baseUrl, apiKey, model, temperature, messages, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
 
-  // 简化商品描述，提取关键信息
-  const getGender = (p) => {
-    const title = (p.title || '').toLowerCase();
-    const type = (p.productType || '').toLowerCase();
-    const tags = (p.tags || []).join(' ').toLowerCase();
-    const all = title + ' ' + type + ' ' + tags;
+  let res;
+  try {
+    res = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, messages, temperature }),
+      signal
+    });
+  } catch (e) {
+    if (e.name === 'AbortError') throw new AIError('timeout', `${model} request timed out`);
+    throw new AIError('network', `${model} request failed: ${e.message}`);
+  }
 
-    if (tags.match(/\bmens\b|filtergender:\s*mens/) || all.match(/\b(men'?s|male|boy)\b/) || type.includes('mens')) {
-      return 'male';
-    } else if (tags.match(/\bwomens\b|filtergender:\s*womens/) || all.match(/\b(women'?s|female|girl|ladies)\b/) || title.match(/dress|skirt|bra/i)) {
-      return 'female';
+  if (!res.ok) {
+    const message = `${model} returned HTTP ${res.status}`;
+    if (res.status === 429) {
+      throw new AIError('rate_limit', message, { status: res.status, retryAfterMs: parseRetryAfter(res.headers.get('retry-after')) });
     }
-    return 'unisex';
-  };
-
-  // 识别商品细分类型（用于排除同类推荐）
-  const getCategory = (p) => {
-    const title = (p.title || '').toLowerCase();
-    const type = (p.productType || '').toLowerCase();
+    if (res.status === 401 || res.status === 403) throw new AIError('auth', message, { status: res.status });
+    if (res.status >= 500) {
+      throw new AIError('server', message, { status: res.status, retryAfterMs: parseRetryAfter(res.headers.get('retry-after')) });
+    }
+    throw new AIError('bad_request', message, { status: res.status });
+  }
 
-    // 配饰类（细分）
-    if (title.match(/\b(hat|cap|beanie|visor)\b/)) return 'hat';
-    if (title.match(/\b(earring|necklace|bracelet|ring|jewelry)\b/)) return 'jewelry';
-    if (title.match(/\b(bag|purse|backpack|tote)\b/)) return 'bag';
-    if (title.match(/\b(sock|socks)\b/)) return 'sock';
-    if (title.match(/\b(shoe|sneaker|boot|sandal|slipper|heel)\b/)) return 'shoe';
-    if (title.match(/\b(belt|watch|sunglasses|scarf)\b/)) return 'accessory';
+  let data;
+  try {
+    data = await res.json();
+  } catch (e) {
+    if (e.name === 'AbortError') throw new AIError('timeout', `${model} request timed out`);
+    throw new AIError('malformed', `${model} returned invalid JSON body`);
+  }
+  const content = data.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') throw new AIError('malformed', `${model} response has no message content`);
 
-    // 服装类（细分）
-    if (title.match(/\b(t-shirt|tee|shirt|top|blouse|tank|cami)\b/) || type.includes('top')) return 'top';
-    if (title.match(/\b(pant|jean|trouser|legging|short|jogger)\b/) || type.includes('bottom')) return 'bottom';
-    if (title.match(/\b(dress|gown|maxi|mini)\b/) && !title.includes('shirt')) return 'dress';
-    if (title.match(/\b(skirt|skort)\b/)) return 'skirt';
-    if (title.match(/\b(jacket|coat|blazer|cardigan|hoodie|sweater)\b/)) return 'outerwear';
-    if (title.match(/\b(swimsuit|bikini|swim trunk|swimwear)\b/)) return 'swim';
-    if (title.match(/\b(bra|panty|underwear|lingerie|bodysuit)\b/)) return 'underwear';
-    if (title.match(/\b(pajama|pj|sleep|lounge|robe)\b/)) return 'sleepwear';
-
-    return type || 'other';
+  // 返回完整数据，包括content和usage
+  return {
+    content,
+    usage: data.usage || null
   };
+}
 
-  const summarize = (p) => {
-    const desc = (p.description || '').substring(0, 100).replace(/\s+/g, ' ');
-    const title = p.title || '';
-    const type = p.productType || 'Uncategorized';
-    const gender = getGender(p);
-    const genderLabel = gender === 'male' ? '[Men]' : gender === 'female' ? '[Women]' : '';
-    return `${genderLabel}${title} [${type}] ${desc}`;
+// mock provider：从 prompt 中解析候选商品 ID，按哈希稳定排序，保证同样的输入得到同样的输出
+// mode 为调用方期望的响应格式（见 callAI）
+function mockChat(messages, { mode = 'recommendations' } = {}) {
+  const prompt = messages.map(m => m.content).join('\n');
+  const candidateIds = [...new Set([...prompt.matchAll(/\bID:([^\s|]+)/g)].map(m => m[1]))];
+  const sourceIds = [...new Set([...prompt.matchAll(/\bSID:([^\s|]+)/g)].map(m => m[1]))];
+  const count = parseInt(prompt.match(/recommend (\d+)/i)?.[1]) || 3;
+  // 多语言 prompt 要求 reasons:{locale: reason}
+  const reasonLocales = [...(prompt.match(/"reasons":\{([^}]*)\}/)?.[1] || '').matchAll(/"([a-z]{2})":/g)].map(m => m[1]);
+
+  const pick = (salt, exclude) => {
+    const score = (id) => crypto.createHash('md5').update(salt).update(id).digest().readUInt32BE(0);
+    return candidateIds
+      .filter(id => id !== exclude)
+      .sort((a, b) => score(a) - score(b))
+      .slice(0, count)
+      .map(productId => reasonLocales.length > 0
+        ? { productId, reasons: Object.fromEntries(reasonLocales.map(locale => [locale, `Pairs well together (${locale})`])) }
+        : { productId, reason: 'Pairs well together' });
   };
 
-  for (const product of products) {
-    const productGender = getGender(product);
-    const productCategory = getCategory(product);
-
-    console.log(`[AI] Processing product: ${product.productId} - "${product.title}" (gender=${productGender}, category=${productCategory})`);
-
-    // 过滤：排除同款、同ID、性别不匹配、同类型的商品
-    const others = targetPool.filter(p => {
-      if (p.productId === product.productId) return false;
-      if (isSameProduct(product, p)) return false;
-
-      // 性别过滤：男士商品不推荐女士商品，女士商品不推荐男士商品
-      const targetGender = getGender(p);
-      if (productGender === 'male' && targetGender === 'female') return false;
-      if (productGender === 'female' && targetGender === 'male') return false;
-
-      // 类型过滤：同类商品不互相推荐（帽子不推荐帽子，上衣不推荐上衣等）
-      const targetCategory = getCategory(p);
-      if (productCategory === targetCategory && productCategory !== 'other') return false;
-
-      return true;
+  // 套装：每个套装取 items 个候选（按套装序号加盐）
+  if (mode === 'bundles') {
+    const bundleCount = parseInt(prompt.match(/Build (\d+)/)?.[1]) || BUNDLES_PER_PRODUCT;
+    const items = parseInt(prompt.match(/plus 1 to (\d+) items/)?.[1]) || 2;
+    const bundles = Array.from({ length: bundleCount }, (_, i) => {
+      const productIds = pick(`${prompt}:bundle${i}`).slice(0, items).map(rec => rec.productId);
+      return reasonLocales.length > 0
+        ? { titles: Object.fromEntries(reasonLocales.map(locale => [locale, `Look ${i + 1} (${locale})`])), productIds, reasons: Object.fromEntries(reasonLocales.map(locale => [locale, `Worn together (${locale})`])) }
+        : { title: `Look ${i + 1}`, productIds, reason: 'Worn together' };
     });
+    const content = JSON.stringify({ bundles });
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(content);
+    return {
+      content,
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    };
+  }
 
-    console.log(`[AI] After filtering: ${others.length} candidate products for recommendations`);
+  // 批量 prompt 中源商品以 SID: 标记，按源商品分别返回
+  const content = sourceIds.length > 0
+    ? JSON.stringify({ results: sourceIds.map(sourceId => ({ sourceId, recommendations: pick(`${prompt}:${sourceId}`, sourceId) })) })
+    : JSON.stringify({ recommendations: pick(prompt) });
+  const promptTokens = estimateTokens(prompt);
+  const completionTokens = estimateTokens(content);
+  return {
+    content,
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+  };
+}
 
-    if (others.length === 0) {
-      console.log(`[AI] ⚠️ No suitable candidates found, skipping this product`);
-      continue;
-    }
+// 生成温度：未设置或无法解析时为 0.7；0 是合法值（确定性输出）
+function getAITemperature() {
+  const temperature = parseFloat(process.env.AI_TEMPERATURE);
+  return Number.isFinite(temperature) ? temperature : 0.7;
+}
 
-    // 智能选择候选商品：优先配饰，其次按价格排序，限制20个
-    const accessories = [];
-    const nonAccessories = [];
+// provider 的生成设置（不含 API key），调用和 AI 结果缓存键共用（见 computeAICacheKey）
+const deepseekSettings = () => ({
+  baseUrl: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+  model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+  temperature: getAITemperature()
+});
 
-    // 分类：配饰 vs 非配饰
-    others.forEach(p => {
-      const category = getCategory(p);
-      const isAccessory = ['hat', 'jewelry', 'bag', 'sock', 'shoe', 'accessory'].includes(category);
-      if (isAccessory) {
-        accessories.push(p);
-      } else {
-        nonAccessories.push(p);
-      }
-    });
+const openaiSettings = () => ({
+  baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  temperature: getAITemperature()
+});
+
+const AI_PROVIDERS = {
+  deepseek: {
+    name: 'deepseek',
+    isConfigured: () => !!process.env.DEEPSEEK_API_KEY,
+    settings: deepseekSettings,
+    chat: (messages, { signal } = {}) => callChatCompletions({
+      ...deepseekSettings(),
+      apiKey: process.env.DEEPSEEK_API_KEY,
+      messages,
+      signal
+    })
+  },
+  // 任意 OpenAI 兼容服务（OpenAI、本地 Ollama / vLLM / LM Studio 等）
+  openai: {
+    name: 'openai',
+    isConfigured: () => !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+    settings: openaiSettings,
+    chat: (messages, { signal } = {}) => callChatCompletions({
+      ...openaiSettings(),
+      apiKey: process.env.OPENAI_API_KEY,
+      messages,
+      signal
+    })
+  },
+  mock: {
+    name: 'mock',
+    isConfigured: () => true,
+    settings: () => ({}),
+    chat: async (messages, options) => mockChat(messages, options)
+  }
+};
 
-    // 按价格排序非配饰商品（价格低的优先）
-    nonAccessories.sort((a, b) => a.price - b.price);
+/**
+ * 获取 AI provider：优先使用商店配置，其次环境变量 AI_PROVIDER，默认 deepseek
+ * @param {string} [name] - provider 名称（通常来自 Shop.aiProvider）
+ * @returns {{name: string, isConfigured: Function, settings: Function, chat: Function}}
+ */
+function getAIProvider(name) {
+  const providerName = name || process.env.AI_PROVIDER || 'deepseek';
+  // 只接受自有属性，避免 "toString" / "constructor" 等继承属性被当作 provider
+  const provider = Object.hasOwn(AI_PROVIDERS, providerName) ? AI_PROVIDERS[providerName] : null;
+  if (!provider) {
+    console.warn(`[AI] Unknown provider "${providerName}", falling back to deepseek`);
+    return AI_PROVIDERS.deepseek;
+  }
+  return provider;
+}
 
-    // 组合：优先配饰，不够则补充低价商品
-    const limitedOthers = [...accessories, ...nonAccessories].slice(0, 20);
+// ============ AI 熔断器 ============
+// 按 provider 记录连续失败次数（所有商店共享）。连续失败达到阈值后熔断一段时间，期间直接走 fallback
+// 只有 provider 不可用的错误（限流、5xx、超时、连接失败）计入熔断；bad_request / malformed 等由某个商店的 prompt 引起，不影响其他商店
+// 冷却结束后进入半开状态：只放行一个探测请求，成功则关闭熔断，失败则立即重新熔断；探测期间其他请求仍直接走 fallback
+const AI_CIRCUIT_THRESHOLD = readIntEnv('AI_CIRCUIT_THRESHOLD', 5, 1);
+const AI_CIRCUIT_COOLDOWN_MS = readIntEnv('AI_CIRCUIT_COOLDOWN_MS', 60000);
+const AI_CIRCUIT_ERROR_TYPES = ['rate_limit', 'server', 'timeout', 'network'];
+const aiCircuits = new Map();
+
+function getCircuit(providerName) {
+  if (!aiCircuits.has(providerName)) {
+    aiCircuits.set(providerName, { consecutiveFailures: 0, openedUntil: 0, lastError: null, probeInFlight: false });
+  }
+  return aiCircuits.get(providerName);
+}
 
-    console.log(`[AI] Selected ${limitedOthers.length} candidates (${accessories.length} accessories + ${Math.min(nonAccessories.length, 20 - accessories.length)} low-price items) from ${others.length} total`);
+/**
+ * 请求前检查熔断状态：熔断中抛出 circuit_open；半开状态下第一个请求成为探测请求
+ * @returns {boolean} 是否为探测请求（结束后需要调用 releaseCircuitProbe）
+ */
+function acquireCircuit(providerName, now = Date.now()) {
+  const circuit = getCircuit(providerName);
+  if (circuit.openedUntil > now) {
+    throw new AIError('circuit_open', `AI circuit for ${providerName} is open until ${new Date(circuit.openedUntil).toISOString()}`);
+  }
+  if (circuit.openedUntil === 0) return false;
+  if (circuit.probeInFlight) {
+    throw new AIError('circuit_open', `AI circuit for ${providerName} is half-open, waiting for the probe request`);
+  }
+  circuit.probeInFlight = true;
+  return true;
+}
 
-    const prompt = `You are an e-commerce cross-sell recommendation expert. Please recommend 3 best matching products for the following item.
+function releaseCircuitProbe(providerName) {
+  getCircuit(providerName).probeInFlight = false;
+}
 
-[Source Product]
-${summarize(product)}
-Price: $${product.price}
+function recordCircuitSuccess(providerName) {
+  const circuit = getCircuit(providerName);
+  if (circuit.openedUntil > 0) console.log(`[AI] Circuit for ${providerName} closed`);
+  circuit.consecutiveFailures = 0;
+  circuit.openedUntil = 0;
+}
 
-[Candidate Products]
-${limitedOthers.map((p, i) => `${i + 1}. ID:${p.productId} | ${summarize(p)} | $${p.price}`).join('\n')}
+function recordCircuitFailure(providerName, error) {
+  if (!AI_CIRCUIT_ERROR_TYPES.includes(error.type)) return;
+  const circuit = getCircuit(providerName);
+  circuit.consecutiveFailures++;
+  circuit.lastError = error.type;
+  // 半开状态下（冷却结束后）再次失败会立即重新熔断
+  if (circuit.consecutiveFailures >= AI_CIRCUIT_THRESHOLD) {
+    circuit.openedUntil = Date.now() + AI_CIRCUIT_COOLDOWN_MS;
+    console.error(`[AI] ⛔ Circuit for ${providerName} opened after ${circuit.consecutiveFailures} consecutive failures (last: ${error.type}), pausing AI for ${AI_CIRCUIT_COOLDOWN_MS}ms`);
+  }
+}
 
-[Core Rules - Must Follow Strictly]
-1. Gender must match: [Men] products can only recommend [Men] or unisex items, [Women] products can only recommend [Women] or unisex items
-2. No same-category recommendations: Don't recommend clothing for clothing! No tops for tops, no pants for pants, no dresses for dresses
-3. Prioritize accessories: Earrings, necklaces, bags, hats, socks, shoes and other accessories are the best choices
-4. Complementary principle: Recommend items that can be worn together with the source product, not replacements
+function getCircuitStatus() {
+  const now = Date.now();
+  return Object.fromEntries([...aiCircuits.entries()].map(([name, c]) => [name, {
+    open: c.openedUntil > now,
+    halfOpen: c.openedUntil > 0 && c.openedUntil <= now,
+    consecutiveFailures: c.consecutiveFailures,
+    lastError: c.lastError,
+    reopensAt: c.openedUntil > now ? new Date(c.openedUntil).toISOString() : null
+  }]));
+}
 
-Return JSON with 3 recommendations in ENGLISH ONLY:
-{"recommendations":[{"productId":"xxx","reason":"English reason only"}]}`;
+/**
+ * 调用 AI：带超时、按错误类型重试（指数退避，遵循 Retry-After）和熔断
+ * @param {string} prompt
+ * @param {object} [provider]
+ * @param {string} [systemPrompt]
+ * @param {Array} [followUp] - 追加在用户 prompt 之后的对话消息（用于纠正重问）
+ * @param {Object} [options] - mode: 'recommendations' | 'bundles'，期望的响应格式（传给 provider.chat，mock provider 据此生成对应的 JSON）
+ * @returns {Promise<{content: string, usage: object|null, attempts: number}>}
+ * @throws {AIError} 重试耗尽或不可重试时抛出
+ */
+async function callAI(prompt, provider = getAIProvider(), systemPrompt = RECOMMENDATION_SYSTEM_PROMPT, followUp = [], { mode = 'recommendations' } = {}) {
+  if (!provider.isConfigured()) {
+    throw new AIError('not_configured', `AI provider ${provider.name} is not configured`);
+  }
 
-    console.log(`[AI] Calling DeepSeek API for product ${product.productId}...`);
-    const aiRes = await callDeepSeek(prompt);
+  const probe = acquireCircuit(provider.name);
+  try {
+    return await callAIWithRetries(prompt, provider, systemPrompt, followUp, mode);
+  } finally {
+    if (probe) releaseCircuitProbe(provider.name);
+  }
+}
 
-    if (aiRes) {
-      console.log(`[AI] ✅ DeepSeek API response received`);
-      // 累加token消耗（分别记录输入和输出token）
-      if (aiRes.usage) {
-        if (aiRes.usage.total_tokens) {
-          totalTokens += aiRes.usage.total_tokens;
-        }
-        if (aiRes.usage.prompt_tokens) {
-          totalPromptTokens += aiRes.usage.prompt_tokens;
-        }
-        if (aiRes.usage.completion_tokens) {
-          totalCompletionTokens += aiRes.usage.completion_tokens;
-        }
-        console.log(`[AI] Tokens used: ${aiRes.usage.total_tokens} (input: ${aiRes.usage.prompt_tokens}, output: ${aiRes.usage.completion_tokens})`);
-      }
+async function callAIWithRetries(prompt, provider, systemPrompt, followUp, mode) {
+  const maxRetries = readIntEnv('AI_MAX_RETRIES', 3);
+  const timeoutMs = readIntEnv('AI_TIMEOUT_MS', 60000, 1);
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: prompt },
+    ...followUp
+  ];
 
-      try {
-        const json = aiRes.content?.match(/\{[\s\S]*\}/)?.[0];
-        if (json) {
-          const parsed = JSON.parse(json);
-          const seen = new Set(); // 避免重复推荐
-          let addedForThisProduct = 0;
-          for (const rec of (parsed.recommendations || []).slice(0, 3)) {
-            const productId = String(rec.productId);
-            if (seen.has(productId)) continue;
-
-            const target = others.find(p => p.productId === productId);
-            if (target) {
-              seen.add(productId);
-              results.push({
-                sourceId: product.productId,
-                targetId: target.productId,
-                reason: rec.reason || 'Recommended pairing'
-              });
-              addedForThisProduct++;
-            }
-          }
-          console.log(`[AI] ✅ Added ${addedForThisProduct} recommendations for product ${product.productId}`);
-        } else {
-          console.warn(`[AI] ⚠️ Could not extract JSON from AI response`);
-        }
-      } catch (e) {
-        console.error('[AI] ❌ Parse error:', e.message);
+  let attempt = 0;
+  while (true) {
+    attempt++;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const result = await provider.chat(messages, { signal: controller.signal, mode });
+      recordCircuitSuccess(provider.name);
+      return { ...result, attempts: attempt };
+    } catch (e) {
+      const error = e instanceof AIError ? e : new AIError('network', e.message);
+      if (!error.retryable || attempt > maxRetries) {
+        console.error(`[AI] ${provider.name} failed after ${attempt} attempt(s): [${error.type}] ${error.message}`);
+        recordCircuitFailure(provider.name, error);
+        error.attempts = attempt;
+        throw error;
       }
-    } else {
-      console.log(`[AI] ⚠️ No AI response, using fallback recommendations`);
-      // Fallback: 优先推荐配饰类商品
-      const accessories = others.filter(p =>
-        (p.productType || '').toLowerCase().includes('accessor') ||
-        (p.productType || '').toLowerCase().includes('footwear')
-      );
-      const fallbackPool = accessories.length > 0 ? accessories : others;
-      let fallbackCount = 0;
-      fallbackPool.slice(0, 3).forEach(t => {
-        results.push({
-          sourceId: product.productId,
-          targetId: t.productId,
-          reason: 'Perfect match'
-        });
-        fallbackCount++;
-      });
-      console.log(`[AI] Added ${fallbackCount} fallback recommendations for product ${product.productId}`);
+      // 指数退避（1s, 2s, 4s...）加随机抖动；服务端给出 Retry-After 时以其为准
+      const backoff = Math.min(error.retryAfterMs ?? (1000 * 2 ** (attempt - 1) + Math.random() * 250), 60000);
+      console.warn(`[AI] ${provider.name} attempt ${attempt} failed: [${error.type}] ${error.message}, retrying in ${Math.round(backoff)}ms`);
+      await new Promise(r => setTimeout(r, backoff));
+    } finally {
+      clearTimeout(timer);
     }
-    if (process.env.DEEPSEEK_API_KEY) await new Promise(r => setTimeout(r, 200));
   }
+}
 
-  console.log('[AI] ===== GENERATION COMPLETE =====');
-  console.log(`[AI] Total recommendations generated: ${results.length}`);
-  console.log(`[AI] Total tokens used: ${totalTokens}`);
+// ============ AI 响应校验与修复 ============
+const GID_PRODUCT_PREFIX = 'gid://shopify/Product/';
+
+// 从文本中截取第一个完整的 JSON 对象或数组（忽略字符串内的括号），用于去掉前后多余的说明文字
+function extractJsonBlock(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
 
-  return {
-    recommendations: results,
-    totalTokens,
-    promptTokens: totalPromptTokens,
-    completionTokens: totalCompletionTokens
-  };
+// 规范化单条推荐：数字 ID 转字符串、去掉 gid 前缀、兼容 id / product_id 字段名
+function normalizeRecommendation(rec, repairs) {
+  if (!rec || typeof rec !== 'object') return null;
+  let productId = rec.productId ?? rec.product_id ?? rec.id;
+  if (productId === undefined || productId === null || productId === '') return null;
+  if (rec.productId === undefined) repairs.add('field_alias');
+  if (typeof productId === 'number') repairs.add('numeric_id');
+  productId = String(productId).trim();
+  if (productId.startsWith(GID_PRODUCT_PREFIX)) {
+    repairs.add('gid_prefix');
+    productId = productId.slice(GID_PRODUCT_PREFIX.length);
+  }
+  const reason = typeof rec.reason === 'string' && rec.reason.trim() ? rec.reason.trim() : null;
+  // 多语言商店：reasons 为 { locale: reason }，语言代码统一规范化
+  let reasons = null;
+  if (rec.reasons && typeof rec.reasons === 'object' && !Array.isArray(rec.reasons)) {
+    for (const [key, value] of Object.entries(rec.reasons)) {
+      const locale = normalizeLocale(key);
+      if (locale && typeof value === 'string' && value.trim()) {
+        reasons = reasons || {};
+        reasons[locale] = value.trim();
+      }
+    }
+  }
+  return { productId, reason, reasons };
 }
 
-// ============ Development Store Detection ============
 /**
- * 判断是否为开发店
- * @param {string} planName - Shopify plan name
- * @returns {boolean}
+ * 从 AI 返回的文本中解析 JSON：去掉代码块包裹和前后多余文字，修复尾随逗号，修复项记录在 repairs 中
+ * @returns {{parsed?: *, error?: string}}
  */
-function isDevelopmentStore(planName) {
-  if (!planName) return false;
+function parseJsonContent(content, repairs) {
+  if (typeof content !== 'string' || !content.trim()) return { error: 'Empty response' };
+
+  let text = content.trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    repairs.add('code_fence');
+    text = fenced[1].trim();
+  }
 
-  const planLower = planName.toLowerCase();
+  const block = extractJsonBlock(text);
+  if (!block) return { error: 'No JSON object found' };
+  if (block.length !== text.length) repairs.add('surrounding_text');
 
-  // 开发店的plan关键词
-  const devKeywords = [
-    'development',  // Basic App Development, Development Store
-    'partner',      // Partner Test, Partner Development
-    'affiliate',    // Affiliate
-    'staff',        // Staff
+  try {
+    return { parsed: JSON.parse(block) };
+  } catch (e) {
+    try {
+      const parsed = JSON.parse(block.replace(/,\s*([}\]])/g, '$1'));
+      repairs.add('trailing_comma');
+      return { parsed };
+    } catch (e2) {
+      return { error: `Invalid JSON: ${e.message}` };
+    }
+  }
+}
+
+/**
+ * 校验并修复 AI 返回的推荐 JSON
+ * 期望格式：单个商品 {recommendations:[{productId,reason}]}，批量 {results:[{sourceId,recommendations:[...]}]}
+ * 多语言商店的推荐使用 reasons（{ locale: reason }）代替 reason
+ * 可修复：代码块包裹、前后多余文字、尾随逗号、数字 ID、gid 前缀 ID、字段别名、顶层直接返回数组
+ * @param {string} content - AI 返回的原始文本
+ * @param {{batch?: boolean}} [options]
+ * @returns {{ok: boolean, recommendations?: Array, bySource?: Map, repairs: string[], error?: string}}
+ */
+function parseRecommendationResponse(content, { batch = false } = {}) {
+  const repairs = new Set();
+  const fail = (error) => ({ ok: false, repairs: [...repairs], error });
+
+  const { parsed, error } = parseJsonContent(content, repairs);
+  if (error) return fail(error);
+
+  const normalizeList = (list) => {
+    if (!Array.isArray(list)) return null;
+    const recs = list.map(rec => normalizeRecommendation(rec, repairs)).filter(Boolean);
+    if (recs.length < list.length) repairs.add('dropped_invalid_entries');
+    return recs;
+  };
+
+  if (batch) {
+    const entries = Array.isArray(parsed) ? parsed : parsed.results;
+    if (Array.isArray(parsed)) repairs.add('top_level_array');
+    if (!Array.isArray(entries)) return fail('Missing results array');
+
+    const bySource = new Map();
+    for (const entry of entries) {
+      if (!entry || entry.sourceId === undefined || entry.sourceId === null) continue;
+      let sourceId = String(entry.sourceId).trim();
+      if (sourceId.startsWith(GID_PRODUCT_PREFIX)) {
+        repairs.add('gid_prefix');
+        sourceId = sourceId.slice(GID_PRODUCT_PREFIX.length);
+      }
+      const recs = normalizeList(entry.recommendations);
+      if (recs) bySource.set(sourceId, recs);
+    }
+    if (bySource.size === 0) return fail('No usable results');
+    return { ok: true, bySource, repairs: [...repairs] };
+  }
+
+  let list = parsed.recommendations;
+  if (Array.isArray(parsed)) {
+    repairs.add('top_level_array');
+    list = parsed;
+  } else if (!Array.isArray(list) && Array.isArray(parsed.results) && parsed.results.length === 1) {
+    repairs.add('unwrapped_results');
+    list = parsed.results[0].recommendations;
+  }
+  const recommendations = normalizeList(list);
+  if (!recommendations) return fail('Missing recommendations array');
+  if (recommendations.length === 0) return fail('Empty recommendations array');
+  return { ok: true, recommendations, repairs: [...repairs] };
+}
+
+// 配饰在候选排序中的额外加分（在互补得分 0~1 的基础上）
+const ACCESSORY_SIMILARITY_BONUS = 0.15;
+
+// 相似度超过该阈值的候选多半是替代品（换个颜色 / 型号的同类商品），而不是能一起搭配的商品
+const SUBSTITUTE_SIMILARITY_THRESHOLD = 0.6;
+// 超过阈值部分的扣分倍数：相似度越高排得越靠后
+const SUBSTITUTE_SIMILARITY_PENALTY = 2;
+
+// 每条推荐预估的输出 token 数（用于 token 预算控制）
+const ESTIMATED_COMPLETION_TOKENS_PER_REC = 30;
+
+/**
+ * 请求启动速率限制：相邻两次启动的间隔至少为 60000 / requestsPerMinute 毫秒（0 = 不限）
+ * @returns {{requestsPerMinute: number, wait: Function}} wait() 在轮到本次启动时 resolve
+ */
+function createRateLimiter(requestsPerMinute) {
+  const minInterval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextStartAt = 0;
+  return {
+    requestsPerMinute,
+    async wait() {
+      if (minInterval === 0) return;
+      const now = Date.now();
+      const startAt = Math.max(now, nextStartAt);
+      nextStartAt = startAt + minInterval;
+      if (startAt > now) await new Promise(r => setTimeout(r, startAt - now));
+    }
+  };
+}
+
+// 按 provider 共享的速率限制器：同一进程内并发的同步（推荐、实验变体、套装）共用每分钟请求上限
+const aiRateLimiters = new Map();
+
+/**
+ * 获取 provider 的共享速率限制器（mock provider 不限速）
+ * @param {{name: string}} provider
+ * @param {number} [requestsPerMinute] - 默认 AI_REQUESTS_PER_MINUTE（120）；同一 provider 使用不同上限时各自独立限速
+ */
+function getAIRateLimiter(provider, requestsPerMinute = readIntEnv('AI_REQUESTS_PER_MINUTE', 120)) {
+  const rpm = provider.name === 'mock' ? 0 : requestsPerMinute;
+  const key = `${provider.name}:${rpm}`;
+  if (!aiRateLimiters.has(key)) aiRateLimiters.set(key, createRateLimiter(rpm));
+  return aiRateLimiters.get(key);
+}
+
+/**
+ * 有界并发的任务池，按速率限制器控制任务启动速率
+ * @param {Array} tasks - 任务列表
+ * @param {Function} worker - async (task, index) => result
+ * @param {object} options - { concurrency, rateLimiter（见 createRateLimiter，可跨任务池共享）或 requestsPerMinute (0 = 不限，仅本任务池),
+ *   admit(task) => boolean（返回 false 时停止派发） }
+ * @returns {Promise<{results: Array, stopped: boolean, processed: number}>} results 与 tasks 一一对应
+ */
+async function runWorkerPool(tasks, worker, { concurrency = 1, requestsPerMinute = 0, rateLimiter = null, admit = null } = {}) {
+  const results = new Array(tasks.length);
+  const limiter = rateLimiter || createRateLimiter(requestsPerMinute);
+  let nextIndex = 0;
+  let stopped = false;
+
+  const runNext = async () => {
+    while (!stopped && nextIndex < tasks.length) {
+      const index = nextIndex;
+      if (admit && !admit(tasks[index])) {
+        stopped = true;
+        break;
+      }
+      nextIndex++;
+
+      await limiter.wait();
+      results[index] = await worker(tasks[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workers }, runNext));
+  return { results, stopped, processed: nextIndex };
+}
+
+// ============ Prompt 模板 ============
+// 推荐 prompt 存在数据库中（PromptTemplate），同名模板每次修改生成新版本，旧版本保留用于对比效果
+// 生效顺序：商店指定模板 > 计划（plan）指定模板 > 内置模板
+// 占位符：{{source}} / {{sources}} 源商品，{{candidates}} 候选商品，{{rules}} 核心规则，
+// {{language}} 语言要求，{{shape}} 单条推荐的 JSON 格式，{{count}} 每个商品的推荐数
+const PROMPT_PLACEHOLDERS = ['source', 'sources', 'candidates', 'rules', 'language', 'shape', 'count'];
+const PROMPT_REQUIRED_PLACEHOLDERS = {
+  singlePrompt: ['source', 'candidates'],
+  batchPrompt: ['sources', 'candidates']
+};
+
+const BUILTIN_PROMPT_TEMPLATE = {
+  id: null,
+  name: 'builtin',
+  version: 1,
+  systemPrompt: RECOMMENDATION_SYSTEM_PROMPT,
+  batchSystemPrompt: BATCH_RECOMMENDATION_SYSTEM_PROMPT,
+  singlePrompt: `You are an e-commerce cross-sell recommendation expert. Please recommend {{count}} best matching products for the following item.
+
+[Source Product]
+{{source}}
+
+[Candidate Products]
+{{candidates}}
+
+{{rules}}
+
+{{language}}
+
+Return JSON with {{count}} recommendations:
+{"recommendations":[{{shape}}]}`,
+  batchPrompt: `You are an e-commerce cross-sell recommendation expert. For EACH source product below, please recommend {{count}} best matching products from the shared candidate list.
+
+[Source Products]
+{{sources}}
+
+[Candidate Products]
+{{candidates}}
+
+{{rules}}
+5. Never recommend a source product for itself
+
+{{language}}
+
+Return JSON with one entry per source product and {{count}} recommendations each:
+{"results":[{"sourceId":"xxx","recommendations":[{{shape}}]}]}`
+};
+
+/**
+ * 模板版本标识，记录在 SyncLog / Recommendation 的 promptVersion 上
+ */
+function formatPromptVersion(template) {
+  return `${template.name}@v${template.version}`;
+}
+
+/**
+ * 替换模板中的占位符，未提供的占位符原样保留
+ */
+function renderPrompt(text, vars) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] !== undefined ? String(vars[key]) : match));
+}
+
+/**
+ * 数据库行转换为生成时使用的模板（系统 prompt 为空时使用内置的）
+ */
+function toPromptTemplate(row) {
+  if (!row) return BUILTIN_PROMPT_TEMPLATE;
+  return {
+    id: row.id,
+    name: row.name,
+    version: row.version,
+    systemPrompt: row.systemPrompt || BUILTIN_PROMPT_TEMPLATE.systemPrompt,
+    batchSystemPrompt: row.batchSystemPrompt || BUILTIN_PROMPT_TEMPLATE.batchSystemPrompt,
+    singlePrompt: row.singlePrompt,
+    batchPrompt: row.batchPrompt
+  };
+}
+
+/**
+ * 校验新模板，返回错误信息（合法时返回 null）
+ */
+function validatePromptTemplate(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'template must be an object';
+  if (typeof body.name !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(body.name)) {
+    return 'name is required (letters, digits, "-" and "_")';
+  }
+  if (body.name === BUILTIN_PROMPT_TEMPLATE.name) return `name "${BUILTIN_PROMPT_TEMPLATE.name}" is reserved`;
+
+  for (const field of ['systemPrompt', 'batchSystemPrompt']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') return `${field} must be a string`;
+  }
+  for (const [field, required] of Object.entries(PROMPT_REQUIRED_PLACEHOLDERS)) {
+    const text = body[field];
+    if (typeof text !== 'string' || !text.trim()) return `${field} is required`;
+    const used = [...text.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]);
+    const unknown = used.find(name => !PROMPT_PLACEHOLDERS.includes(name));
+    if (unknown) return `${field} uses unknown placeholder {{${unknown}}}, allowed: ${PROMPT_PLACEHOLDERS.join(', ')}`;
+    const missing = required.find(name => !used.includes(name));
+    if (missing) return `${field} must contain {{${missing}}}`;
+  }
+  return null;
+}
+
+/**
+ * 获取商店生效的 prompt 模板：商店指定 > 计划指定 > 内置
+ */
+async function resolvePromptTemplate(shop) {
+  if (shop.promptTemplateId) {
+    const result = await pool.query('SELECT * FROM "PromptTemplate" WHERE "id" = $1', [shop.promptTemplateId]);
+    if (result.rows.length > 0) return toPromptTemplate(result.rows[0]);
+    console.warn(`[Prompt] Template ${shop.promptTemplateId} for ${shop.domain} not found, falling back to plan template`);
+  }
+
+  const result = await pool.query(
+    `SELECT t.* FROM "PromptAssignment" a JOIN "PromptTemplate" t ON t."id" = a."templateId" WHERE a."plan" = $1`,
+    [shop.plan || 'free']
+  );
+  return toPromptTemplate(result.rows[0]);
+}
+
+// ============ AI 结果缓存 ============
+// 刷新同步会删除全部推荐并重新生成。每个 AI 任务按 provider 及其模型、接口地址和温度、prompt 模板版本、system prompt 和渲染后的 prompt 计算缓存键
+// （渲染后的 prompt 已包含源商品摘要、候选列表、语言和推荐数），商品和候选集都没有变化时复用上次可用的结果，不再消耗 token
+// 更换模型、接口地址或温度后不复用旧模型的结果；缓存使用独立连接写入，不随同步事务回滚
+const AI_CACHE_TTL_DAYS = readIntEnv('AI_CACHE_TTL_DAYS', 30, 1);
+
+/**
+ * @param {{provider: Object, promptVersion: string, systemPrompt: string, prompt: string}} task - provider 为 provider 对象（见 getAIProvider）
+ */
+function computeAICacheKey({ provider, promptVersion, systemPrompt, prompt }) {
+  const settings = provider.settings ? provider.settings() : {};
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider.name, settings.model ?? null, settings.baseUrl ?? null, settings.temperature ?? null, promptVersion, systemPrompt, prompt]))
+    .digest('hex');
+}
+
+/**
+ * 创建商店的 AI 结果缓存（generateRecommendations 的 options.aiCache）
+ * @param {string} shopId
+ * @returns {{getMany: Function, set: Function, prune: Function}}
+ */
+function createAICache(shopId) {
+  return {
+    // 批量查询，返回 Map(key → {recommendations, tokens})；超过 AI_CACHE_TTL_DAYS 的条目视为未命中
+    // touch 为 false 时不更新命中计数（同步预估）
+    async getMany(keys, { touch = true } = {}) {
+      if (keys.length === 0) return new Map();
+      const result = await pool.query(touch ? `
+        UPDATE "AICache" SET "hits" = "hits" + 1, "lastUsedAt" = NOW()
+        WHERE "shopId" = $1 AND "key" = ANY($2) AND "createdAt" > NOW() - make_interval(days => $3)
+        RETURNING "key", "recommendations", "tokens"
+      ` : `
+        SELECT "key", "recommendations", "tokens" FROM "AICache"
+        WHERE "shopId" = $1 AND "key" = ANY($2) AND "createdAt" > NOW() - make_interval(days => $3)
+      `, [shopId, keys, AI_CACHE_TTL_DAYS]);
+      return new Map(result.rows.map(r => [r.key, { recommendations: r.recommendations, tokens: r.tokens }]));
+    },
+
+    // recommendations: { 源商品 ID: [{productId, reason, reasons}] }，tokens: 生成这个结果消耗的 token
+    async set(key, { promptVersion, recommendations, tokens }) {
+      await pool.query(`
+        INSERT INTO "AICache" ("shopId", "key", "promptVersion", "recommendations", "tokens")
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT ("shopId", "key") DO UPDATE SET
+          "promptVersion" = $3, "recommendations" = $4, "tokens" = $5, "hits" = 0, "createdAt" = NOW(), "lastUsedAt" = NOW()
+      `, [shopId, key, promptVersion, JSON.stringify(recommendations), tokens]);
+    },
+
+    // 删除过期条目，返回删除数
+    async prune() {
+      const result = await pool.query(
+        `DELETE FROM "AICache" WHERE "shopId" = $1 AND "createdAt" <= NOW() - make_interval(days => $2)`,
+        [shopId, AI_CACHE_TTL_DAYS]
+      );
+      return result.rowCount;
+    }
+  };
+}
+
+// ============ 相似度索引 ============
+// 本地离线的商品向量：对标题、类型、标签、描述分词后做特征哈希（feature hashing），
+// 词频取对数并按字段加权，L2 归一化后存入 Product."vector"，余弦相似度即向量点积
+const PRODUCT_VECTOR_DIMENSIONS = 256;
+const INDEX_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'our', 'this', 'that', 'are', 'from', 'in', 'of', 'to', 'on', 'is', 'it',
+  'an', 'or', 'by', 'at', 'as', 'be', 'all', 'new', 'online'
+]);
+
+function tokenizeForIndex(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length > 1 && !INDEX_STOPWORDS.has(t));
+}
+
+// FNV-1a 32 位哈希
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// 按字段加权的词项列表；"FilterColor: Onyx" 这类键值标签额外生成 filtercolor=onyx 组合词
+function getIndexTerms(p) {
+  const terms = [];
+  const add = (tokens, weight) => tokens.forEach(t => terms.push([t, weight]));
+
+  add(tokenizeForIndex(p.title), 3);
+  add(tokenizeForIndex(p.productType), 2);
+  for (const tag of (p.tags || [])) {
+    const [key, ...rest] = String(tag).split(':');
+    if (rest.length > 0) {
+      const value = rest.join(':').trim().toLowerCase();
+      if (value) terms.push([`${key.trim().toLowerCase()}=${value}`, 2]);
+      add(tokenizeForIndex(value), 1);
+    } else {
+      terms.push([`tag=${String(tag).trim().toLowerCase()}`, 2]);
+      add(tokenizeForIndex(tag), 1);
+    }
+  }
+  add(tokenizeForIndex((p.description || '').substring(0, 300)), 0.5);
+  return terms;
+}
+
+// 参与索引的文本的哈希，用于判断商品变化后是否需要重建向量
+function getVectorHash(p) {
+  return crypto.createHash('md5')
+    .update(JSON.stringify([p.title || '', p.productType || '', p.tags || [], (p.description || '').substring(0, 300)]))
+    .digest('hex');
+}
+
+/**
+ * 计算商品的哈希向量（已 L2 归一化）
+ * @param {object} p - 商品（title / productType / tags / description）
+ * @returns {number[]}
+ */
+function computeProductVector(p) {
+  const counts = new Map();
+  for (const [term, weight] of getIndexTerms(p)) {
+    counts.set(term, (counts.get(term) || 0) + weight);
+  }
+
+  const vector = new Array(PRODUCT_VECTOR_DIMENSIONS).fill(0);
+  for (const [term, weight] of counts) {
+    const hash = fnv1a(term);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % PRODUCT_VECTOR_DIMENSIONS] += sign * (1 + Math.log(weight));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => Math.round((v / norm) * 10000) / 10000) : vector;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * 同步时增量更新相似度索引：只为新商品或索引文本有变化的商品重算向量
+ * @param {object} client - 数据库客户端（在同步事务中调用）
+ * @param {Array} products - 刚保存的 Product 行
+ * @returns {Promise<number>} 更新的商品数
+ */
+async function updateProductVectors(client, products) {
+  let updated = 0;
+  for (const p of products) {
+    const hash = getVectorHash(p);
+    if (p.vectorHash === hash && Array.isArray(p.vector) && p.vector.length === PRODUCT_VECTOR_DIMENSIONS) continue;
+
+    const vector = computeProductVector(p);
+    await client.query(
+      'UPDATE "Product" SET "vector" = $1, "vectorHash" = $2 WHERE "id" = $3',
+      [vector, hash, p.id]
+    );
+    p.vector = vector;
+    p.vectorHash = hash;
+    updated++;
+  }
+  return updated;
+}
+
+// ============ 多语言（Locale） ============
+const DEFAULT_LOCALE = 'en';
+
+// 支持的语言：language 用于要求 AI 以该语言撰写推荐理由，reasons 为 AI 缺失理由、商家固定推荐和共同购买推荐的文案，heuristic 为规则推荐的理由模板，bundle 为规则套装的标题和理由，feeds 为商店级推荐（人气 / 热度上升 / 新品）的标签
+const LOCALES = {
+  en: {
+    language: 'English',
+    reasons: { pairing: 'Recommended pairing', merchant: 'Recommended by the store', copurchase: 'Frequently bought together' },
+    heuristic: { style: 'Matches its style', collection: 'From the same collection', vendor: 'Also from {vendor}', accessory: 'Completes the look', addon: 'An easy add-on', default: 'Pairs well together' },
+    bundle: { title: 'Complete the look', reason: 'Pieces that go together' },
+    feeds: { popular: 'Popular right now', trending: 'Trending', new: 'New arrival' }
+  },
+  zh: {
+    language: 'Simplified Chinese',
+    reasons: { pairing: '推荐搭配', merchant: '店铺推荐', copurchase: '经常一起购买' },
+    heuristic: { style: '风格相配', collection: '同系列商品', vendor: '同为 {vendor} 出品', accessory: '完善整体造型', addon: '顺手加购', default: '搭配推荐' },
+    bundle: { title: '整套搭配', reason: '一起搭配更出彩' },
+    feeds: { popular: '人气商品', trending: '热度上升', new: '新品上架' }
+  },
+  ja: {
+    language: 'Japanese',
+    reasons: { pairing: 'おすすめの組み合わせ', merchant: 'ショップのおすすめ', copurchase: 'よく一緒に購入されています' },
+    heuristic: { style: 'スタイルがぴったり', collection: '同じコレクションから', vendor: '同じ{vendor}のアイテム', accessory: 'コーデを仕上げる一品', addon: '気軽に追加できる一品', default: '相性の良い組み合わせ' },
+    bundle: { title: 'コーディネートセット', reason: '一緒に使える組み合わせ' },
+    feeds: { popular: '人気のアイテム', trending: '注目急上昇', new: '新着アイテム' }
+  },
+  es: {
+    language: 'Spanish',
+    reasons: { pairing: 'Combinación recomendada', merchant: 'Recomendado por la tienda', copurchase: 'Se compran juntos a menudo' },
+    heuristic: { style: 'Combina con su estilo', collection: 'De la misma colección', vendor: 'También de {vendor}', accessory: 'Completa el look', addon: 'Un complemento fácil', default: 'Combinan bien' },
+    bundle: { title: 'Completa el look', reason: 'Piezas que combinan entre sí' },
+    feeds: { popular: 'Popular ahora', trending: 'En tendencia', new: 'Novedad' }
+  },
+  fr: {
+    language: 'French',
+    reasons: { pairing: 'Association recommandée', merchant: 'Recommandé par la boutique', copurchase: 'Souvent achetés ensemble' },
+    heuristic: { style: 'Assorti à son style', collection: 'De la même collection', vendor: 'Également de {vendor}', accessory: 'Complète le look', addon: 'Un ajout facile', default: 'Vont bien ensemble' },
+    bundle: { title: 'Complétez le look', reason: 'Des pièces qui vont ensemble' },
+    feeds: { popular: 'Populaire en ce moment', trending: 'Tendance', new: 'Nouveauté' }
+  },
+  de: {
+    language: 'German',
+    reasons: { pairing: 'Empfohlene Kombination', merchant: 'Vom Shop empfohlen', copurchase: 'Häufig zusammen gekauft' },
+    heuristic: { style: 'Passt zum Stil', collection: 'Aus derselben Kollektion', vendor: 'Ebenfalls von {vendor}', accessory: 'Rundet den Look ab', addon: 'Eine einfache Ergänzung', default: 'Passen gut zusammen' },
+    bundle: { title: 'Komplettiere den Look', reason: 'Teile, die zusammenpassen' },
+    feeds: { popular: 'Gerade beliebt', trending: 'Im Trend', new: 'Neu eingetroffen' }
+  }
+};
+
+// 规范化语言代码：'fr-CA' / 'FR' → 'fr'，不支持的语言返回 null
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string') return null;
+  const code = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[code] ? code : null;
+}
+
+// 商店的语言列表，第一个为主语言
+function getShopLocales(shop) {
+  const primary = normalizeLocale(shop && shop.primaryLocale) || DEFAULT_LOCALE;
+  const others = ((shop && shop.locales) || []).map(normalizeLocale).filter(Boolean);
+  return [...new Set([primary, ...others])];
+}
+
+// 选择响应使用的语言：请求的语言在商店语言列表中时使用它，否则使用主语言
+function resolveLocale(requested, shop) {
+  const locales = getShopLocales(shop);
+  const locale = normalizeLocale(requested);
+  return locale && locales.includes(locale) ? locale : locales[0];
+}
+
+// 取推荐理由：优先使用按语言存储的 reasons，缺失时回退到 reason 列
+function localizeReason(rec, locale) {
+  return (rec.reasons && rec.reasons[locale]) || rec.reason;
+}
+
+// ============ 商品分类（Taxonomy） ============
+// 分类规则：按顺序匹配，命中第一条即返回。每条规则可包含：
+//   title / productType / tags: 只匹配对应字段的关键词；keywords: 匹配任意字段
+//   accessory: 该类目是否为配饰（候选排序和 fallback 优先推荐）
+// 关键词不区分大小写，拉丁字母等按整词匹配并兼容复数（dress → dresses），中日韩文字按子串匹配
+// 受众规则中 unisex 排在最前：标明男女同款的商品即使同时出现 men's / women's 也不做性别过滤
+const DEFAULT_TAXONOMY = {
+  audiences: [
+    { name: 'unisex', keywords: ['unisex', 'gender neutral', 'genderless'] },
+    { name: 'male', keywords: ["men's", 'mens', 'male', 'boy'] },
+    { name: 'female', keywords: ["women's", 'womens', 'female', 'girl', 'ladies'], title: ['dress', 'skirt', 'bra'] }
+  ],
+  categories: [
+    // 配饰类（细分）
+    { name: 'hat', accessory: true, title: ['hat', 'cap', 'beanie', 'visor'] },
+    { name: 'jewelry', accessory: true, title: ['earring', 'necklace', 'bracelet', 'ring', 'jewelry'], productType: ['jewelry'] },
+    { name: 'bag', accessory: true, title: ['bag', 'purse', 'backpack', 'tote'], productType: ['bag'] },
+    { name: 'sock', accessory: true, title: ['sock'], productType: ['sock'] },
+    { name: 'shoe', accessory: true, title: ['shoe', 'sneaker', 'boot', 'sandal', 'slipper', 'heel'], productType: ['shoe', 'footwear'] },
+    { name: 'accessory', accessory: true, title: ['belt', 'watch', 'sunglasses', 'scarf', 'keychain'], productType: ['accessory', 'accessories'] },
+
+    // 美妆类（细分）
+    { name: 'set', title: ['gift set', 'bundle', 'duo', 'trio', 'vault'], productType: ['set', 'bundle', 'collection set'] },
+    { name: 'tools', accessory: true, title: ['brush', 'sponge', 'applicator', 'sharpener', 'puff'], productType: ['brush', 'tool'] },
+    { name: 'face', title: ['foundation', 'concealer', 'blush', 'bronzer', 'highlighter', 'primer', 'contour', 'setting spray', 'skin tint'], productType: ['face', 'foundation', 'concealer', 'blush', 'bronzer', 'highlighter', 'powder', 'primer'] },
+    { name: 'lip', title: ['lipstick', 'lip', 'lippie', 'gloss', 'glossy', 'lip balm'], productType: ['lip', 'lipstick', 'lippie', 'gloss', 'glossy'] },
+    { name: 'eye', title: ['eyeshadow', 'shadow', 'mascara', 'eyeliner', 'brow', 'lash', 'palette'], productType: ['eye', 'eyeshadow', 'shadow', 'mascara', 'eyeliner', 'gel liner', 'ink liner', 'brow', 'lash', 'palette'] },
+    { name: 'nail', title: ['nail polish', 'nail', 'top coat', 'base coat'], productType: ['nail'] },
+    { name: 'skincare', title: ['serum', 'cleanser', 'moisturizer', 'toner', 'sunscreen', 'spf', 'face mask', 'exfoliator', 'skincare'], productType: ['skincare', 'skin care', 'serum', 'cleanser', 'moisturizer'] },
+    { name: 'fragrance', title: ['fragrance', 'perfume', 'parfum', 'eau de toilette', 'cologne', 'body mist'], productType: ['fragrance', 'perfume', 'mist'] },
+
+    // 服装类（细分）
+    { name: 'top', title: ['t-shirt', 'tee', 'shirt', 'top', 'blouse', 'tank', 'cami', 'polo'], productType: ['top'] },
+    { name: 'bottom', title: ['pant', 'sweatpant', 'jean', 'trouser', 'legging', 'short', 'jogger'], productType: ['bottom', 'pant', 'short', 'legging'] },
+    { name: 'skirt', title: ['skirt', 'skort'] },
+    { name: 'dress', title: ['dress', 'gown'], productType: ['dress'] },
+    { name: 'outerwear', title: ['jacket', 'coat', 'blazer', 'cardigan', 'hoodie', 'sweater', 'sweatshirt', 'pullover'], productType: ['outerwear', 'jacket'] },
+    { name: 'swim', title: ['swimsuit', 'bikini', 'swim trunk', 'swimwear', 'swim'], productType: ['swim', 'swimwear'] },
+    { name: 'underwear', title: ['bra', 'panty', 'underwear', 'lingerie', 'bodysuit'], productType: ['underwear', 'bra', 'lingerie'] },
+    { name: 'sleepwear', title: ['pajama', 'pj', 'sleep', 'lounge', 'robe'], productType: ['sleepwear'] }
+  ]
+};
+
+// 各语言的分类关键词（匹配任意字段），按商店语言追加到默认规则上；英文关键词已包含在默认规则中
+// 中日韩关键词按子串匹配，至少两个字（单字「包」会命中「包邮」）；其他语言避免在英文标题中另有含义的词（德语 rock、法语 robe）
+const TAXONOMY_LOCALE_KEYWORDS = {
+  zh: {
+    audiences: { unisex: ['男女同款', '男女款', '男女通用', '情侣款'], male: ['男士', '男款', '男装', '男生', '男童'], female: ['女士', '女款', '女装', '女生', '女童'] },
+    categories: {
+      hat: ['帽子', '棒球帽', '鸭舌帽', '渔夫帽', '贝雷帽', '毛线帽'], jewelry: ['耳环', '耳钉', '项链', '手链', '戒指', '首饰'],
+      bag: ['包包', '钱包', '背包', '手提包', '单肩包', '斜挎包', '双肩包', '托特包', '手拿包'], sock: ['袜子', '短袜', '长袜', '船袜', '丝袜'],
+      shoe: ['鞋子', '运动鞋', '板鞋', '帆布鞋', '皮鞋', '高跟鞋', '凉鞋', '拖鞋', '靴子', '短靴', '长靴', '凉拖'], accessory: ['腰带', '手表', '墨镜', '围巾', '配饰'],
+      set: ['套装', '礼盒'], tools: ['化妆刷', '粉扑', '美妆蛋', '工具'], face: ['粉底', '遮瑕', '腮红', '高光', '修容', '妆前', '定妆'],
+      lip: ['口红', '唇釉', '唇彩', '唇膏', '唇蜜', '唇泥', '唇线笔'], eye: ['眼影', '睫毛', '眼线', '眉笔', '眉粉', '眉胶', '染眉'], nail: ['指甲', '美甲'],
+      skincare: ['精华', '洁面', '面霜', '乳液', '爽肤水', '防晒', '面膜', '护肤'], fragrance: ['香水', '香氛'],
+      top: ['T恤', '衬衫', '上衣', '背心', '吊带'], bottom: ['长裤', '短裤', '牛仔裤', '打底裤', '运动裤', '裤子'],
+      skirt: ['半身裙', '短裙'], dress: ['连衣裙', '礼服'], outerwear: ['外套', '夹克', '大衣', '卫衣', '毛衣', '开衫'],
+      swim: ['泳衣', '泳裤', '比基尼'], underwear: ['内衣', '文胸', '内裤', '塑身'], sleepwear: ['睡衣', '家居服', '浴袍']
+    }
+  },
+  ja: {
+    audiences: { unisex: ['ユニセックス', '男女兼用'], male: ['メンズ', '男性'], female: ['レディース', '女性'] },
+    categories: {
+      hat: ['帽子', 'キャップ'], jewelry: ['ピアス', 'イヤリング', 'ネックレス', 'ブレスレット', '指輪', 'ジュエリー'], bag: ['バッグ', 'リュック', '財布'],
+      sock: ['靴下', 'ソックス'], shoe: ['革靴', '運動靴', 'シューズ', 'スニーカー', 'ブーツ', 'サンダル'], accessory: ['ベルト', '腕時計', 'サングラス', 'マフラー'],
+      set: ['セット', 'ギフト'], tools: ['ブラシ', 'パフ', 'スポンジ'], face: ['ファンデーション', 'コンシーラー', 'チーク', 'ハイライト', 'プライマー'],
+      lip: ['リップ', '口紅', 'グロス'], eye: ['アイシャドウ', 'マスカラ', 'アイライナー', 'アイブロウ'], nail: ['ネイル'],
+      skincare: ['美容液', '洗顔', 'クリーム', '化粧水', '日焼け止め', 'スキンケア'], fragrance: ['香水', 'フレグランス'],
+      top: ['Tシャツ', 'シャツ', 'ブラウス', 'トップス', 'タンクトップ'], bottom: ['パンツ', 'ジーンズ', 'レギンス', 'ショーツ'],
+      skirt: ['スカート'], dress: ['ワンピース', 'ドレス'], outerwear: ['ジャケット', 'コート', 'パーカー', 'セーター', 'カーディガン'],
+      swim: ['水着'], underwear: ['下着', 'ブラジャー', 'ショーツ', 'ランジェリー'], sleepwear: ['パジャマ', 'ルームウェア']
+    }
+  },
+  es: {
+    audiences: { male: ['hombre', 'caballero', 'niño'], female: ['mujer', 'dama', 'niña'] },
+    categories: {
+      hat: ['sombrero', 'gorra', 'gorro'], jewelry: ['arete', 'pendiente', 'colgante', 'gargantilla', 'pulsera', 'anillo', 'joyería'], bag: ['bolso', 'bolsa', 'mochila', 'cartera'],
+      sock: ['calcetín', 'calcetines'], shoe: ['zapato', 'zapatilla', 'bota', 'sandalia'], accessory: ['cinturón', 'reloj', 'gafas de sol', 'bufanda'],
+      set: ['estuche', 'kit de regalo'], tools: ['brocha', 'esponja'], face: ['base de maquillaje', 'corrector', 'rubor', 'iluminador', 'bronceador'],
+      lip: ['labial', 'brillo de labios', 'labios'], eye: ['sombra de ojos', 'máscara de pestañas', 'delineador', 'cejas'], nail: ['esmalte de uñas', 'uñas'],
+      skincare: ['sérum', 'limpiador', 'crema hidratante', 'tónico', 'protector solar', 'mascarilla'], fragrance: ['perfume', 'fragancia'],
+      top: ['camiseta', 'camisa', 'blusa', 'top'], bottom: ['pantalón', 'pantalones', 'vaquero', 'jeans', 'mallas', 'short'],
+      skirt: ['falda'], dress: ['vestido'], outerwear: ['chaqueta', 'abrigo', 'sudadera', 'suéter', 'cárdigan'],
+      swim: ['traje de baño', 'bañador', 'bikini'], underwear: ['sujetador', 'bragas', 'ropa interior', 'lencería'], sleepwear: ['pijama', 'bata']
+    }
+  },
+  fr: {
+    audiences: { unisex: ['mixte'], male: ['homme', 'garçon'], female: ['femme', 'fille'] },
+    categories: {
+      hat: ['chapeau', 'casquette', 'bonnet'], jewelry: ["boucle d'oreille", "boucles d'oreilles", 'collier', 'bracelet', 'bague', 'bijou', 'bijoux'], bag: ['sac', 'pochette', 'sac à dos'],
+      sock: ['chaussette'], shoe: ['chaussure', 'basket', 'botte', 'sandale'], accessory: ['ceinture', 'montre', 'lunettes de soleil', 'écharpe'],
+      set: ['coffret'], tools: ['pinceau', 'éponge'], face: ['fond de teint', 'anticernes', 'blush', 'enlumineur', 'poudre'],
+      lip: ['rouge à lèvres', 'gloss', 'lèvres'], eye: ['fard à paupières', 'mascara', 'eye-liner', 'sourcils'], nail: ['vernis à ongles', 'ongles'],
+      skincare: ['sérum', 'nettoyant', 'crème hydratante', 'lotion tonique', 'crème solaire', 'masque'], fragrance: ['parfum', 'eau de parfum'],
+      top: ['t-shirt', 'chemise', 'chemisier', 'débardeur'], bottom: ['pantalon', 'jean', 'legging', 'short', 'jogging'],
+      skirt: ['jupe'], dress: ['robe longue', 'robe courte', 'robe midi', 'robe de soirée', 'petite robe'], outerwear: ['veste', 'manteau', 'sweat', 'pull', 'gilet'],
+      swim: ['maillot de bain', 'bikini'], underwear: ['soutien-gorge', 'culotte', 'lingerie', 'sous-vêtement'], sleepwear: ['pyjama', 'peignoir']
+    }
+  },
+  de: {
+    audiences: { male: ['herren', 'männer', 'jungen'], female: ['damen', 'frauen', 'mädchen'] },
+    categories: {
+      hat: ['hut', 'mütze', 'kappe'], jewelry: ['ohrring', 'halskette', 'armband', 'schmuck'], bag: ['tasche', 'rucksack', 'geldbörse'],
+      sock: ['socke', 'socken'], shoe: ['schuh', 'schuhe', 'sneaker', 'stiefel', 'sandale', 'sandalen'], accessory: ['gürtel', 'uhr', 'sonnenbrille', 'schal'],
+      set: ['geschenkset'], tools: ['pinsel', 'schwamm'], face: ['grundierung', 'concealer', 'highlighter', 'puder'],
+      lip: ['lippenstift', 'lipgloss', 'lippen'], eye: ['lidschatten', 'wimperntusche', 'eyeliner', 'augenbrauen'], nail: ['nagellack'],
+      skincare: ['serum', 'reinigung', 'feuchtigkeitscreme', 'gesichtswasser', 'sonnenschutz', 'gesichtsmaske'], fragrance: ['parfüm', 'duft'],
+      top: ['t-shirt', 'hemd', 'bluse', 'oberteil'], bottom: ['hose', 'hosen', 'jeans', 'leggings', 'shorts'],
+      skirt: ['minirock', 'midirock', 'maxirock', 'faltenrock', 'jeansrock', 'bleistiftrock', 'lederrock', 'damenrock'], dress: ['kleid', 'kleider'], outerwear: ['jacke', 'mantel', 'pullover', 'strickjacke', 'kapuzenpullover'],
+      swim: ['badeanzug', 'badehose', 'bikini'], underwear: ['unterwäsche', 'slip', 'dessous'], sleepwear: ['schlafanzug', 'pyjama', 'bademantel']
+    }
+  }
+};
+
+const TAXONOMY_AUDIENCES = ['unisex', 'male', 'female'];
+const TAXONOMY_RULE_FIELDS = ['keywords', 'title', 'productType', 'tags'];
+
+// 中日韩文字没有词边界，含这些文字的关键词按子串匹配
+const CJK_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// 关键词列表编译为一个正则；空列表返回 null
+// 其余关键词前后不能紧邻字母或数字（兼容 é、ü 等非 ASCII 字母，\b 只认 ASCII）
+function compileTaxonomyKeywords(keywords) {
+  const parts = (keywords || [])
+    .filter(k => typeof k === 'string' && k.trim())
+    .map(k => {
+      const escaped = k.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      return CJK_SCRIPT_PATTERN.test(k) ? escaped : `(?<![\\p{L}\\p{N}])${escaped}(?:s|es)?(?![\\p{L}\\p{N}])`;
+    });
+  return parts.length > 0 ? new RegExp(parts.join('|'), 'iu') : null;
+}
+
+// 把商店语言的关键词追加到对应规则的 keywords 中
+function localizeTaxonomy(taxonomy, locales) {
+  const extend = (rules, group) => rules.map(rule => {
+    const extra = locales.flatMap(locale => TAXONOMY_LOCALE_KEYWORDS[locale]?.[group]?.[rule.name] || []);
+    return extra.length > 0 ? { ...rule, keywords: [...(rule.keywords || []), ...extra] } : rule;
+  });
+  return {
+    audiences: extend(taxonomy.audiences, 'audiences'),
+    categories: extend(taxonomy.categories, 'categories')
+  };
+}
+
+/**
+ * 合并默认规则和商店覆盖规则
+ * 覆盖规则的 categories / audiences 优先匹配，同名的默认规则被替换；disabled 中的类目从默认规则中移除
+ * @param {Object} base - 默认规则（DEFAULT_TAXONOMY）
+ * @param {Object|null} overrides - Shop."taxonomy"
+ */
+function mergeTaxonomy(base, overrides) {
+  if (!overrides) return base;
+  const merge = (defaults, custom, disabled = []) => {
+    const customNames = new Set((custom || []).map(r => r.name));
+    return [...(custom || []), ...defaults.filter(r => !customNames.has(r.name) && !disabled.includes(r.name))];
+  };
+  return {
+    audiences: merge(base.audiences, overrides.audiences),
+    categories: merge(base.categories, overrides.categories, overrides.disabled || [])
+  };
+}
+
+/**
+ * 校验商店覆盖规则，返回错误信息（合法时返回 null）
+ */
+function validateTaxonomyOverrides(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return 'rules must be an object';
+
+  const checkRules = (list, label) => {
+    if (list === undefined) return null;
+    if (!Array.isArray(list)) return `${label} must be an array`;
+    for (const [i, rule] of list.entries()) {
+      if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) return `${label}[${i}].name is required`;
+      for (const field of TAXONOMY_RULE_FIELDS) {
+        if (rule[field] !== undefined && (!Array.isArray(rule[field]) || rule[field].some(k => typeof k !== 'string'))) {
+          return `${label}[${i}].${field} must be an array of strings`;
+        }
+      }
+      if (!TAXONOMY_RULE_FIELDS.some(field => (rule[field] || []).some(k => k.trim()))) {
+        return `${label}[${i}] needs at least one keyword in ${TAXONOMY_RULE_FIELDS.join(', ')}`;
+      }
+      if (rule.accessory !== undefined && typeof rule.accessory !== 'boolean') return `${label}[${i}].accessory must be a boolean`;
+    }
+    return null;
+  };
+
+  const error = checkRules(rules.categories, 'categories') || checkRules(rules.audiences, 'audiences');
+  if (error) return error;
+  const badAudience = (rules.audiences || []).find(r => !TAXONOMY_AUDIENCES.includes(r.name));
+  if (badAudience) return `audience name must be one of: ${TAXONOMY_AUDIENCES.join(', ')}`;
+  if (rules.disabled !== undefined && (!Array.isArray(rules.disabled) || rules.disabled.some(n => typeof n !== 'string'))) {
+    return 'disabled must be an array of category names';
+  }
+  return null;
+}
+
+/**
+ * 根据分类规则创建分类器
+ * @returns {{getGender: Function, getCategory: Function, isAccessory: Function, accessoryCategories: string[]}}
+ */
+function createClassifier(taxonomy = DEFAULT_TAXONOMY) {
+  const compile = (rule) => {
+    const compiled = { name: rule.name, accessory: rule.accessory === true };
+    for (const field of TAXONOMY_RULE_FIELDS) compiled[field] = compileTaxonomyKeywords(rule[field]);
+    return compiled;
+  };
+  const audiences = (taxonomy.audiences || []).map(compile);
+  const categories = (taxonomy.categories || []).map(compile);
+  const accessoryCategories = categories.filter(c => c.accessory).map(c => c.name);
+
+  const matches = (rule, p) => {
+    const title = p.title || '';
+    const type = p.productType || '';
+    const tags = (p.tags || []).join(' ');
+    if (rule.title && rule.title.test(title)) return true;
+    if (rule.productType && rule.productType.test(type)) return true;
+    if (rule.tags && rule.tags.test(tags)) return true;
+    return !!(rule.keywords && rule.keywords.test(`${title} ${type} ${tags}`));
+  };
+
+  return {
+    getGender(p) {
+      const audience = audiences.find(rule => matches(rule, p));
+      return audience ? audience.name : 'unisex';
+    },
+    // 识别商品细分类型（用于排除同类推荐），未命中时使用 productType
+    getCategory(p) {
+      const category = categories.find(rule => matches(rule, p));
+      return category ? category.name : ((p.productType || '').toLowerCase() || 'other');
+    },
+    isAccessory(category) {
+      return accessoryCategories.includes(category);
+    },
+    accessoryCategories
+  };
+}
+
+// 商店生效的分类规则：默认规则 + 商店语言关键词 + 商店覆盖规则
+function getShopTaxonomy(shop) {
+  return mergeTaxonomy(localizeTaxonomy(DEFAULT_TAXONOMY, getShopLocales(shop)), shop && shop.taxonomy);
+}
+
+function getShopClassifier(shop) {
+  return createClassifier(getShopTaxonomy(shop));
+}
+
+// ============ 商家规则（Merchant Rules） ============
+// pin: 固定推荐某个商品（排在最前）；exclude: 不推荐某个商品；boost_tag: 带指定标签的商品优先；ban: 任何商品都不推荐该商品
+// 规则作用范围：all（所有源商品）、product（指定源商品）、collection（指定系列中的源商品）
+const MERCHANT_RULE_TYPES = ['pin', 'exclude', 'boost_tag', 'ban'];
+const MERCHANT_RULE_SCOPES = ['all', 'product', 'collection'];
+const DEFAULT_BOOST_WEIGHT = 0.2;
+
+// 同步时商品所属系列统一保存为 handle 数组，兼容字符串、{handle, title} 对象和 GraphQL 的 nodes / edges
+function normalizeCollections(collections) {
+  const list = Array.isArray(collections)
+    ? collections
+    : (collections?.nodes || (collections?.edges || []).map(e => e.node));
+  return [...new Set((list || [])
+    .map(c => (typeof c === 'string' ? c : c?.handle || c?.title))
+    .filter(c => typeof c === 'string' && c.trim())
+    .map(c => c.trim().toLowerCase()))];
+}
+
+// 去掉 gid 前缀，统一使用数字商品 ID
+function normalizeProductId(id) {
+  if (id === undefined || id === null || id === '') return null;
+  return String(id).trim().replace(GID_PRODUCT_PREFIX, '');
+}
+
+/**
+ * 校验商家规则，返回错误信息（合法时返回 null）
+ */
+function validateMerchantRule(rule) {
+  if (!MERCHANT_RULE_TYPES.includes(rule.type)) return `type must be one of: ${MERCHANT_RULE_TYPES.join(', ')}`;
+  if (!MERCHANT_RULE_SCOPES.includes(rule.scope)) return `scope must be one of: ${MERCHANT_RULE_SCOPES.join(', ')}`;
+  if (rule.type === 'ban' && rule.scope !== 'all') return 'ban rules always apply to all products (scope must be all)';
+  if (rule.scope === 'product' && !rule.sourceProductId) return 'sourceProductId is required for product scope';
+  if (rule.scope === 'collection' && !rule.sourceCollection) return 'sourceCollection is required for collection scope';
+  if (rule.type === 'boost_tag') {
+    if (!rule.tag) return 'tag is required for boost_tag rules';
+    if (typeof rule.weight !== 'number' || rule.weight <= 0 || rule.weight > 1) return 'weight must be a number between 0 and 1';
+  } else if (!rule.targetProductId) {
+    return `targetProductId is required for ${rule.type} rules`;
+  }
+  if (rule.scope === 'product' && rule.sourceProductId === rule.targetProductId) return 'sourceProductId and targetProductId must differ';
+  return null;
+}
+
+/**
+ * 编译商店的商家规则，生成推荐和读取推荐时共用
+ * source 为源商品（需要 productId 和 collections），target 为推荐商品（需要 productId 和 tags）
+ */
+function createRuleSet(rules = []) {
+  const applies = (rule, source) =>
+    rule.scope === 'all' ||
+    (rule.scope === 'product' && rule.sourceProductId === source.productId) ||
+    (rule.scope === 'collection' && (source.collections || []).includes(rule.sourceCollection));
+
+  const banned = new Set(rules.filter(r => r.type === 'ban').map(r => r.targetProductId));
+  const pins = rules
+    .filter(r => r.type === 'pin')
+    .sort((a, b) => (a.position - b.position) || (new Date(a.createdAt) - new Date(b.createdAt)));
+
+  return {
+    size: rules.length,
+    // 被禁止或对该源商品排除的推荐
+    isBlocked(source, targetId) {
+      if (banned.has(targetId)) return true;
+      return rules.some(r => r.type === 'exclude' && r.targetProductId === targetId && applies(r, source));
+    },
+    // 固定推荐的商品 ID（按 position 排序）
+    getPins(source) {
+      const ids = pins
+        .filter(r => applies(r, source) && r.targetProductId !== source.productId && !this.isBlocked(source, r.targetProductId))
+        .map(r => r.targetProductId);
+      return [...new Set(ids)];
+    },
+    // 标签加权（多条规则命中时累加）
+    getBoost(source, target) {
+      const tags = (target.tags || []).map(t => t.toLowerCase());
+      return rules
+        .filter(r => r.type === 'boost_tag' && tags.includes(r.tag) && applies(r, source))
+        .reduce((sum, r) => sum + r.weight, 0);
+    }
+  };
+}
+
+// 读取商店的商家规则（缓存，规则变更时清空缓存）
+async function loadMerchantRules(shopId) {
+  const cacheKey = `rules:${shopId}`;
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() < cached.expiry) return cached.data;
+
+  const result = await pool.query('SELECT * FROM "MerchantRule" WHERE "shopId" = $1', [shopId]);
+  const ruleSet = createRuleSet(result.rows);
+  cache.set(cacheKey, { data: ruleSet, expiry: Date.now() + CACHE_TTL });
+  return ruleSet;
+}
+
+// ============ 价格规则（Price Rules） ============
+// 商店可限制推荐商品的价格：相对源商品的价格比例（如 0.1~0.6）和绝对价格上下限
+// 商品带成本（Product.cost）时，毛利率高的商品在候选排序和规则推荐中加分
+const PRICE_RULE_FIELDS = ['minRatio', 'maxRatio', 'minPrice', 'maxPrice', 'marginWeight'];
+const DEFAULT_MARGIN_WEIGHT = 0.1;
+
+/**
+ * 校验商店价格规则，返回错误信息（合法时返回 null）
+ */
+function validatePriceRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return 'priceRules must be an object';
+  for (const [key, value] of Object.entries(rules)) {
+    if (!PRICE_RULE_FIELDS.includes(key)) return `Unknown price rule "${key}", allowed: ${PRICE_RULE_FIELDS.join(', ')}`;
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return `${key} must be null or a non-negative number`;
+    }
+  }
+  if (rules.minRatio != null && rules.maxRatio != null && rules.minRatio > rules.maxRatio) return 'minRatio must not exceed maxRatio';
+  if (rules.minPrice != null && rules.maxPrice != null && rules.minPrice > rules.maxPrice) return 'minPrice must not exceed maxPrice';
+  if (rules.marginWeight != null && rules.marginWeight > 1) return 'marginWeight must be between 0 and 1';
+  return null;
+}
+
+/**
+ * 商品毛利率（0~1），没有成本或价格时返回 null
+ */
+function getProductMargin(p) {
+  const price = parseFloat(p.price);
+  const cost = parseFloat(p.cost);
+  if (!(price > 0) || !Number.isFinite(cost) || cost < 0) return null;
+  return Math.max(0, Math.min(1, (price - cost) / price));
+}
+
+/**
+ * 创建价格过滤器
+ * @param {Object} [priceRules] - Shop.priceRules
+ * @returns {{active: boolean, allows: Function, marginBonus: Function}}
+ */
+function createPriceFilter(priceRules) {
+  const rules = priceRules || {};
+  const { minRatio = null, maxRatio = null, minPrice = null, maxPrice = null } = rules;
+  const marginWeight = rules.marginWeight ?? DEFAULT_MARGIN_WEIGHT;
+
+  return {
+    active: [minRatio, maxRatio, minPrice, maxPrice].some(v => v !== null),
+
+    // 推荐商品价格是否符合规则；源商品没有价格时不检查比例
+    allows(source, target) {
+      const price = parseFloat(target.price) || 0;
+      if (minPrice !== null && price < minPrice) return false;
+      if (maxPrice !== null && price > maxPrice) return false;
+
+      const sourcePrice = parseFloat(source.price) || 0;
+      if (sourcePrice > 0) {
+        if (minRatio !== null && price < sourcePrice * minRatio) return false;
+        if (maxRatio !== null && price > sourcePrice * maxRatio) return false;
+      }
+      return true;
+    },
+
+    // 毛利率加分：没有成本的商品不加分
+    marginBonus(target) {
+      const margin = getProductMargin(target);
+      return margin === null ? 0 : margin * marginWeight;
+    }
+  };
+}
+
+/**
+ * 查找不符合价格规则的推荐和套装（prunePriceViolations 和同步预估共用）
+ * 套装中任一搭配商品相对锚点商品不符合规则时整个套装都算违规
+ * @param {Map<string, number>} [priceOverrides] - Product.id → 价格；同步预估用请求中的新价格代替数据库中的价格
+ * @returns {Promise<{recommendations: Object, bundles: Array}>} recommendations 按表名列出违规推荐 { id, sourceId }，bundles 为违规套装 { id, anchorId }
+ */
+async function findPriceViolations(db, shop, priceOverrides = new Map()) {
+  const priceFilter = createPriceFilter(shop.priceRules);
+  const result = { recommendations: { Recommendation: [], ExperimentRecommendation: [] }, bundles: [] };
+  if (!priceFilter.active) return result;
+  const priceOf = (id, stored) => (priceOverrides.has(id) ? priceOverrides.get(id) : stored);
+
+  for (const table of Object.keys(result.recommendations)) {
+    const recs = await db.query(`
+      SELECT r."id", r."sourceId", r."targetId", sp."price" as "sourcePrice", tp."price" as "targetPrice"
+      FROM "${table}" r
+      JOIN "Product" sp ON r."sourceId" = sp."id"
+      JOIN "Product" tp ON r."targetId" = tp."id"
+      WHERE r."shopId" = $1
+    `, [shop.id]);
+    result.recommendations[table] = recs.rows
+      .filter(r => !priceFilter.allows({ price: priceOf(r.sourceId, r.sourcePrice) }, { price: priceOf(r.targetId, r.targetPrice) }))
+      .map(r => ({ id: r.id, sourceId: r.sourceId }));
+  }
+
+  const items = await db.query(`
+    SELECT b."id", b."anchorId", i."productId", ap."price" as "anchorPrice", ip."price" as "itemPrice"
+    FROM "Bundle" b
+    JOIN "Product" ap ON b."anchorId" = ap."id"
+    JOIN "BundleItem" i ON i."bundleId" = b."id"
+    JOIN "Product" ip ON i."productId" = ip."id"
+    WHERE b."shopId" = $1
+  `, [shop.id]);
+  const violating = new Map();
+  for (const r of items.rows) {
+    if (!priceFilter.allows({ price: priceOf(r.anchorId, r.anchorPrice) }, { price: priceOf(r.productId, r.itemPrice) })) {
+      violating.set(r.id, { id: r.id, anchorId: r.anchorId });
+    }
+  }
+  result.bundles = [...violating.values()];
+  return result;
+}
+
+/**
+ * 删除不再符合价格规则的推荐和套装（价格变化或规则修改后调用，实验变体的推荐同样处理；锚点没有套装后在下次同步时重新生成）
+ * @returns {Promise<number>} 删除的推荐数和套装数
+ */
+async function prunePriceViolations(db, shop) {
+  const violations = await findPriceViolations(db, shop);
+
+  let pruned = 0;
+  for (const [table, recs] of Object.entries(violations.recommendations)) {
+    if (recs.length === 0) continue;
+    await db.query(`DELETE FROM "${table}" WHERE "id" = ANY($1)`, [recs.map(r => r.id)]);
+    pruned += recs.length;
+  }
+  if (violations.bundles.length > 0) {
+    await db.query('DELETE FROM "Bundle" WHERE "id" = ANY($1)', [violations.bundles.map(b => b.id)]);
+  }
+
+  if (pruned > 0 || violations.bundles.length > 0) {
+    console.log(`[PriceRules] Pruned ${pruned} recommendations and ${violations.bundles.length} bundles outside the price rules for ${shop.domain}`);
+  }
+  return pruned + violations.bundles.length;
+}
+
+// ============ 规则推荐（Heuristic） ============
+// 不依赖 AI 的推荐：按标签重合、品牌 / 系列关联、价格比例和类目互补打分，理由按得分最高的信号套用模板
+// 用作 AI 不可用时的 fallback，也可作为商店的推荐引擎（不消耗 token）
+const RECOMMENDATION_ENGINES = ['ai', 'heuristic'];
+const HEURISTIC_WEIGHTS = { tags: 0.35, collection: 0.2, vendor: 0.1, price: 0.15, complement: 0.2 };
+// 出现在超过这个比例商品上的标签（如 all-products）没有区分度，不参与标签重合计算
+const HEURISTIC_COMMON_TAG_RATIO = 0.5;
+
+// 商店使用的推荐引擎（未设置时使用 AI）
+function getShopEngine(shop) {
+  return RECOMMENDATION_ENGINES.includes(shop && shop.recommendationEngine) ? shop.recommendationEngine : 'ai';
+}
+
+// 每个商品生成的推荐数（商店可设置），读取接口的 limit 默认值和上限
+const DEFAULT_RECS_PER_PRODUCT = 3;
+const MAX_RECS_PER_PRODUCT = 10;
+// 每个商品额外保存的备选推荐数，正式推荐不可售时补位
+const RESERVE_RECS_PER_PRODUCT = 3;
+
+function getShopRecsPerProduct(shop) {
+  const count = parseInt(shop && shop.recsPerProduct);
+  return count >= 1 ? Math.min(count, MAX_RECS_PER_PRODUCT) : DEFAULT_RECS_PER_PRODUCT;
+}
+
+/**
+ * 创建规则推荐器
+ * @param {Array} catalog - 商店的全部商品（用于统计标签频率、品牌和系列分布）
+ * @param {Object} [classifier] - 商品分类器（见 createClassifier）
+ * @returns {{score: Function, recommend: Function}}
+ */
+function createHeuristicRecommender(catalog, classifier = createClassifier()) {
+  const tagSet = (p) => new Set((p.tags || []).map(t => t.toLowerCase()));
+  const tagDocs = new Map();
+  for (const p of catalog) {
+    for (const tag of tagSet(p)) tagDocs.set(tag, (tagDocs.get(tag) || 0) + 1);
+  }
+  const maxTagDocs = Math.max(1, catalog.length * HEURISTIC_COMMON_TAG_RATIO);
+  const idf = (tag) => {
+    const docs = tagDocs.get(tag) || 1;
+    return docs > maxTagDocs ? 0 : Math.log(1 + catalog.length / docs);
+  };
+  // 只有一个品牌的商店，品牌关联没有意义
+  const multiVendor = new Set(catalog.map(p => (p.vendor || '').toLowerCase()).filter(Boolean)).size > 1;
+
+  // 推荐商品价格为源商品的 20%~100% 时最适合作为加购，更贵或过于便宜时递减
+  const priceScore = (source, target) => {
+    if (!(source.price > 0) || !(target.price > 0)) return { score: 0.5, ratio: null };
+    const ratio = target.price / source.price;
+    if (ratio > 1) return { score: 1 / ratio, ratio };
+    return { score: ratio >= 0.2 ? 1 : ratio / 0.2, ratio };
+  };
+
+  const score = (source, target) => {
+    const sourceTags = tagSet(source);
+    const targetTags = tagSet(target);
+    let sourceWeight = 0;
+    let sharedWeight = 0;
+    for (const tag of sourceTags) {
+      const w = idf(tag);
+      sourceWeight += w;
+      if (targetTags.has(tag)) sharedWeight += w;
+    }
+    const tags = sourceWeight > 0 ? sharedWeight / sourceWeight : 0;
+
+    const sourceCollections = source.collections || [];
+    const targetCollections = new Set(target.collections || []);
+    const union = new Set([...sourceCollections, ...targetCollections]).size;
+    const collection = union > 0 ? sourceCollections.filter(c => targetCollections.has(c)).length / union : 0;
+
+    const vendor = multiVendor && source.vendor && (source.vendor || '').toLowerCase() === (target.vendor || '').toLowerCase() ? 1 : 0;
+    const price = priceScore(source, target);
+    const accessory = classifier.isAccessory(classifier.getCategory(target));
+    const complement = accessory ? 1 : 0.5;
+
+    // 理由取贡献最大的信号
+    const signals = {
+      style: HEURISTIC_WEIGHTS.tags * tags,
+      collection: HEURISTIC_WEIGHTS.collection * collection,
+      vendor: HEURISTIC_WEIGHTS.vendor * vendor,
+      accessory: accessory ? HEURISTIC_WEIGHTS.complement : 0,
+      addon: price.ratio !== null && price.ratio <= 0.5 ? HEURISTIC_WEIGHTS.price * price.score : 0
+    };
+    const [signal, strength] = Object.entries(signals).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      score: signals.style + signals.collection + signals.vendor + HEURISTIC_WEIGHTS.price * price.score + HEURISTIC_WEIGHTS.complement * complement,
+      signal: strength >= 0.05 ? signal : 'default'
+    };
+  };
+
+  return {
+    score,
+    /**
+     * 为源商品选出 count 个推荐，尽量覆盖不同类目，同组商品（同款不同色）只取一个
+     * @param {Function} [bonus] - 额外加分（如商家标签加权），(product) => number
+     * @returns {Array<{product: Object, score: number, signal: string}>}
+     */
+    recommend(source, candidates, count = 3, bonus = null) {
+      const ranked = candidates
+        .map(product => {
+          const scored = score(source, product);
+          return { product, signal: scored.signal, score: scored.score + (bonus ? bonus(product) : 0) };
+        })
+        .sort((a, b) => (b.score - a.score) || (a.product.price - b.product.price) || String(a.product.productId).localeCompare(String(b.product.productId)));
+
+      const picked = [];
+      const categories = new Set();
+      const groups = new Set();
+      for (const entry of ranked) {
+        if (picked.length >= count) break;
+        const category = classifier.getCategory(entry.product);
+        const group = getProductGroup(entry.product);
+        if (categories.has(category) || groups.has(group)) continue;
+        categories.add(category);
+        groups.add(group);
+        picked.push(entry);
+      }
+      // 不同类目不足时按得分补齐
+      for (const entry of ranked) {
+        if (picked.length >= count) break;
+        const group = getProductGroup(entry.product);
+        if (picked.includes(entry) || groups.has(group)) continue;
+        groups.add(group);
+        picked.push(entry);
+      }
+      return picked;
+    }
+  };
+}
+
+// 规则推荐的理由模板（{vendor} 替换为品牌名）
+function heuristicReason(locale, signal, target) {
+  const templates = LOCALES[locale].heuristic;
+  return (templates[signal] || templates.default).replace('{vendor}', target.vendor || '');
+}
+
+// ============ 商品分组（同款不同色） ============
+// 很多商店把每个颜色建成独立商品（如 "FEATHERWEIGHT CASHMERE SLEEVELESS TOP | ONYX"），同组商品互不推荐，读取时只保留一个
+// 分组键优先使用商家提供的 groupKey，否则由品牌 + 商品类型 + 去掉颜色后的标题组成（美妆店的色号名可能在不同类型间重复）
+const COLOR_TAG_PATTERN = /^(?:filter-?(?:parent-?)?colou?r|colou?r(?:_fam)?|colorfam)\s*[:\-]\s*(.+)$/i;
+const BASE_COLOR_WORDS = [
+  'black', 'white', 'grey', 'gray', 'blue', 'navy', 'red', 'green', 'olive', 'yellow', 'orange', 'pink', 'purple',
+  'brown', 'beige', 'cream', 'ivory', 'tan', 'khaki', 'gold', 'silver', 'multi', 'nude', 'burgundy', 'maroon', 'heather'
+];
+
+// 从标签中提取颜色（FilterColor: Onyx、filter-colour:Black、color:Sage、ColorFam-Green 等）
+function getColorTags(p) {
+  const colors = new Set();
+  for (const tag of p.tags || []) {
+    const match = String(tag).trim().match(COLOR_TAG_PATTERN);
+    if (match) colors.add(match[1].trim().toLowerCase());
+  }
+  return colors;
+}
+
+// 去掉标题中的颜色部分："TITLE | COLOR" 取竖线前的部分，"Title - Color (Sole)" 在后缀包含颜色时去掉后缀
+function normalizeGroupTitle(p) {
+  let title = (p.title || '').split(' | ')[0];
+  const suffix = title.match(/\s*[-–—]\s+([^-–—]+)$/);
+  if (suffix) {
+    const text = suffix[1].toLowerCase();
+    const colors = [...getColorTags(p), ...BASE_COLOR_WORDS];
+    if (colors.some(color => new RegExp(`\\b${color.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text))) {
+      title = title.slice(0, suffix.index);
+    }
+  }
+  return title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * 计算商品分组键
+ * @param {Object} p - 商品（title、vendor、productType、tags，可选 groupKey）
+ * @returns {string}
+ */
+function computeProductGroup(p) {
+  if (p.groupKey) return `key:${String(p.groupKey).trim().toLowerCase()}`;
+  const vendor = (p.vendor || '').trim().toLowerCase();
+  const type = (p.productType || '').trim().toLowerCase();
+  const title = normalizeGroupTitle(p);
+  return title ? `${vendor}|${type}|${title}` : `id:${p.productId}`;
+}
+
+// 商品的分组键：优先使用同步时保存的 productGroup
+function getProductGroup(p) {
+  return p.productGroup || computeProductGroup(p);
+}
+
+function isSameProductGroup(product1, product2) {
+  return getProductGroup(product1) === getProductGroup(product2);
+}
+
+// 简化商品描述，提取关键信息（prompt 中的源商品和候选商品）
+function summarizeProduct(p, classifier) {
+  const desc = (p.description || '').substring(0, 100).replace(/\s+/g, ' ');
+  const title = p.title || '';
+  const type = p.productType || 'Uncategorized';
+  const gender = classifier.getGender(p);
+  const genderLabel = gender === 'male' ? '[Men]' : gender === 'female' ? '[Women]' : '';
+  return `${genderLabel}${title} [${type}] ${desc}`;
+}
+
+function formatCandidateLines(candidates, classifier) {
+  return candidates.map((p, i) => `${i + 1}. ID:${p.productId} | ${summarizeProduct(p, classifier)} | $${p.price}`).join('\n');
+}
+
+// 商品向量：优先使用同步时存储的索引，缺失时现场计算（按 productId 缓存）
+function createVectorLookup() {
+  const vectorCache = new Map();
+  return (p) => {
+    if (Array.isArray(p.vector) && p.vector.length === PRODUCT_VECTOR_DIMENSIONS) return p.vector;
+    if (!vectorCache.has(p.productId)) vectorCache.set(p.productId, computeProductVector(p));
+    return vectorCache.get(p.productId);
+  };
+}
+
+/**
+ * 候选商品的互补得分：相似度在阈值以内时越相似越好（同系列、同风格），超过阈值后视为替代品按比例扣分
+ * @param {number} similarity - 与源商品的余弦相似度
+ * @returns {number}
+ */
+function complementarityScore(similarity) {
+  if (similarity <= SUBSTITUTE_SIMILARITY_THRESHOLD) return similarity;
+  return SUBSTITUTE_SIMILARITY_THRESHOLD - (similarity - SUBSTITUTE_SIMILARITY_THRESHOLD) * SUBSTITUTE_SIMILARITY_PENALTY;
+}
+
+/**
+ * 为源商品筛选候选商品（推荐和套装生成共用）
+ * 排除同ID、同组（同款不同色）、商家规则排除 / 固定推荐、价格不符合规则、性别不匹配、同类型的商品；
+ * 其余按互补得分排序（见 complementarityScore：同风格的商品优先，过于相似的替代品靠后），配饰、商家加权标签和毛利率额外加分，同组商品只保留一个
+ * @param {{classifier: Object, rules: Object, priceFilter: Object, getVector: Function, limit?: number}} options
+ * @returns {{others: Array, candidates: Array, accessoryCount: number, topScore: number|null}} others 为全部可推荐的商品，candidates 为放进 prompt 的前 limit 个
+ */
+function selectCandidates(product, targetPool, { classifier, rules, priceFilter, getVector, limit = 20 }) {
+  const { getGender, getCategory, isAccessory } = classifier;
+  const productGender = getGender(product);
+  const productCategory = getCategory(product);
+
+  const pinned = new Set(rules.getPins(product));
+  const others = targetPool.filter(p => {
+    if (p.productId === product.productId) return false;
+    if (isSameProductGroup(product, p)) return false;
+    if (rules.isBlocked(product, p.productId) || pinned.has(p.productId)) return false;
+    if (!priceFilter.allows(product, p)) return false;
+
+    // 性别过滤：男士商品不推荐女士商品，女士商品不推荐男士商品
+    const targetGender = getGender(p);
+    if (productGender === 'male' && targetGender === 'female') return false;
+    if (productGender === 'female' && targetGender === 'male') return false;
+
+    // 类型过滤：同类商品不互相推荐（帽子不推荐帽子，上衣不推荐上衣等）
+    const targetCategory = getCategory(p);
+    if (productCategory === targetCategory && productCategory !== 'other') return false;
+
+    return true;
+  });
+  if (others.length === 0) return { others, candidates: [], accessoryCount: 0, topScore: null };
+
+  const sourceVector = getVector(product);
+  const scored = others.map(p => {
+    const accessory = isAccessory(getCategory(p));
+    const complementarity = complementarityScore(cosineSimilarity(sourceVector, getVector(p)));
+    const bonus = (accessory ? ACCESSORY_SIMILARITY_BONUS : 0) + rules.getBoost(product, p) + priceFilter.marginBonus(p);
+    return { p, isAccessory: accessory, score: complementarity + bonus };
+  });
+  // 相同得分时价格低的优先
+  scored.sort((a, b) => (b.score - a.score) || (a.p.price - b.p.price));
+
+  // 同组商品（同款不同色）只保留得分最高的一个，避免占满候选列表
+  const top = [];
+  const seenGroups = new Set();
+  for (const s of scored) {
+    if (top.length >= limit) break;
+    const group = getProductGroup(s.p);
+    if (seenGroups.has(group)) continue;
+    seenGroups.add(group);
+    top.push(s);
+  }
+  return {
+    others,
+    candidates: top.map(s => s.p),
+    accessoryCount: top.filter(s => s.isAccessory).length,
+    topScore: scored[0].score
+  };
+}
+
+async function generateRecommendations(products, allProducts = null, options = {}) {
+  // products: 需要生成推荐的商品
+  // allProducts: 所有可选的推荐目标商品（如果为空，则使用 products）
+  // options.provider: 使用的 AI provider（默认按环境变量选择）
+  // options.batchSize: 每次 AI 调用包含的源商品数（默认 1，即逐个生成）
+  // options.concurrency / options.requestsPerMinute: 并发数和每分钟请求上限（同一 provider 的所有生成共享上限，见 getAIRateLimiter）
+  // options.tokenBudget: 本次生成可用的 token 上限（超出时提前停止，未处理的商品在 skippedProductIds 中返回）
+  // options.classifier: 商品分类器（默认使用 DEFAULT_TAXONOMY，见 getShopClassifier）
+  // options.locales: 推荐理由的语言列表，第一个为主语言（见 getShopLocales）；多个语言时按语言分别生成理由
+  // options.rules: 商家规则（见 createRuleSet）：排除 / 禁止的商品不进入候选，固定推荐的商品在读取时插入，带加权标签的商品排序靠前
+  // options.engine: 'ai'（默认）或 'heuristic'（不调用 AI，直接使用规则推荐）；AI 不可用或响应无法使用时同样回退到规则推荐
+  // options.priceRules: 价格过滤器（见 createPriceFilter）：价格不符合规则的商品不进入候选，毛利率高的商品排序靠前
+  // options.count: 每个商品生成的推荐数（默认 DEFAULT_RECS_PER_PRODUCT），推荐按 rank 1..count 排序
+  // options.reserve: 每个商品额外保存的备选推荐数（默认 RESERVE_RECS_PER_PRODUCT），读取时补位不可售的推荐
+  // options.promptTemplate: prompt 模板（默认内置模板，见 resolvePromptTemplate）；AI 生成的推荐记录模板版本
+  // options.aiCache: AI 结果缓存（见 createAICache）；prompt 内容不变的任务复用缓存的结果，不调用 AI
+  // options.dryRun: 只筛选候选、构建 prompt 并估算 token，不调用 AI、不写缓存，返回 { dryRun: true, estimate }
+  // options.coPurchase: 共同购买推荐 { pairs, slots }（见 loadCoPurchasePairs）；每个商品的前 slots 个推荐位置给共同购买商品
+  const targetPool = allProducts || products;
+  const provider = options.provider || getAIProvider();
+  const classifier = options.classifier || createClassifier();
+  const locales = (options.locales && options.locales.length > 0) ? options.locales : [DEFAULT_LOCALE];
+  const primaryLocale = locales[0];
+  const multiLocale = locales.length > 1;
+  const rules = options.rules || createRuleSet();
+  const priceFilter = options.priceRules || createPriceFilter();
+  const engine = RECOMMENDATION_ENGINES.includes(options.engine) ? options.engine : 'ai';
+  const heuristic = createHeuristicRecommender(targetPool, classifier);
+  const promptTemplate = options.promptTemplate || BUILTIN_PROMPT_TEMPLATE;
+  const promptVersion = formatPromptVersion(promptTemplate);
+  const batchSize = Math.max(1, parseInt(options.batchSize) || 1);
+  const count = Math.min(Math.max(1, parseInt(options.count) || DEFAULT_RECS_PER_PRODUCT), MAX_RECS_PER_PRODUCT);
+  const reserveCount = Math.max(0, parseInt(options.reserve ?? RESERVE_RECS_PER_PRODUCT) || 0);
+  const results = [];
+  let totalTokens = 0; // 累加token消耗
+  let totalPromptTokens = 0; // 累加输入token
+  let totalCompletionTokens = 0; // 累加输出token
+  let aiCalls = 0; // AI 调用次数
+  let batchTokensSaved = 0; // 批量模式相比逐个调用节省的输入token（估算）
+  let parseRepairs = 0; // 经过自动修复后可用的响应数
+  let parseRetries = 0; // 因响应不可用而纠正重问的次数
+  let parseFailures = 0; // 重问后仍不可用、最终走 fallback 的商品数
+  let cacheHits = 0; // 使用缓存结果的商品数
+  let cacheTokensSaved = 0; // 缓存结果当初消耗的 token（即本次节省的 token）
+
+  console.log('[AI] ===== GENERATE RECOMMENDATIONS =====');
+  console.log(`[AI] Products to generate recs for: ${products.length}`);
+  console.log(`[AI] Target pool size: ${targetPool.length}`);
+  console.log(`[AI] Engine: ${engine}`);
+  console.log(`[AI] Provider: ${provider.name} (configured: ${provider.isConfigured()})`);
+  console.log(`[AI] Batch size: ${batchSize}`);
+  console.log(`[AI] Recommendations per product: ${count}`);
+  console.log(`[AI] Locales: ${locales.join(', ')}`);
+  console.log(`[AI] Prompt template: ${promptVersion}`);
+
+  const { accessoryCategories } = classifier;
+  const summarize = (p) => summarizeProduct(p, classifier);
+  const candidateLines = (candidates) => formatCandidateLines(candidates, classifier);
+
+  const coreRules = `[Core Rules - Must Follow Strictly]
+1. Gender must match: [Men] products can only recommend [Men] or unisex items, [Women] products can only recommend [Women] or unisex items
+2. No same-category recommendations: Don't recommend items of the same kind as the source! No tops for tops, no pants for pants, no lipsticks for lipsticks
+3. Prioritize accessories: ${accessoryCategories.length > 0 ? accessoryCategories.join(', ') : 'accessory'} items are the best choices
+4. Complementary principle: Recommend items that can be worn together with the source product, not replacements`;
+
+  // 推荐理由的语言要求和返回格式
+  const languageNames = locales.map(locale => LOCALES[locale].language).join(', ');
+  const recommendationShape = multiLocale
+    ? `{"productId":"xxx","reasons":{${locales.map(locale => `"${locale}":"${LOCALES[locale].language} reason"`).join(',')}}}`
+    : `{"productId":"xxx","reason":"${LOCALES[primaryLocale].language} reason only"}`;
+  const languageInstruction = multiLocale
+    ? `Product data may be in ${languageNames}. Write every reason in EACH of these languages: ${locales.map(locale => `${locale} = ${LOCALES[locale].language}`).join(', ')}`
+    : `Product data may be in ${languageNames}. Write reasons in ${LOCALES[primaryLocale].language.toUpperCase()} ONLY`;
+
+  // 按模板渲染 prompt（见 Prompt 模板）
+  const promptVars = { rules: coreRules, language: languageInstruction, shape: recommendationShape, count };
+  const buildSinglePrompt = (product, candidates) => renderPrompt(promptTemplate.singlePrompt, {
+    ...promptVars,
+    source: `${summarize(product)}\nPrice: $${product.price}`,
+    candidates: candidateLines(candidates)
+  });
+
+  const buildBatchPrompt = (items, candidates) => renderPrompt(promptTemplate.batchPrompt, {
+    ...promptVars,
+    sources: items.map(item => `SID:${item.product.productId} | ${summarize(item.product)} | $${item.product.price}`).join('\n'),
+    candidates: candidateLines(candidates)
+  });
+
+  const getVector = createVectorLookup();
+
+  // 第一步：为每个商品筛选候选商品（见 selectCandidates）
+  const prepared = [];
+  const noCandidateIds = [];
+  for (const product of products) {
+    const productGender = classifier.getGender(product);
+    const productCategory = classifier.getCategory(product);
+
+    console.log(`[AI] Processing product: ${product.productId} - "${product.title}" (gender=${productGender}, category=${productCategory})`);
+
+    const { others, candidates, accessoryCount, topScore } = selectCandidates(product, targetPool, { classifier, rules, priceFilter, getVector });
+    console.log(`[AI] After filtering: ${others.length} candidate products for recommendations`);
+
+    if (others.length === 0) {
+      console.log(`[AI] ⚠️ No suitable candidates found, skipping this product`);
+      noCandidateIds.push(product.productId);
+      continue;
+    }
+
+    console.log(`[AI] Selected ${candidates.length} candidates by complementarity (${accessoryCount} accessories, top score ${topScore.toFixed(3)}) from ${others.length} total`);
+
+    prepared.push({
+      product,
+      others,
+      candidates,
+      groupKey: `${productGender}|${productCategory}`
+    });
+  }
+
+  // 第二步：组装 AI 调用任务
+  // 批量模式下，同性别、同类型的商品候选集几乎相同，放在同一批次共享一份候选列表
+  // 规则推荐引擎不需要 AI 调用，在第四步之前直接生成
+  const aiItems = engine === 'ai' ? prepared : [];
+  const tasks = [];
+  if (batchSize > 1) {
+    const groups = new Map();
+    for (const item of aiItems) {
+      if (!groups.has(item.groupKey)) groups.set(item.groupKey, []);
+      groups.get(item.groupKey).push(item);
+    }
+    for (const group of groups.values()) {
+      for (let i = 0; i < group.length; i += batchSize) {
+        const items = group.slice(i, i + batchSize);
+        const sourceIds = new Set(items.map(item => item.product.productId));
+        // 按排名轮流合并各商品的候选列表，保证每个源商品最相似的候选都能进入共享列表
+        const shared = new Map();
+        const maxLength = Math.max(...items.map(item => item.candidates.length));
+        for (let rank = 0; rank < maxLength; rank++) {
+          for (const item of items) {
+            const c = item.candidates[rank];
+            if (c && !sourceIds.has(c.productId) && !shared.has(c.productId)) shared.set(c.productId, c);
+          }
+        }
+        tasks.push({ items, candidates: [...shared.values()].slice(0, 20) });
+      }
+    }
+  } else {
+    for (const item of aiItems) {
+      tasks.push({ items: [item], candidates: item.candidates });
+    }
+  }
+
+  // 多语言商店：每个语言都有理由，AI 缺失的语言使用该语言的默认文案
+  const localizedReasons = (rec) => {
+    const reasons = {};
+    for (const locale of locales) {
+      reasons[locale] = (rec.reasons && rec.reasons[locale]) ||
+        (locale === primaryLocale && rec.reason) ||
+        LOCALES[locale].reasons.pairing;
+    }
+    return reasons;
+  };
+
+  const addRecommendations = (item, recs, out) => {
+    const seen = new Set(); // 避免重复推荐
+    let addedForThisProduct = 0;
+    for (const rec of (recs || []).slice(0, count)) {
+      const productId = String(rec.productId);
+      if (seen.has(productId)) continue;
+
+      const target = item.others.find(p => p.productId === productId);
+      if (target) {
+        seen.add(productId);
+        const reasons = multiLocale ? localizedReasons(rec) : null;
+        out.push({
+          sourceId: item.product.productId,
+          targetId: target.productId,
+          reason: reasons ? reasons[primaryLocale] : (rec.reason || rec.reasons?.[primaryLocale] || LOCALES[primaryLocale].reasons.pairing),
+          reasons,
+          engine: 'ai',
+          promptVersion,
+          rank: addedForThisProduct + 1,
+          reserve: false
+        });
+        addedForThisProduct++;
+      }
+    }
+    console.log(`[AI] ✅ Added ${addedForThisProduct} recommendations for product ${item.product.productId}`);
+  };
+
+  // 规则推荐：engine 为 'heuristic'（商店选择的引擎）或 'fallback'（AI 不可用时的回退）
+  const heuristicBonus = (item) => (p) => rules.getBoost(item.product, p) + priceFilter.marginBonus(p);
+  const heuristicRecord = (item, { product: target, signal }, engine, rank, reserve = false) => ({
+    sourceId: item.product.productId,
+    targetId: target.productId,
+    reason: heuristicReason(primaryLocale, signal, target),
+    reasons: multiLocale ? Object.fromEntries(locales.map(locale => [locale, heuristicReason(locale, signal, target)])) : null,
+    engine,
+    promptVersion: null,
+    rank,
+    reserve
+  });
+
+  const addHeuristic = (item, out, engine) => {
+    const picks = heuristic.recommend(item.product, item.others, count, heuristicBonus(item));
+    picks.forEach((pick, index) => out.push(heuristicRecord(item, pick, engine, index + 1)));
+    console.log(`[AI] Added ${picks.length} ${engine} recommendations for product ${item.product.productId}`);
+  };
+
+  // 第三步：构建 prompt 并估算每个任务的 token 消耗（用于 token 预算控制）
+  for (const task of tasks) {
+    task.isBatch = task.items.length > 1;
+    task.systemPrompt = task.isBatch ? promptTemplate.batchSystemPrompt : promptTemplate.systemPrompt;
+    task.prompt = task.isBatch
+      ? buildBatchPrompt(task.items, task.candidates)
+      : buildSinglePrompt(task.items[0].product, task.candidates);
+    task.estimatedPromptTokens = estimateTokens(task.systemPrompt + task.prompt);
+    task.estimatedCompletionTokens = task.items.length * count * ESTIMATED_COMPLETION_TOKENS_PER_REC;
+    task.estimatedTokens = task.estimatedPromptTokens + task.estimatedCompletionTokens;
+
+    if (task.isBatch) {
+      // 估算节省：逐个调用时每个商品都要重复发送候选列表和规则
+      const unbatched = task.items.reduce((sum, item) => sum + estimateTokens(buildSinglePrompt(item.product, item.candidates)), 0);
+      task.batchTokensSaved = Math.max(0, unbatched - estimateTokens(task.prompt));
+    }
+  }
+
+  // 记录每个商品的最终结果（ai / fallback / skipped / no_candidates），让 fallback 可见
+  const outcomes = [];
+  const recordOutcome = (productId, outcome, { errorType = null, errorMessage = null, attempts = 0, recommendations = 0 } = {}) => {
+    outcomes.push({ productId, outcome, errorType, errorMessage, attempts, recommendations });
+  };
+
+  // 累加token消耗（分别记录输入和输出token）
+  const addUsage = (usage) => {
+    if (!usage) return;
+    if (usage.total_tokens) {
+      totalTokens += usage.total_tokens;
+    }
+    if (usage.prompt_tokens) {
+      totalPromptTokens += usage.prompt_tokens;
+    }
+    if (usage.completion_tokens) {
+      totalCompletionTokens += usage.completion_tokens;
+    }
+    console.log(`[AI] Tokens used: ${usage.total_tokens} (input: ${usage.prompt_tokens}, output: ${usage.completion_tokens})`);
+  };
+
+  // 解析 AI 响应，返回每个源商品可用的推荐（至少有一个 productId 在候选列表中）
+  const interpret = (task, content) => {
+    const parsed = parseRecommendationResponse(content, { batch: task.isBatch });
+    const usable = new Map();
+    if (parsed.ok) {
+      for (const item of task.items) {
+        const recs = task.isBatch ? parsed.bySource.get(item.product.productId) : parsed.recommendations;
+        const valid = (recs || []).filter(rec => item.others.some(p => p.productId === rec.productId));
+        if (valid.length > 0) usable.set(item.product.productId, valid);
+      }
+    }
+    return { parsed, usable };
+  };
+
+  const buildCorrection = (task, parsed, missing) => {
+    const problem = parsed.ok
+      ? `no usable recommendations for ${missing.map(item => item.product.productId).join(', ')} (productId must be copied exactly from the candidate list)`
+      : parsed.error;
+    const shape = task.isBatch
+      ? `{"results":[{"sourceId":"xxx","recommendations":[${recommendationShape}]}]}`
+      : `{"recommendations":[${recommendationShape}]}`;
+    return `Your previous answer could not be used: ${problem}. Reply again with ONLY a JSON object in exactly this shape, no code fences and no other text:\n${shape}`;
+  };
+
+  // tokenBudget 按"已用 + 执行中任务的预估"判断（见第四步的 admit），纠正重问同样需要预算
+  const tokenBudget = options.tokenBudget ?? null;
+  let reservedTokens = 0;
+
+  const processTask = async (task) => {
+    const out = [];
+    const label = task.items.map(item => item.product.productId).join(', ');
+
+    console.log(`[AI] Calling ${provider.name} for product(s) ${label}...`);
+    let aiRes = null;
+    let failure = null;
+    let taskTokens = 0; // 本任务消耗的 token（写入缓存）
+    try {
+      aiRes = await callAI(task.prompt, provider, task.systemPrompt);
+      aiCalls++;
+    } catch (e) {
+      failure = e;
+      if (e.attempts) aiCalls++;
+    }
+
+    const fallback = (item, error, attempts) => {
+      const before = out.length;
+      addHeuristic(item, out, 'fallback');
+      recordOutcome(item.product.productId, 'fallback', {
+        errorType: error.type || 'unknown',
+        errorMessage: error.message,
+        attempts,
+        recommendations: out.length - before
+      });
+    };
+
+    if (aiRes) {
+      console.log(`[AI] ✅ ${provider.name} response received`);
+      addUsage(aiRes.usage);
+      taskTokens += aiRes.usage?.total_tokens || 0;
+      let attempts = aiRes.attempts;
+
+      const { parsed, usable } = interpret(task, aiRes.content);
+      if (parsed.repairs.length > 0) {
+        parseRepairs++;
+        console.log(`[AI] Repaired AI response: ${parsed.repairs.join(', ')}`);
+      }
+
+      // 仍不可用时带纠正信息重问一次，只补齐缺失的源商品
+      let missing = task.items.filter(item => !usable.has(item.product.productId));
+      let lastError = parsed.error || 'No usable recommendations';
+      // 重问会重发 prompt 和上一次的回答，预估超出剩余预算时不重问，直接 fallback
+      const correction = missing.length > 0 ? buildCorrection(task, parsed, missing) : null;
+      const retryEstimate = missing.length > 0
+        ? estimateTokens(task.systemPrompt + task.prompt + aiRes.content + correction) + missing.length * count * ESTIMATED_COMPLETION_TOKENS_PER_REC
+        : 0;
+      if (missing.length > 0 && tokenBudget !== null && totalTokens + reservedTokens - task.estimatedTokens + retryEstimate > tokenBudget) {
+        console.warn(`[AI] ⚠️ Unusable AI response (${lastError}), token budget leaves no room to re-ask (${retryEstimate} tokens est.)`);
+        lastError = `${lastError} (not re-asked: token budget reached)`;
+      } else if (missing.length > 0) {
+        parseRetries++;
+        console.warn(`[AI] ⚠️ Unusable AI response (${lastError}), re-asking once with a corrective message`);
+        reservedTokens += retryEstimate;
+        try {
+          const retryRes = await callAI(task.prompt, provider, task.systemPrompt, [
+            { role: 'assistant', content: aiRes.content },
+            { role: 'user', content: correction }
+          ]);
+          aiCalls++;
+          attempts += retryRes.attempts;
+          addUsage(retryRes.usage);
+          taskTokens += retryRes.usage?.total_tokens || 0;
+          const second = interpret(task, retryRes.content);
+          missing.forEach(item => {
+            if (second.usable.has(item.product.productId)) usable.set(item.product.productId, second.usable.get(item.product.productId));
+          });
+          lastError = second.parsed.error || 'No usable recommendations';
+        } catch (e) {
+          lastError = e.message;
+        } finally {
+          reservedTokens -= retryEstimate;
+        }
+        missing = task.items.filter(item => !usable.has(item.product.productId));
+      }
+
+      for (const item of task.items) {
+        if (usable.has(item.product.productId)) {
+          const before = out.length;
+          addRecommendations(item, usable.get(item.product.productId), out);
+          recordOutcome(item.product.productId, 'ai', { attempts, recommendations: out.length - before });
+        } else {
+          parseFailures++;
+          console.error(`[AI] ❌ Parse failure for product ${item.product.productId}: ${lastError}`);
+          fallback(item, new AIError('malformed', lastError), attempts);
+        }
+      }
+
+      // 所有源商品都有可用结果时写入缓存（部分 fallback 的任务下次重新调用 AI）
+      if (options.aiCache && missing.length === 0) {
+        try {
+          await options.aiCache.set(task.cacheKey, {
+            promptVersion,
+            recommendations: Object.fromEntries(usable),
+            tokens: taskTokens
+          });
+        } catch (e) {
+          console.error('[AI] Cache write error:', e.message);
+        }
+      }
+    } else {
+      console.log(`[AI] ⚠️ No AI response (${failure.type}), using fallback recommendations`);
+      task.items.forEach(item => fallback(item, failure, failure.attempts || 0));
+    }
+    if (task.isBatch) batchTokensSaved += task.batchTokensSaved;
+    return out;
+  };
+
+  if (engine === 'heuristic') {
+    for (const item of prepared) {
+      const before = results.length;
+      addHeuristic(item, results, 'heuristic');
+      recordOutcome(item.product.productId, 'heuristic', { recommendations: results.length - before });
+    }
+  }
+
+  // 缓存命中的任务直接使用缓存结果（不占用 token 预算），其余任务进入第四步
+  let pendingTasks = tasks;
+  if (options.aiCache && tasks.length > 0) {
+    for (const task of tasks) {
+      task.cacheKey = computeAICacheKey({ provider, promptVersion, systemPrompt: task.systemPrompt, prompt: task.prompt });
+    }
+    let cached = new Map();
+    try {
+      cached = await options.aiCache.getMany(tasks.map(task => task.cacheKey), { touch: !options.dryRun });
+    } catch (e) {
+      console.error('[AI] Cache read error:', e.message);
+    }
+    pendingTasks = [];
+    for (const task of tasks) {
+      const entry = cached.get(task.cacheKey);
+      const complete = entry && task.items.every(item => (entry.recommendations[item.product.productId] || []).length > 0);
+      if (!complete) {
+        pendingTasks.push(task);
+        continue;
+      }
+      for (const item of task.items) {
+        const before = results.length;
+        addRecommendations(item, entry.recommendations[item.product.productId], results);
+        recordOutcome(item.product.productId, 'cached', { recommendations: results.length - before });
+      }
+      cacheHits += task.items.length;
+      cacheTokensSaved += entry.tokens || 0;
+    }
+    console.log(`[AI] Cache: ${tasks.length - pendingTasks.length}/${tasks.length} tasks reused (${cacheHits} products, ${cacheTokensSaved} tokens saved)`);
+  }
+
+  // 预估模式：到此为止，按任务顺序返回每个 AI 调用的 token 估算（同步时 tokenBudget 也按这个顺序判断）
+  if (options.dryRun) {
+    const sum = (key) => pendingTasks.reduce((total, task) => total + task[key], 0);
+    return {
+      dryRun: true,
+      estimate: {
+        products: products.length,
+        aiProducts: pendingTasks.reduce((total, task) => total + task.items.length, 0),
+        cachedProducts: cacheHits,
+        heuristicProducts: engine === 'heuristic' ? prepared.length : 0,
+        noCandidateProducts: noCandidateIds.length,
+        aiCalls: pendingTasks.length,
+        promptTokens: sum('estimatedPromptTokens'),
+        completionTokens: sum('estimatedCompletionTokens'),
+        totalTokens: sum('estimatedTokens'),
+        cacheTokensSaved,
+        tasks: pendingTasks.map(task => ({ products: task.items.length, tokens: task.estimatedTokens })),
+        promptVersion: tasks.length > 0 ? promptVersion : null
+      }
+    };
+  }
+
+  // 第四步：并发执行任务。tokenBudget 按"已用 + 执行中任务的预估"判断，超出时停止派发新任务
+  const admit = (task) => {
+    if (tokenBudget !== null && totalTokens + reservedTokens + task.estimatedTokens > tokenBudget) {
+      console.warn(`[AI] ⚠️ Token budget reached (${totalTokens} used, ${reservedTokens} in flight, budget ${tokenBudget}), stopping early`);
+      return false;
+    }
+    reservedTokens += task.estimatedTokens;
+    return true;
+  };
+
+  const workerResult = await runWorkerPool(pendingTasks, async (task) => {
+    try {
+      return await processTask(task);
+    } finally {
+      reservedTokens -= task.estimatedTokens;
+    }
+  }, {
+    concurrency: options.concurrency || readIntEnv('AI_CONCURRENCY', 4, 1),
+    rateLimiter: options.requestsPerMinute !== undefined ? getAIRateLimiter(provider, options.requestsPerMinute) : getAIRateLimiter(provider),
+    admit
+  });
+
+  // 按任务顺序合并结果，保证并发执行下输出顺序稳定
+  workerResult.results.forEach(out => { if (out) results.push(...out); });
+
+  const skippedProductIds = pendingTasks.slice(workerResult.processed).flatMap(task => task.items.map(item => item.product.productId));
+
+  // 第五步：混合共同购买推荐。前 slots 个位置给 lift 最高的共同购买商品（只检查商家规则、价格规则和同组商品，
+  // 不检查性别和类目：订单数据本身说明它们会一起购买），其余位置按原推荐顺序补齐，总数仍为 count
+  // 因 token 预算跳过的商品不混合，下次同步时重新生成
+  let coPurchaseBlended = 0;
+  const coPurchase = options.coPurchase;
+  if (coPurchase && coPurchase.slots > 0 && coPurchase.pairs && coPurchase.pairs.size > 0) {
+    const slots = Math.min(coPurchase.slots, count);
+    const skipped = new Set(skippedProductIds);
+    const poolById = new Map(targetPool.map(p => [p.productId, p]));
+    const recsBySource = new Map();
+    for (const rec of results) {
+      if (!recsBySource.has(rec.sourceId)) recsBySource.set(rec.sourceId, []);
+      recsBySource.get(rec.sourceId).push(rec);
+    }
+
+    const blended = [];
+    for (const product of products) {
+      const recs = recsBySource.get(product.productId) || [];
+      const pairs = skipped.has(product.productId) ? [] : (coPurchase.pairs.get(product.productId) || []);
+      const pinned = new Set(rules.getPins(product));
+      const picks = [];
+      const pickedGroups = new Set();
+      for (const pair of pairs) {
+        if (picks.length >= slots) break;
+        const target = poolById.get(pair.productId);
+        if (!target || isSameProductGroup(product, target)) continue;
+        if (rules.isBlocked(product, target.productId) || pinned.has(target.productId)) continue;
+        if (!priceFilter.allows(product, target)) continue;
+        const group = getProductGroup(target);
+        if (pickedGroups.has(group)) continue;
+        pickedGroups.add(group);
+        picks.push(target);
+      }
+
+      const merged = picks.map(target => ({
+        sourceId: product.productId,
+        targetId: target.productId,
+        reason: LOCALES[primaryLocale].reasons.copurchase,
+        reasons: multiLocale ? Object.fromEntries(locales.map(locale => [locale, LOCALES[locale].reasons.copurchase])) : null,
+        engine: 'copurchase',
+        promptVersion: null,
+        rank: 0,
+        reserve: false
+      }));
+      for (const rec of recs) {
+        if (merged.length >= count) break;
+        const target = poolById.get(rec.targetId);
+        if (target && pickedGroups.has(getProductGroup(target))) continue;
+        merged.push(rec);
+      }
+      merged.forEach((rec, index) => { rec.rank = index + 1; });
+      blended.push(...merged);
+      coPurchaseBlended += picks.length;
+    }
+    results.length = 0;
+    results.push(...blended);
+    console.log(`[AI] Co-purchase: ${coPurchaseBlended} recommendations blended (${slots} slots per product)`);
+  }
+
+  // 第六步：备选推荐。每个有推荐的商品额外保存几个规则推荐的备选（reserve: true，排名在正式推荐之后），
+  // 读取时正式推荐的商品售罄或下架，备选依次补位
+  let reservesAdded = 0;
+  if (reserveCount > 0) {
+    const chosenBySource = new Map();
+    for (const rec of results) {
+      if (!chosenBySource.has(rec.sourceId)) chosenBySource.set(rec.sourceId, []);
+      chosenBySource.get(rec.sourceId).push(rec.targetId);
+    }
+    for (const item of prepared) {
+      const chosen = chosenBySource.get(item.product.productId);
+      if (!chosen) continue;
+      const chosenGroups = new Set(targetPool.filter(p => chosen.includes(p.productId)).map(getProductGroup));
+      const remaining = item.others.filter(p => !chosen.includes(p.productId) && !chosenGroups.has(getProductGroup(p)));
+      const picks = heuristic.recommend(item.product, remaining, reserveCount, heuristicBonus(item));
+      picks.forEach((pick, index) => results.push(heuristicRecord(item, pick, 'heuristic', chosen.length + index + 1, true)));
+      reservesAdded += picks.length;
+    }
+  }
+  skippedProductIds.forEach(productId => recordOutcome(productId, 'skipped', { errorType: 'token_budget' }));
+  noCandidateIds.forEach(productId => recordOutcome(productId, 'no_candidates'));
+  const productOrder = new Map(products.map((p, i) => [p.productId, i]));
+  outcomes.sort((a, b) => productOrder.get(a.productId) - productOrder.get(b.productId));
+
+  console.log('[AI] ===== GENERATION COMPLETE =====');
+  console.log(`[AI] Total recommendations generated: ${results.length} (${reservesAdded} reserves)`);
+  console.log(`[AI] Total tokens used: ${totalTokens}`);
+  console.log(`[AI] AI calls: ${aiCalls}, batch tokens saved (est.): ${batchTokensSaved}`);
+  console.log(`[AI] Parse repairs: ${parseRepairs}, retries: ${parseRetries}, failures: ${parseFailures}`);
+  console.log(`[AI] Cache hits: ${cacheHits}, tokens saved: ${cacheTokensSaved}`);
+  if (workerResult.stopped) {
+    console.log(`[AI] Stopped early, ${skippedProductIds.length} products skipped`);
+  }
+
+  return {
+    recommendations: results,
+    totalTokens,
+    promptTokens: totalPromptTokens,
+    completionTokens: totalCompletionTokens,
+    aiCalls,
+    batchTokensSaved,
+    stoppedEarly: workerResult.stopped,
+    skippedProductIds,
+    outcomes,
+    parseRepairs,
+    parseRetries,
+    parseFailures,
+    cacheHits,
+    cacheTokensSaved,
+    coPurchaseBlended,
+    // 本次有 AI 调用时才记录模板版本
+    promptVersion: tasks.length > 0 ? promptVersion : null
+  };
+}
+
+// ============ 套装（Complete the Look） ============
+// 围绕一个锚点商品生成 2~4 件的整套搭配（服装的一身穿搭、美妆的一套流程），每个锚点生成 BUNDLES_PER_PRODUCT 个套装
+// 候选筛选与推荐相同（见 selectCandidates）；套装内每件商品类目不同，也不与锚点同类目
+// 商店开启套装后，同步时为还没有套装的商品生成；推荐引擎为 heuristic 或 AI 不可用 / 响应不可用时使用规则套装
+const DEFAULT_BUNDLE_SIZE = 3;
+const MIN_BUNDLE_SIZE = 2;
+const MAX_BUNDLE_SIZE = 4;
+const BUNDLES_PER_PRODUCT = 2;
+const MAX_BUNDLE_DISCOUNT_PERCENT = 50;
+// 每个套装预估的输出 token 数（用于 token 预算控制）
+const ESTIMATED_COMPLETION_TOKENS_PER_BUNDLE = 60;
+
+// 套装 prompt 暂不支持自定义模板，版本号用于 AI 结果缓存和 Bundle.promptVersion
+const BUNDLE_PROMPT_VERSION = 'bundle@v1';
+const BUNDLE_SYSTEM_PROMPT = 'You are an e-commerce stylist. Return JSON with a bundles array, each element containing title, productIds and reason (or titles and reasons keyed by locale code when several languages are requested). Keep title under 30 characters and reason under 50 characters. Return only JSON, no other text.';
+const BUNDLE_PROMPT = `Build {{count}} "complete the look" bundles around the anchor product. A bundle is a coherent outfit or routine: the anchor plus 1 to {{items}} items from the candidate list that are used together with it.
+
+[Anchor Product]
+{{source}}
+
+[Candidate Products]
+{{candidates}}
+
+[Bundle Rules - Must Follow Strictly]
+1. Gender must match: [Men] anchors only take [Men] or unisex items, [Women] anchors only take [Women] or unisex items
+2. Every item in a bundle must be a different kind of product, and none may be the same kind as the anchor
+3. Items must share a style, color palette or use case so the bundle works as a whole
+4. Bundles must not contain the same set of items; never put the anchor in productIds
+5. Give each bundle a short title describing the look or routine
+
+{{language}}
+
+Return JSON with {{count}} bundles:
+{"bundles":[{{shape}}]}`;
+
+// 商店的套装设置：size 为含锚点的件数，discountPercent 为套装折扣（只作为元数据返回给店面，不修改价格）
+function getShopBundleSettings(shop) {
+  const size = parseInt(shop && shop.bundleSize);
+  const discountPercent = parseFloat(shop && shop.bundleDiscountPercent);
+  return {
+    enabled: !!(shop && shop.bundlesEnabled),
+    size: size >= MIN_BUNDLE_SIZE ? Math.min(size, MAX_BUNDLE_SIZE) : DEFAULT_BUNDLE_SIZE,
+    discountPercent: discountPercent > 0 ? Math.min(discountPercent, MAX_BUNDLE_DISCOUNT_PERCENT) : null
+  };
+}
+
+// 规范化商品 ID：数字转字符串、去掉 gid 前缀、兼容 {productId} 对象
+function normalizeBundleProductId(value, repairs) {
+  if (value && typeof value === 'object') {
+    repairs.add('field_alias');
+    value = value.productId ?? value.product_id ?? value.id;
+  }
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') repairs.add('numeric_id');
+  let productId = String(value).trim();
+  if (productId.startsWith(GID_PRODUCT_PREFIX)) {
+    repairs.add('gid_prefix');
+    productId = productId.slice(GID_PRODUCT_PREFIX.length);
+  }
+  return productId;
+}
+
+// 规范化按语言的文案（{ locale: text }），没有可用内容时返回 null
+function normalizeLocalizedText(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  let texts = null;
+  for (const [key, text] of Object.entries(value)) {
+    const locale = normalizeLocale(key);
+    if (locale && typeof text === 'string' && text.trim()) {
+      texts = texts || {};
+      texts[locale] = text.trim();
+    }
+  }
+  return texts;
+}
+
+/**
+ * 校验并修复 AI 返回的套装 JSON，期望格式 {bundles:[{title, productIds, reason}]}（多语言为 titles / reasons）
+ * 可修复项同 parseRecommendationResponse，另外兼容 items / products 字段名和商品对象
+ * @returns {{ok: boolean, bundles?: Array<{title: string|null, titles: Object|null, productIds: string[], reason: string|null, reasons: Object|null}>, repairs: string[], error?: string}}
+ */
+function parseBundleResponse(content) {
+  const repairs = new Set();
+  const fail = (error) => ({ ok: false, repairs: [...repairs], error });
+
+  const { parsed, error } = parseJsonContent(content, repairs);
+  if (error) return fail(error);
+
+  let list = parsed.bundles;
+  if (Array.isArray(parsed)) {
+    repairs.add('top_level_array');
+    list = parsed;
+  }
+  if (!Array.isArray(list)) return fail('Missing bundles array');
+
+  const bundles = [];
+  for (const entry of list) {
+    if (!entry || typeof entry !== 'object') continue;
+    let ids = entry.productIds;
+    if (!Array.isArray(ids)) {
+      ids = entry.items ?? entry.products;
+      if (Array.isArray(ids)) repairs.add('field_alias');
+    }
+    const productIds = (Array.isArray(ids) ? ids : []).map(id => normalizeBundleProductId(id, repairs)).filter(Boolean);
+    if (productIds.length === 0) {
+      repairs.add('dropped_invalid_entries');
+      continue;
+    }
+    bundles.push({
+      title: typeof entry.title === 'string' && entry.title.trim() ? entry.title.trim() : null,
+      titles: normalizeLocalizedText(entry.titles),
+      productIds,
+      reason: typeof entry.reason === 'string' && entry.reason.trim() ? entry.reason.trim() : null,
+      reasons: normalizeLocalizedText(entry.reasons)
+    });
+  }
+  if (bundles.length === 0) return fail('Empty bundles array');
+  return { ok: true, bundles, repairs: [...repairs] };
+}
+
+/**
+ * 为锚点商品生成套装
+ * @param {Array} products - 需要生成套装的锚点商品
+ * @param {Array} [allProducts] - 所有可选的搭配商品（为空时使用 products）
+ * @param {Object} [options] - provider / classifier / locales / rules / priceRules / engine / aiCache / dryRun / tokenBudget / concurrency 同 generateRecommendations（不支持批量和 prompt 模板）；
+ *   size: 含锚点的件数上限（默认 DEFAULT_BUNDLE_SIZE）；count: 每个锚点的套装数（默认 BUNDLES_PER_PRODUCT）
+ * @returns {Promise<Object>} { bundles: [{anchorId, productIds, title, titles, reason, reasons, engine, promptVersion, rank}], totalTokens, promptTokens, completionTokens, aiCalls, stoppedEarly, skippedProductIds, fallbackProducts, cacheHits, cacheTokensSaved }；
+ *   dryRun 时返回 { dryRun: true, estimate }，estimate 格式同 generateRecommendations
+ */
+async function generateBundles(products, allProducts = null, options = {}) {
+  const targetPool = allProducts || products;
+  const provider = options.provider || getAIProvider();
+  const classifier = options.classifier || createClassifier();
+  const locales = (options.locales && options.locales.length > 0) ? options.locales : [DEFAULT_LOCALE];
+  const primaryLocale = locales[0];
+  const multiLocale = locales.length > 1;
+  const rules = options.rules || createRuleSet();
+  const priceFilter = options.priceRules || createPriceFilter();
+  const engine = RECOMMENDATION_ENGINES.includes(options.engine) ? options.engine : 'ai';
+  const size = Math.min(Math.max(MIN_BUNDLE_SIZE, parseInt(options.size) || DEFAULT_BUNDLE_SIZE), MAX_BUNDLE_SIZE);
+  const count = Math.max(1, parseInt(options.count) || BUNDLES_PER_PRODUCT);
+  const heuristic = createHeuristicRecommender(targetPool, classifier);
+  const getVector = createVectorLookup();
+  const bundles = [];
+  let totalTokens = 0;
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let aiCalls = 0;
+  let fallbackProducts = 0;
+  let cacheHits = 0;
+  let cacheTokensSaved = 0;
+
+  console.log(`[Bundles] Generating bundles for ${products.length} products (engine=${engine}, provider=${provider.name}, size=${size}, count=${count})`);
+
+  // 第一步：筛选候选（同推荐）
+  const prepared = [];
+  const noCandidateIds = [];
+  for (const product of products) {
+    const { others, candidates } = selectCandidates(product, targetPool, { classifier, rules, priceFilter, getVector });
+    if (others.length === 0) noCandidateIds.push(product.productId);
+    else prepared.push({ product, others, candidates });
+  }
+
+  // 按顺序取可用的商品组成套装：必须在候选范围内，同组商品只取一个，类目不重复（other 除外）
+  const assemble = (item, productIds) => {
+    const picked = [];
+    const groups = new Set();
+    const categories = new Set();
+    for (const productId of productIds) {
+      if (picked.length >= size - 1) break;
+      const target = item.others.find(p => p.productId === productId);
+      if (!target) continue;
+      const group = getProductGroup(target);
+      const category = classifier.getCategory(target);
+      if (groups.has(group) || (category !== 'other' && categories.has(category))) continue;
+      groups.add(group);
+      categories.add(category);
+      picked.push(target.productId);
+    }
+    return picked;
+  };
+
+  // 多语言商店：每个语言都有标题和理由，缺失的语言使用该语言的默认文案
+  const localized = (texts, text, key) => Object.fromEntries(locales.map(locale => [
+    locale,
+    (texts && texts[locale]) || (locale === primaryLocale && text) || LOCALES[locale].bundle[key]
+  ]));
+
+  const addAIBundles = (item, entries, out) => {
+    const seen = new Set();
+    let added = 0;
+    for (const entry of entries) {
+      if (added >= count) break;
+      const productIds = assemble(item, entry.productIds);
+      const key = [...productIds].sort().join(',');
+      if (productIds.length === 0 || seen.has(key)) continue;
+      seen.add(key);
+      const titles = multiLocale ? localized(entry.titles, entry.title, 'title') : null;
+      const reasons = multiLocale ? localized(entry.reasons, entry.reason, 'reason') : null;
+      out.push({
+        anchorId: item.product.productId,
+        productIds,
+        title: titles ? titles[primaryLocale] : (entry.title || entry.titles?.[primaryLocale] || LOCALES[primaryLocale].bundle.title),
+        titles,
+        reason: reasons ? reasons[primaryLocale] : (entry.reason || entry.reasons?.[primaryLocale] || LOCALES[primaryLocale].bundle.reason),
+        reasons,
+        engine: 'ai',
+        promptVersion: BUNDLE_PROMPT_VERSION,
+        rank: added + 1
+      });
+      added++;
+    }
+    return added;
+  };
+
+  // 规则套装：规则推荐的结果（优先覆盖不同类目）依次分给各个套装
+  const addHeuristicBundles = (item, out, engineName) => {
+    let remaining = heuristic.recommend(item.product, item.others, (size - 1) * count,
+      (p) => rules.getBoost(item.product, p) + priceFilter.marginBonus(p)).map(pick => pick.product.productId);
+    let added = 0;
+    while (added < count && remaining.length > 0) {
+      const productIds = assemble(item, remaining);
+      if (productIds.length === 0) break;
+      remaining = remaining.filter(id => !productIds.includes(id));
+      out.push({
+        anchorId: item.product.productId,
+        productIds,
+        title: LOCALES[primaryLocale].bundle.title,
+        titles: multiLocale ? Object.fromEntries(locales.map(locale => [locale, LOCALES[locale].bundle.title])) : null,
+        reason: LOCALES[primaryLocale].bundle.reason,
+        reasons: multiLocale ? Object.fromEntries(locales.map(locale => [locale, LOCALES[locale].bundle.reason])) : null,
+        engine: engineName,
+        promptVersion: null,
+        rank: added + 1
+      });
+      added++;
+    }
+    return added;
+  };
+
+  if (engine === 'heuristic') {
+    prepared.forEach(item => addHeuristicBundles(item, bundles, 'heuristic'));
+  }
+
+  // 第二步：构建 prompt（每个锚点一次 AI 调用）
+  const recommendationShape = multiLocale
+    ? `{"titles":{${locales.map(locale => `"${locale}":"${LOCALES[locale].language} title"`).join(',')}},"productIds":["xxx","yyy"],"reasons":{${locales.map(locale => `"${locale}":"${LOCALES[locale].language} reason"`).join(',')}}}`
+    : `{"title":"${LOCALES[primaryLocale].language} title","productIds":["xxx","yyy"],"reason":"${LOCALES[primaryLocale].language} reason only"}`;
+  const languageInstruction = multiLocale
+    ? `Product data may be in ${locales.map(locale => LOCALES[locale].language).join(', ')}. Write every title and reason in EACH of these languages: ${locales.map(locale => `${locale} = ${LOCALES[locale].language}`).join(', ')}`
+    : `Product data may be in ${LOCALES[primaryLocale].language}. Write titles and reasons in ${LOCALES[primaryLocale].language.toUpperCase()} ONLY`;
+  const tasks = (engine === 'ai' ? prepared : []).map(item => {
+    const prompt = renderPrompt(BUNDLE_PROMPT, {
+      count,
+      items: size - 1,
+      source: `${summarizeProduct(item.product, classifier)}\nPrice: $${item.product.price}`,
+      candidates: formatCandidateLines(item.candidates, classifier),
+      language: languageInstruction,
+      shape: recommendationShape
+    });
+    const estimatedPromptTokens = estimateTokens(BUNDLE_SYSTEM_PROMPT + prompt);
+    const estimatedCompletionTokens = count * ESTIMATED_COMPLETION_TOKENS_PER_BUNDLE;
+    return { item, prompt, estimatedPromptTokens, estimatedCompletionTokens, estimatedTokens: estimatedPromptTokens + estimatedCompletionTokens };
+  });
+
+  // 缓存命中的锚点直接使用缓存结果
+  let pendingTasks = tasks;
+  if (options.aiCache && tasks.length > 0) {
+    for (const task of tasks) {
+      task.cacheKey = computeAICacheKey({ provider, promptVersion: BUNDLE_PROMPT_VERSION, systemPrompt: BUNDLE_SYSTEM_PROMPT, prompt: task.prompt });
+    }
+    let cached = new Map();
+    try {
+      cached = await options.aiCache.getMany(tasks.map(task => task.cacheKey), { touch: !options.dryRun });
+    } catch (e) {
+      console.error('[Bundles] Cache read error:', e.message);
+    }
+    pendingTasks = [];
+    for (const task of tasks) {
+      const entry = cached.get(task.cacheKey);
+      const entries = entry && entry.recommendations[task.item.product.productId];
+      // 空列表表示 AI 上次对同样的 prompt 没有给出可用套装（见 processTask），直接使用规则套装，不再调用 AI
+      if (entries && entries.length === 0) {
+        cacheHits++;
+        cacheTokensSaved += entry.tokens || 0;
+        if (!options.dryRun) {
+          fallbackProducts++;
+          addHeuristicBundles(task.item, bundles, 'fallback');
+        }
+        continue;
+      }
+      if (!entries || addAIBundles(task.item, entries, bundles) === 0) {
+        pendingTasks.push(task);
+        continue;
+      }
+      cacheHits++;
+      cacheTokensSaved += entry.tokens || 0;
+    }
+  }
+
+  if (options.dryRun) {
+    const sum = (key) => pendingTasks.reduce((total, task) => total + task[key], 0);
+    return {
+      dryRun: true,
+      estimate: {
+        products: products.length,
+        aiProducts: pendingTasks.length,
+        cachedProducts: cacheHits,
+        heuristicProducts: engine === 'heuristic' ? prepared.length : 0,
+        noCandidateProducts: noCandidateIds.length,
+        aiCalls: pendingTasks.length,
+        promptTokens: sum('estimatedPromptTokens'),
+        completionTokens: sum('estimatedCompletionTokens'),
+        totalTokens: sum('estimatedTokens'),
+        cacheTokensSaved,
+        tasks: pendingTasks.map(task => ({ products: 1, tokens: task.estimatedTokens })),
+        promptVersion: tasks.length > 0 ? BUNDLE_PROMPT_VERSION : null
+      }
+    };
+  }
+
+  const writeCache = async (task, entries, tokens) => {
+    if (!options.aiCache) return;
+    try {
+      await options.aiCache.set(task.cacheKey, {
+        promptVersion: BUNDLE_PROMPT_VERSION,
+        recommendations: { [task.item.product.productId]: entries },
+        tokens
+      });
+    } catch (e) {
+      console.error('[Bundles] Cache write error:', e.message);
+    }
+  };
+
+  // 第三步：调用 AI，响应不可用时使用规则套装
+  // AI 有响应但没有可用套装时缓存空列表，prompt 不变（候选商品、规则不变）的后续同步不再重复调用
+  const processTask = async (task) => {
+    const out = [];
+    let failure;
+    try {
+      const aiRes = await callAI(task.prompt, provider, BUNDLE_SYSTEM_PROMPT, [], { mode: 'bundles' });
+      aiCalls++;
+      const usage = aiRes.usage || {};
+      totalTokens += usage.total_tokens || 0;
+      promptTokens += usage.prompt_tokens || 0;
+      completionTokens += usage.completion_tokens || 0;
+
+      const parsed = parseBundleResponse(aiRes.content);
+      if (parsed.repairs.length > 0) console.log(`[Bundles] Repaired AI response: ${parsed.repairs.join(', ')}`);
+      if (parsed.ok && addAIBundles(task.item, parsed.bundles, out) > 0) {
+        await writeCache(task, parsed.bundles, usage.total_tokens || 0);
+        return out;
+      }
+      await writeCache(task, [], usage.total_tokens || 0);
+      failure = new AIError('malformed', parsed.error || 'No usable bundles');
+    } catch (e) {
+      if (e.attempts) aiCalls++;
+      failure = e;
+    }
+    console.warn(`[Bundles] ⚠️ No usable AI bundles for ${task.item.product.productId} (${failure.type}: ${failure.message}), using fallback bundles`);
+    fallbackProducts++;
+    addHeuristicBundles(task.item, out, 'fallback');
+    return out;
+  };
+
+  const tokenBudget = options.tokenBudget ?? null;
+  let reservedTokens = 0;
+  const workerResult = await runWorkerPool(pendingTasks, async (task) => {
+    try {
+      return await processTask(task);
+    } finally {
+      reservedTokens -= task.estimatedTokens;
+    }
+  }, {
+    concurrency: options.concurrency || readIntEnv('AI_CONCURRENCY', 4, 1),
+    rateLimiter: getAIRateLimiter(provider),
+    admit: (task) => {
+      if (tokenBudget !== null && totalTokens + reservedTokens + task.estimatedTokens > tokenBudget) {
+        console.warn(`[Bundles] ⚠️ Token budget reached (${totalTokens} used, budget ${tokenBudget}), stopping early`);
+        return false;
+      }
+      reservedTokens += task.estimatedTokens;
+      return true;
+    }
+  });
+  workerResult.results.forEach(out => { if (out) bundles.push(...out); });
+  const skippedProductIds = pendingTasks.slice(workerResult.processed).map(task => task.item.product.productId);
+
+  console.log(`[Bundles] Generated ${bundles.length} bundles (AI calls: ${aiCalls}, tokens: ${totalTokens}, fallback: ${fallbackProducts}, cached: ${cacheHits}, skipped: ${skippedProductIds.length})`);
+  return {
+    bundles,
+    totalTokens,
+    promptTokens,
+    completionTokens,
+    aiCalls,
+    stoppedEarly: workerResult.stopped,
+    skippedProductIds,
+    fallbackProducts,
+    cacheHits,
+    cacheTokensSaved
+  };
+}
+
+/**
+ * 同步时为开启套装的商店生成套装（写入 Bundle / BundleItem），只为还没有套装的商品生成
+ * dryRun / refresh 同 generateExperimentRecommendations，dryRun 时 estimate 为 generateBundles 的估算；
+ * prunedAnchorIds 为预估时价格剪枝后将没有套装的锚点（见 estimateSync）
+ * @returns {Promise<{count: number, usage: Object, stoppedEarly: boolean, fallbackProducts: number, cacheHits: number, cacheTokensSaved: number, estimate: Object|null}>}
+ */
+async function generateShopBundles(client, shop, saved, { provider, aiCache, tokenBudget, dryRun = false, refresh = false, prunedAnchorIds = [] }) {
+  const result = { count: 0, usage: { total_tokens: 0, prompt_tokens: 0, completion_tokens: 0 }, stoppedEarly: false, fallbackProducts: 0, cacheHits: 0, cacheTokensSaved: 0, estimate: null };
+  const settings = getShopBundleSettings(shop);
+  if (!settings.enabled) return result;
+
+  const existing = refresh ? { rows: [] } : await client.query('SELECT DISTINCT "anchorId" FROM "Bundle" WHERE "shopId" = $1', [shop.id]);
+  const done = new Set(existing.rows.map(r => r.anchorId));
+  for (const id of prunedAnchorIds) done.delete(id);
+  const pending = saved.filter(p => !p.id || !done.has(p.id));
+  if (pending.length === 0) return result;
+
+  const generated = await generateBundles(pending, saved, {
+    provider,
+    classifier: getShopClassifier(shop),
+    locales: getShopLocales(shop),
+    rules: await loadMerchantRules(shop.id),
+    priceRules: createPriceFilter(shop.priceRules),
+    engine: getShopEngine(shop),
+    size: settings.size,
+    aiCache,
+    dryRun,
+    tokenBudget: provider.isConfigured() ? tokenBudget : null
+  });
+  if (dryRun) {
+    result.estimate = generated.estimate;
+    return result;
+  }
+  result.usage = { total_tokens: generated.totalTokens, prompt_tokens: generated.promptTokens, completion_tokens: generated.completionTokens };
+  result.stoppedEarly = generated.stoppedEarly;
+  result.fallbackProducts = generated.fallbackProducts;
+  result.cacheHits = generated.cacheHits;
+  result.cacheTokensSaved = generated.cacheTokensSaved;
+
+  const byProductId = new Map(saved.map(p => [p.productId, p]));
+  for (const bundle of generated.bundles) {
+    const anchor = byProductId.get(bundle.anchorId);
+    const items = bundle.productIds.map(productId => byProductId.get(productId));
+    if (!anchor || items.some(item => !item)) continue;
+    const bundleId = `bnd_${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+    await client.query(`
+      INSERT INTO "Bundle" ("id", "shopId", "anchorId", "title", "titles", "reason", "reasons", "engine", "promptVersion", "rank")
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [bundleId, shop.id, anchor.id, bundle.title, bundle.titles ? JSON.stringify(bundle.titles) : null,
+        bundle.reason, bundle.reasons ? JSON.stringify(bundle.reasons) : null, bundle.engine, bundle.promptVersion, bundle.rank]);
+    for (const [index, item] of items.entries()) {
+      await client.query('INSERT INTO "BundleItem" ("bundleId", "productId", "position") VALUES ($1, $2, $3)', [bundleId, item.id, index + 1]);
+    }
+    result.count++;
+  }
+  return result;
+}
+
+// ============ 共同购买（Frequently Bought Together） ============
+// 商家上传订单（批量接口或 Shopify orders/create webhook），按商店统计每个商品的订单数和每对商品的共同订单数
+// 共同购买推荐按 lift 排序：lift = P(A,B) / (P(A)·P(B))，大于 1 表示两个商品一起购买的概率高于随机
+// 推荐生成和读取时，每个列表的前 coPurchaseSlots 个位置（固定推荐之后）给 lift 最高的共同购买商品
+const COPURCHASE_MIN_ORDERS = readIntEnv('COPURCHASE_MIN_ORDERS', 3, 1);
+const COPURCHASE_MIN_LIFT = readFloatEnv('COPURCHASE_MIN_LIFT', 1.5);
+const DEFAULT_COPURCHASE_SLOTS = 1;
+const MAX_ORDERS_PER_BATCH = 1000;
+// 超过这个商品数的订单只计商品订单数，不计商品对（避免大订单产生大量无意义的组合）
+const MAX_ORDER_PRODUCTS_FOR_PAIRS = 20;
+const GID_ORDER_PREFIX = 'gid://shopify/Order/';
+// 导入事务冲突（40001 序列化失败、40P01 死锁）时的最大尝试次数
+const ORDER_INGEST_RETRY_CODES = ['40001', '40P01'];
+const ORDER_INGEST_ATTEMPTS = 2;
+
+// 每个推荐列表中共同购买商品的位置数（商家可设置，0 表示不混合）
+function getShopCoPurchaseSlots(shop) {
+  const slots = parseInt(shop && shop.coPurchaseSlots);
+  return Number.isInteger(slots) && slots >= 0 ? Math.min(slots, MAX_RECS_PER_PRODUCT) : DEFAULT_COPURCHASE_SLOTS;
+}
+
+/**
+ * 规范化订单：兼容 Shopify REST（id / line_items / product_id）和 GraphQL（gid、lineItems / productId）格式
+ * 没有商品 ID 的行（自定义商品、运费等）被忽略，同一商品只计一次
+ * @returns {{orderId: string, productIds: string[]}|null} 没有订单 ID 时返回 null
+ */
+function normalizeOrder(order) {
+  if (!order || typeof order !== 'object') return null;
+  const rawId = order.id ?? order.orderId;
+  if (rawId === undefined || rawId === null || rawId === '') return null;
+  const orderId = String(rawId).replace(GID_ORDER_PREFIX, '');
+  const lineItems = order.lineItems ?? order.line_items ?? [];
+  const productIds = new Set();
+  for (const item of Array.isArray(lineItems) ? lineItems : []) {
+    const productId = item && (item.productId ?? item.product_id ?? item.product?.id);
+    if (productId !== undefined && productId !== null && productId !== '') {
+      productIds.add(String(productId).replace(GID_PRODUCT_PREFIX, ''));
+    }
+  }
+  return { orderId, productIds: [...productIds] };
+}
+
+/**
+ * 校验批量上传的订单，返回错误信息（合法时返回 null）
+ */
+function validateOrders(orders) {
+  if (!Array.isArray(orders) || orders.length === 0) return 'orders must be a non-empty array';
+  if (orders.length > MAX_ORDERS_PER_BATCH) return `orders must contain at most ${MAX_ORDERS_PER_BATCH} items`;
+  const invalid = orders.findIndex(order => !normalizeOrder(order));
+  if (invalid !== -1) return `orders[${invalid}] must be an object with an id`;
+  return null;
+}
+
+/**
+ * 导入订单：已导入的订单 ID 跳过，其余累加商品订单数和商品对的共同订单数
+ * @param {Object} shop - Shop 行
+ * @param {Array} orders - 原始订单（见 normalizeOrder）
+ * @param {string} source - 'api' | 'webhook'
+ * @returns {Promise<{received: number, ingested: number, duplicates: number, products: number, pairs: number}>}
+ */
+async function ingestOrders(shop, orders, source) {
+  const normalized = orders.map(normalizeOrder).filter(Boolean);
+  // 同一商店并发导入（webhook 与批量接口）时可能死锁（40P01）或序列化失败（40001），整个事务重试一次
+  let result = null;
+  for (let attempt = 1; !result; attempt++) {
+    try {
+      result = await ingestOrdersOnce(shop, normalized, source);
+    } catch (e) {
+      if (!ORDER_INGEST_RETRY_CODES.includes(e.code) || attempt >= ORDER_INGEST_ATTEMPTS) throw e;
+      console.warn(`[Orders] ${shop.domain}: ingest conflict (${e.code}), retrying`);
+    }
+  }
+
+  return {
+    received: orders.length,
+    ingested: result.ingested,
+    duplicates: normalized.length - result.ingested,
+    products: result.products,
+    pairs: result.pairs
+  };
+}
+
+async function ingestOrdersOnce(shop, normalized, source) {
+  const productCounts = new Map();
+  const pairCounts = new Map();
+  let ingested = 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const order of normalized) {
+      const inserted = await client.query(
+        'INSERT INTO "OrderIngest" ("shopId", "orderId", "products", "source") VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING RETURNING "orderId"',
+        [shop.id, order.orderId, order.productIds.length, source]
+      );
+      if (inserted.rowCount === 0) continue;
+      ingested++;
+
+      const ids = [...order.productIds].sort();
+      ids.forEach(id => productCounts.set(id, (productCounts.get(id) || 0) + 1));
+      if (ids.length > MAX_ORDER_PRODUCTS_FOR_PAIRS) continue;
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+          const key = `${ids[i]}\n${ids[j]}`;
+          pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    // 按键排序后写入，并发导入的事务以相同顺序锁行，减少死锁
+    if (productCounts.size > 0) {
+      const productIds = [...productCounts.keys()].sort();
+      await client.query(`
+        INSERT INTO "ProductPurchase" ("shopId", "productId", "orders")
+        SELECT $1, t."productId", t."orders" FROM unnest($2::text[], $3::int[]) AS t("productId", "orders")
+        ON CONFLICT ("shopId", "productId") DO UPDATE SET "orders" = "ProductPurchase"."orders" + EXCLUDED."orders", "updatedAt" = NOW()
+      `, [shop.id, productIds, productIds.map(id => productCounts.get(id))]);
+    }
+    if (pairCounts.size > 0) {
+      const keys = [...pairCounts.keys()].sort();
+      const pairs = keys.map(key => key.split('\n'));
+      await client.query(`
+        INSERT INTO "CoPurchase" ("shopId", "productA", "productB", "orders")
+        SELECT $1, t."productA", t."productB", t."orders" FROM unnest($2::text[], $3::text[], $4::int[]) AS t("productA", "productB", "orders")
+        ON CONFLICT ("shopId", "productA", "productB") DO UPDATE SET "orders" = "CoPurchase"."orders" + EXCLUDED."orders", "updatedAt" = NOW()
+      `, [shop.id, pairs.map(p => p[0]), pairs.map(p => p[1]), keys.map(key => pairCounts.get(key))]);
+    }
+    if (ingested > 0) {
+      await client.query('UPDATE "Shop" SET "ordersIngested" = COALESCE("ordersIngested", 0) + $1 WHERE "id" = $2', [ingested, shop.id]);
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  return { ingested, products: productCounts.size, pairs: pairCounts.size };
+}
+
+/**
+ * 按 lift 计算共同购买推荐（两个方向都会返回）
+ * @param {{totalOrders: number, productOrders: Map, pairs: Array<{productA: string, productB: string, orders: number}>}} stats
+ * @param {{minOrders?: number, minLift?: number}} [options] - 共同订单数少于 minOrders 或 lift 低于 minLift 的商品对被忽略
+ * @returns {Map<string, Array<{productId: string, orders: number, lift: number, confidence: number}>>} 源商品 ID → 按 lift 降序的推荐（confidence 为买了源商品的订单中也买了它的比例）
+ */
+function computeCoPurchasePairs({ totalOrders, productOrders, pairs }, { minOrders = COPURCHASE_MIN_ORDERS, minLift = COPURCHASE_MIN_LIFT } = {}) {
+  const bySource = new Map();
+  if (!(totalOrders > 0)) return bySource;
+  const add = (source, target, orders, lift) => {
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push({
+      productId: target,
+      orders,
+      lift: Math.round(lift * 100) / 100,
+      confidence: Math.round(orders / productOrders.get(source) * 1000) / 1000
+    });
+  };
+  for (const { productA, productB, orders } of pairs) {
+    const ordersA = productOrders.get(productA);
+    const ordersB = productOrders.get(productB);
+    if (orders < minOrders || !ordersA || !ordersB) continue;
+    const lift = orders * totalOrders / (ordersA * ordersB);
+    if (lift < minLift) continue;
+    add(productA, productB, orders, lift);
+    add(productB, productA, orders, lift);
+  }
+  for (const list of bySource.values()) {
+    list.sort((a, b) => (b.lift - a.lift) || (b.orders - a.orders) || a.productId.localeCompare(b.productId));
+  }
+  return bySource;
+}
+
+/**
+ * 读取商店的共同购买推荐（见 computeCoPurchasePairs）
+ * @param {Object} shop - Shop 行（使用 ordersIngested 作为订单总数）
+ * @param {string[]|null} [productIds] - 只读取这些源商品，null 表示全部
+ */
+async function loadCoPurchasePairs(shop, productIds = null) {
+  if (!(shop.ordersIngested > 0)) return new Map();
+  const pairs = await pool.query(`
+    SELECT "productA", "productB", "orders" FROM "CoPurchase"
+    WHERE "shopId" = $1 AND "orders" >= $2 ${productIds ? 'AND ("productA" = ANY($3) OR "productB" = ANY($3))' : ''}
+  `, productIds ? [shop.id, COPURCHASE_MIN_ORDERS, productIds] : [shop.id, COPURCHASE_MIN_ORDERS]);
+  if (pairs.rows.length === 0) return new Map();
+
+  const ids = [...new Set(pairs.rows.flatMap(r => [r.productA, r.productB]))];
+  const purchases = await pool.query(
+    'SELECT "productId", "orders" FROM "ProductPurchase" WHERE "shopId" = $1 AND "productId" = ANY($2)',
+    [shop.id, ids]
+  );
+  const result = computeCoPurchasePairs({
+    totalOrders: shop.ordersIngested,
+    productOrders: new Map(purchases.rows.map(r => [r.productId, r.orders])),
+    pairs: pairs.rows
+  });
+  if (productIds) {
+    const wanted = new Set(productIds);
+    for (const key of result.keys()) {
+      if (!wanted.has(key)) result.delete(key);
+    }
+  }
+  return result;
+}
+
+// 读取单个商品的共同购买推荐（缓存，导入订单时清除该商店的缓存）
+async function getProductCoPurchases(shop, productId) {
+  const cacheKey = `copurchase:${shop.id}:${productId}`;
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() < cached.expiry) return cached.data;
+
+  const pairs = await loadCoPurchasePairs(shop, [productId]);
+  const data = pairs.get(productId) || [];
+  cache.set(cacheKey, { data, expiry: Date.now() + CACHE_TTL });
+  return data;
+}
+
+/**
+ * 校验 Shopify webhook 签名（X-Shopify-Hmac-Sha256：原始请求体的 HMAC-SHA256，base64）
+ */
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || typeof signature !== 'string' || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(signature, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ============ Development Store Detection ============
+/**
+ * 判断是否为开发店
+ * @param {string} planName - Shopify plan name
+ * @returns {boolean}
+ */
+function isDevelopmentStore(planName) {
+  if (!planName) return false;
+
+  const planLower = planName.toLowerCase();
+
+  // 开发店的plan关键词
+  const devKeywords = [
+    'development',  // Basic App Development, Development Store
+    'partner',      // Partner Test, Partner Development
+    'affiliate',    // Affiliate
+    'staff',        // Staff
     'trial',        // Trial
     'frozen',       // Frozen
     'cancelled',    // Cancelled
@@ -739,9 +3822,10 @@ function checkDevelopmentStoreAccess(shop) {
 
 /**
  * 检查并重置全局每日Token配额
+ * @param {{readOnly?: boolean}} [options] - readOnly 时只计算不写入（不创建记录、不做跨天重置），用于同步预估
  * @returns {Promise<{allowed: boolean, tokensRemaining: number, quotaResetDate: string, reason?: string}>}
  */
-async function checkDailyTokenQuota() {
+async function checkDailyTokenQuota({ readOnly = false } = {}) {
   const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
 
   // 获取全局配额信息
@@ -750,10 +3834,12 @@ async function checkDailyTokenQuota() {
 
   if (!globalQuota) {
     // 如果没有全局配额记录，创建一个
-    await pool.query(`
-      INSERT INTO "GlobalQuota" ("id", "dailyTokenQuota", "tokensUsedToday", "quotaResetDate", "updatedAt")
-      VALUES ('global', 10000000, 0, $1::date, NOW())
-    `, [today]);
+    if (!readOnly) {
+      await pool.query(`
+        INSERT INTO "GlobalQuota" ("id", "dailyTokenQuota", "tokensUsedToday", "quotaResetDate", "updatedAt")
+        VALUES ('global', 10000000, 0, $1::date, NOW())
+      `, [today]);
+    }
 
     return {
       allowed: true,
@@ -770,13 +3856,15 @@ async function checkDailyTokenQuota() {
 
   // 检查是否需要重置（新的一天）
   if (lastResetDate !== today) {
-    console.log(`[TokenQuota] Resetting global daily quota (last reset: ${lastResetDate}, today: ${today})`);
     tokensUsed = 0;
     // 更新数据库
-    await pool.query(
-      `UPDATE "GlobalQuota" SET "tokensUsedToday" = 0, "quotaResetDate" = $1::date, "updatedAt" = NOW() WHERE "id" = 'global'`,
-      [today]
-    );
+    if (!readOnly) {
+      console.log(`[TokenQuota] Resetting global daily quota (last reset: ${lastResetDate}, today: ${today})`);
+      await pool.query(
+        `UPDATE "GlobalQuota" SET "tokensUsedToday" = 0, "quotaResetDate" = $1::date, "updatedAt" = NOW() WHERE "id" = 'global'`,
+        [today]
+      );
+    }
   }
 
   const tokensRemaining = Math.max(0, quota - tokensUsed);
@@ -865,40 +3953,964 @@ async function updateTokenUsage(tokensUsed, shopId, client = null) {
         FOR UPDATE
       `, [shopId]);
 
-      if (shopResult.rows.length > 0) {
-        const shop = shopResult.rows[0];
-        const lastResetDate = shop.quotaResetDate ? new Date(shop.quotaResetDate).toISOString().split('T')[0] : null;
+      if (shopResult.rows.length > 0) {
+        const shop = shopResult.rows[0];
+        const lastResetDate = shop.quotaResetDate ? new Date(shop.quotaResetDate).toISOString().split('T')[0] : null;
+
+        let newTokensUsed = tokensUsed;
+        if (lastResetDate === today) {
+          newTokensUsed = (shop.tokensUsedToday || 0) + tokensUsed;
+        }
+
+        await client.query(`
+          UPDATE "Shop" SET
+            "tokensUsedToday" = $1,
+            "quotaResetDate" = $2::date,
+            "updatedAt" = NOW()
+          WHERE "id" = $3
+        `, [newTokensUsed, today, shopId]);
+      }
+    }
+
+    if (ownClient) {
+      await client.query('COMMIT');
+    }
+    console.log(`[TokenQuota] Updated token usage: +${tokensUsed} tokens (shop: ${shopId || 'N/A'})`);
+  } catch (error) {
+    if (ownClient) {
+      await client.query('ROLLBACK');
+    }
+    console.error('[TokenQuota] Failed to update global token usage:', error);
+    throw error;
+  } finally {
+    if (ownClient) {
+      client.release();
+    }
+  }
+}
+
+// ============ 点击率重排（CTR Re-ranking） ============
+// 读取推荐时把生成时的排名和平滑后的点击率结合：score = (1 / rank) * lift^CTR_RERANK_WEIGHT
+// lift = 平滑 CTR / 商店平均 CTR。平滑使用 Beta 先验（相当于按商店平均 CTR 预先加了 CTR_PRIOR_IMPRESSIONS 次展示），
+// 展示少的推荐接近平均值，不会因为偶然的点击大幅变动
+// 展示足够多、平滑 CTR 仍低于商店平均一定比例的推荐被降级（排在未降级的推荐之后），原因记录在 Recommendation.demotionReason
+const CTR_PRIOR_IMPRESSIONS = readIntEnv('CTR_PRIOR_IMPRESSIONS', 50, 1);
+const CTR_RERANK_WEIGHT = readFloatEnv('CTR_RERANK_WEIGHT', 1);
+const CTR_DEFAULT_PRIOR = 0.02; // 商店展示数据不足时使用的平均 CTR
+const CTR_PRIOR_MIN_SHOP_IMPRESSIONS = 1000;
+const CTR_DEMOTE_MIN_IMPRESSIONS = readIntEnv('CTR_DEMOTE_MIN_IMPRESSIONS', 200, 1);
+const CTR_DEMOTE_RATIO = readFloatEnv('CTR_DEMOTE_RATIO', 0.3);
+// 统计接口列出的降级推荐数上限（demotedCount 仍为全部降级数）
+const CTR_DEMOTED_LIST_LIMIT = 50;
+
+/**
+ * 商店平均 CTR（平滑的先验），展示数据不足时使用默认值
+ */
+async function getShopCtrPrior(shopId) {
+  const cacheKey = `ctr-prior:${shopId}`;
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() < cached.expiry) return cached.data;
+
+  const result = await pool.query(`
+    SELECT COALESCE(SUM("impressions"), 0) as "impressions", COALESCE(SUM("clicks"), 0) as "clicks"
+    FROM "Recommendation"
+    WHERE "shopId" = $1
+  `, [shopId]);
+  const impressions = parseInt(result.rows[0].impressions);
+  const clicks = parseInt(result.rows[0].clicks);
+  // 下限避免零点击商店的 lift 除以 0
+  const prior = impressions >= CTR_PRIOR_MIN_SHOP_IMPRESSIONS ? Math.max(clicks / impressions, 0.001) : CTR_DEFAULT_PRIOR;
+
+  cache.set(cacheKey, { data: prior, expiry: Date.now() + CACHE_TTL });
+  return prior;
+}
+
+/**
+ * 创建 CTR 排序器
+ * @param {number} prior - 商店平均 CTR（见 getShopCtrPrior）
+ * @param {{weight?: number}} [options] - weight 为 CTR 提升的指数，0 表示只按生成时的排名（实验变体 ranking: 'rank'）
+ * @returns {{smoothedCtr: Function, score: Function, demotionReason: Function}}
+ */
+function createCtrRanker(prior, { weight = CTR_RERANK_WEIGHT } = {}) {
+  const threshold = prior * CTR_DEMOTE_RATIO;
+  const smoothedCtr = (r) => ((r.clicks || 0) + prior * CTR_PRIOR_IMPRESSIONS) / ((r.impressions || 0) + CTR_PRIOR_IMPRESSIONS);
+
+  return {
+    smoothedCtr,
+
+    // 排名得分：生成时的排名（没有排名的旧数据按读取顺序）乘以 CTR 提升
+    score(r, position) {
+      const rank = r.rank || position;
+      return (1 / rank) * (smoothedCtr(r) / prior) ** weight;
+    },
+
+    // 需要降级时返回原因，否则返回 null
+    demotionReason(r) {
+      const impressions = r.impressions || 0;
+      if (impressions < CTR_DEMOTE_MIN_IMPRESSIONS) return null;
+      const ctr = smoothedCtr(r);
+      if (ctr >= threshold) return null;
+      return `Smoothed CTR ${(ctr * 100).toFixed(2)}% after ${impressions} impressions (${r.clicks || 0} clicks) is below ${(threshold * 100).toFixed(2)}% (${Math.round(CTR_DEMOTE_RATIO * 100)}% of shop average ${(prior * 100).toFixed(2)}%)`;
+    }
+  };
+}
+
+/**
+ * 展示 / 点击计数更新后重新判断降级状态（降级和恢复都会写回 Recommendation，一条 UPDATE 完成）
+ * @param {string} shopId
+ * @param {Array} rows - 更新后的 Recommendation 行（id、impressions、clicks、demotedAt）
+ */
+async function refreshDemotions(shopId, rows) {
+  if (rows.length === 0) return;
+  const ranker = createCtrRanker(await getShopCtrPrior(shopId));
+  // reason 为 null 表示恢复
+  const changes = [];
+  for (const r of rows) {
+    const reason = ranker.demotionReason(r);
+    if (reason && !r.demotedAt) {
+      changes.push({ id: r.id, reason });
+      console.log(`[CTR] Demoted recommendation ${r.id}: ${reason}`);
+    } else if (!reason && r.demotedAt) {
+      changes.push({ id: r.id, reason: null });
+      console.log(`[CTR] Restored recommendation ${r.id}`);
+    }
+  }
+  if (changes.length === 0) return;
+
+  await pool.query(`
+    UPDATE "Recommendation" r SET
+      "demotedAt" = CASE WHEN c."reason" IS NULL THEN NULL ELSE NOW() END,
+      "demotionReason" = c."reason"
+    FROM unnest($1::text[], $2::text[]) AS c("id", "reason")
+    WHERE r."id" = c."id"
+  `, [changes.map(c => c.id), changes.map(c => c.reason)]);
+}
+
+// ============ 探索策略（Bandit Exploration） ============
+// CTR 重排后排名靠后的推荐很少被展示，无法积累点击数据。开启探索后，storefront 请求会让排名靠后的已存推荐
+// （包括备选推荐）占据展示位：
+// - epsilon_greedy：每次请求以探索率（explorationRate）的概率把最后一个展示位换成随机一个靠后的候选
+// - thompson：每次请求为每个展示位上的推荐和每个靠后的候选各从 Beta 后验中采样一次，采样值最高的几个占据展示位
+//   （原推荐保持原位，被挤出的展示位按采样值依次换成候选）。探索程度由后验的不确定性决定，不使用探索率
+// 后验与 CTR 平滑使用同一先验：Beta(clicks + prior * n, impressions - clicks + (1 - prior) * n)，n = CTR_PRIOR_IMPRESSIONS，
+// 所以展示 / 点击追踪更新计数后后验随之更新。探索展示的次数记录在 Recommendation.exploreServes
+const EXPLORATION_POLICIES = ['none', 'epsilon_greedy', 'thompson'];
+const DEFAULT_EXPLORATION_RATE = 0.1;
+const MAX_EXPLORATION_RATE = 0.5;
+
+/**
+ * 商店的探索策略和探索率（未设置时不探索）
+ */
+function getShopExploration(shop) {
+  const policy = EXPLORATION_POLICIES.includes(shop && shop.explorationPolicy) ? shop.explorationPolicy : 'none';
+  const rate = parseFloat(shop && shop.explorationRate);
+  return {
+    policy,
+    rate: rate >= 0 && rate <= MAX_EXPLORATION_RATE ? rate : DEFAULT_EXPLORATION_RATE
+  };
+}
+
+// Gamma(shape, 1) 采样（Marsaglia-Tsang），shape < 1 时用 Gamma(shape + 1) 变换
+function sampleGamma(shape) {
+  if (shape < 1) return sampleGamma(shape + 1) * Math.random() ** (1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      // Box-Muller 标准正态
+      x = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = Math.random();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha);
+  return x / (x + sampleGamma(beta));
+}
+
+/**
+ * 创建探索器
+ * @param {{policy: string, rate: number}} exploration - 见 getShopExploration
+ * @param {number} prior - 商店平均 CTR（见 getShopCtrPrior）
+ * @returns {{posterior: Function, explore: Function}}
+ */
+function createExplorer({ policy, rate }, prior) {
+  const posterior = (r) => {
+    const impressions = r.impressions || 0;
+    const clicks = Math.min(r.clicks || 0, impressions);
+    return {
+      alpha: clicks + prior * CTR_PRIOR_IMPRESSIONS,
+      beta: impressions - clicks + (1 - prior) * CTR_PRIOR_IMPRESSIONS
+    };
+  };
+
+  return {
+    posterior,
+
+    /**
+     * 对排好序的推荐应用探索，返回展示的推荐（探索占位的推荐带 explored: true）
+     * @param {Array} ranked - 排序后的全部推荐（见 getProductRecommendations）
+     * @param {number} limit - 展示数
+     */
+    explore(ranked, limit) {
+      const visible = ranked.slice(0, limit);
+      // 固定推荐不参与探索；没有靠后的候选时也不探索
+      const candidates = ranked.slice(limit).filter(r => !r.pinned && r.id);
+      if (policy === 'none' || visible.length === 0 || candidates.length === 0) return visible;
+
+      if (policy === 'epsilon_greedy') {
+        const slot = visible.length - 1;
+        if (visible[slot].pinned || Math.random() >= rate) return visible;
+        visible[slot] = { ...candidates[Math.floor(Math.random() * candidates.length)], explored: true };
+        return visible;
+      }
+
+      const slots = visible.map((r, i) => i).filter(i => !visible[i].pinned && visible[i].id);
+      if (slots.length === 0) return visible;
+      const draw = (r) => {
+        const { alpha, beta } = posterior(r);
+        return sampleBeta(alpha, beta);
+      };
+      const samples = new Map([...slots.map(i => visible[i]), ...candidates].map(r => [r, draw(r)]));
+      const winners = new Set([...samples.keys()].sort((a, b) => samples.get(b) - samples.get(a)).slice(0, slots.length));
+      const entering = candidates.filter(r => winners.has(r)).sort((a, b) => samples.get(b) - samples.get(a));
+      for (const i of slots) {
+        if (!winners.has(visible[i])) visible[i] = { ...entering.shift(), explored: true };
+      }
+      return visible;
+    }
+  };
+}
+
+// ============ A/B 实验（Experiments） ============
+// 每个商店同时最多一个进行中的实验，实验由 2~5 个变体组成（第一个为对照组）。变体可以覆盖：
+// - engine / promptTemplateId：生成型变体，同步时额外生成一套推荐写入 ExperimentRecommendation
+// - ranking（ctr / rank）、explorationPolicy / explorationRate：读取时的排序和探索策略
+// storefront 请求带访客 ID 时按 hash(experimentId:visitorId) 确定性分配变体（按 weight 加权），响应带上实验和变体，
+// 追踪请求带回 experimentId / variant 后按变体统计展示和点击（ExperimentStat）
+const EXPERIMENT_RANKINGS = ['ctr', 'rank'];
+const EXPERIMENT_VARIANT_FIELDS = ['name', 'weight', 'engine', 'promptTemplateId', 'ranking', 'explorationPolicy', 'explorationRate'];
+const MIN_EXPERIMENT_VARIANTS = 2;
+const MAX_EXPERIMENT_VARIANTS = 5;
+
+/**
+ * 校验实验变体定义，返回错误信息，合法时返回 null
+ */
+function validateExperimentVariants(variants) {
+  if (!Array.isArray(variants) || variants.length < MIN_EXPERIMENT_VARIANTS || variants.length > MAX_EXPERIMENT_VARIANTS) {
+    return `variants must be an array of ${MIN_EXPERIMENT_VARIANTS}-${MAX_EXPERIMENT_VARIANTS} variants`;
+  }
+  const names = new Set();
+  for (const v of variants) {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return 'Each variant must be an object';
+    const unknown = Object.keys(v).find(key => !EXPERIMENT_VARIANT_FIELDS.includes(key));
+    if (unknown) return `Unknown variant field "${unknown}", allowed: ${EXPERIMENT_VARIANT_FIELDS.join(', ')}`;
+    if (typeof v.name !== 'string' || !/^[\w-]{1,32}$/.test(v.name)) return 'Variant name must be 1-32 letters, digits, "_" or "-"';
+    if (names.has(v.name)) return `Duplicate variant name "${v.name}"`;
+    names.add(v.name);
+    if (v.weight != null && !(typeof v.weight === 'number' && v.weight > 0)) return `Variant "${v.name}": weight must be a positive number`;
+    if (v.engine != null && !RECOMMENDATION_ENGINES.includes(v.engine)) {
+      return `Variant "${v.name}": engine must be one of: ${RECOMMENDATION_ENGINES.join(', ')}`;
+    }
+    if (v.promptTemplateId != null && typeof v.promptTemplateId !== 'string') return `Variant "${v.name}": promptTemplateId must be a string`;
+    if (v.ranking != null && !EXPERIMENT_RANKINGS.includes(v.ranking)) {
+      return `Variant "${v.name}": ranking must be one of: ${EXPERIMENT_RANKINGS.join(', ')}`;
+    }
+    if (v.explorationPolicy != null && !EXPLORATION_POLICIES.includes(v.explorationPolicy)) {
+      return `Variant "${v.name}": explorationPolicy must be one of: ${EXPLORATION_POLICIES.join(', ')}`;
+    }
+    if (v.explorationRate != null && !(typeof v.explorationRate === 'number' && v.explorationRate >= 0 && v.explorationRate <= MAX_EXPLORATION_RATE)) {
+      return `Variant "${v.name}": explorationRate must be a number between 0 and ${MAX_EXPLORATION_RATE}`;
+    }
+  }
+  return null;
+}
+
+// 变体定义补全默认值（存入 Experiment.variants）
+function normalizeExperimentVariants(variants) {
+  return variants.map(v => ({
+    name: v.name,
+    weight: v.weight || 1,
+    engine: v.engine || null,
+    promptTemplateId: v.promptTemplateId || null,
+    ranking: v.ranking || null,
+    explorationPolicy: v.explorationPolicy || null,
+    explorationRate: v.explorationRate ?? null
+  }));
+}
+
+/**
+ * 商店进行中的实验（带缓存），没有时返回 null
+ * 变体附带 experimentId，以及 generated（是否需要单独生成推荐）
+ */
+async function getRunningExperiment(shopId) {
+  const cacheKey = `experiment:${shopId}`;
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() < cached.expiry) return cached.data;
+
+  const result = await pool.query(
+    `SELECT * FROM "Experiment" WHERE "shopId" = $1 AND "status" = 'running' ORDER BY "startedAt" DESC LIMIT 1`,
+    [shopId]
+  );
+  const experiment = result.rows[0] || null;
+  const data = experiment && {
+    ...experiment,
+    variants: experiment.variants.map(v => ({ ...v, experimentId: experiment.id, generated: !!(v.engine || v.promptTemplateId) }))
+  };
+
+  cache.set(cacheKey, { data, expiry: Date.now() + CACHE_TTL });
+  return data;
+}
+
+/**
+ * 按访客 ID 确定性分配变体：同一访客在同一实验中总是同一变体
+ * @returns {Promise<Object|null>} 变体（见 getRunningExperiment），没有访客 ID 或进行中的实验时返回 null
+ */
+async function assignExperimentVariant(shopId, visitorId) {
+  if (!visitorId) return null;
+  const experiment = await getRunningExperiment(shopId);
+  if (!experiment) return null;
+
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${visitorId}`).digest();
+  const totalWeight = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = hash.readUInt32BE(0) / 2 ** 32 * totalWeight;
+  for (const variant of experiment.variants) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * 追踪请求中的变体：实验不是商店当前进行中的实验或变体不存在时返回 null（不计入实验）
+ */
+async function findTrackedVariant(shopId, experimentId, variantName) {
+  if (!experimentId || !variantName) return null;
+  const experiment = await getRunningExperiment(shopId);
+  if (!experiment || experiment.id !== experimentId) return null;
+  return experiment.variants.find(v => v.name === variantName) || null;
+}
+
+/**
+ * 追踪更新的推荐表：生成型变体更新 ExperimentRecommendation（不参与 CTR 降级），其余更新 Recommendation
+ * fallback 为 true 时（生成型变体还没有推荐、返回的是默认推荐，见 getStorefrontRecommendations）同样更新 Recommendation，
+ * 展示和点击仍计入变体统计
+ * filter 的参数从 $5 开始（$1~$4 由追踪接口使用）
+ */
+function getTrackingScope(tracked, fallback = false) {
+  if (tracked && tracked.generated && !fallback) {
+    return {
+      variant: true,
+      table: 'ExperimentRecommendation',
+      filter: 'AND r."experimentId" = $5 AND r."variant" = $6',
+      params: [tracked.experimentId, tracked.name],
+      returning: 'r."id", r."impressions", r."clicks"'
+    };
+  }
+  return { variant: false, table: 'Recommendation', filter: '', params: [], returning: 'r."id", r."impressions", r."clicks", r."demotedAt"' };
+}
+
+// 累加变体统计（served：返回次数，impressions / clicks：追踪上报）
+async function recordExperimentStat(experimentId, variant, { served = 0, fallbackServed = 0, impressions = 0, clicks = 0 }) {
+  await pool.query(`
+    INSERT INTO "ExperimentStat" ("experimentId", "variant", "served", "fallbackServed", "impressions", "clicks")
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT ("experimentId", "variant") DO UPDATE SET
+      "served" = "ExperimentStat"."served" + $3,
+      "fallbackServed" = COALESCE("ExperimentStat"."fallbackServed", 0) + $4,
+      "impressions" = "ExperimentStat"."impressions" + $5,
+      "clicks" = "ExperimentStat"."clicks" + $6
+  `, [experimentId, variant, served, fallbackServed, impressions, clicks]);
+}
+
+// 95% 置信区间
+const EXPERIMENT_Z = 1.96;
+
+// 点击率的 Wilson 置信区间（展示少时比正态近似稳定）
+function wilsonInterval(clicks, impressions) {
+  if (impressions === 0) return [0, 0];
+  const p = clicks / impressions;
+  const z2 = EXPERIMENT_Z * EXPERIMENT_Z;
+  const center = (p + z2 / (2 * impressions)) / (1 + z2 / impressions);
+  const margin = EXPERIMENT_Z * Math.sqrt(p * (1 - p) / impressions + z2 / (4 * impressions * impressions)) / (1 + z2 / impressions);
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * 计算实验结果：每个变体的 CTR 及置信区间，非对照组再给出与对照组的 CTR 差值及其置信区间
+ * @param {Object} experiment - Experiment 行
+ * @param {Array} stats - 该实验的 ExperimentStat 行
+ */
+function summarizeExperiment(experiment, stats) {
+  const byVariant = new Map(stats.map(s => [s.variant, s]));
+  const pct = (x) => parseFloat((x * 100).toFixed(2));
+  const rows = experiment.variants.map(v => {
+    const stat = byVariant.get(v.name) || {};
+    const impressions = parseInt(stat.impressions) || 0;
+    const clicks = parseInt(stat.clicks) || 0;
+    return { variant: v, served: parseInt(stat.served) || 0, fallbackServed: parseInt(stat.fallbackServed) || 0, impressions, clicks, ctr: impressions > 0 ? clicks / impressions : 0 };
+  });
+  const control = rows[0];
+
+  return rows.map((row, i) => {
+    const [low, high] = wilsonInterval(row.clicks, row.impressions);
+    const result = {
+      variant: row.variant.name,
+      control: i === 0,
+      definition: row.variant,
+      served: row.served,
+      fallbackServed: row.fallbackServed,
+      impressions: row.impressions,
+      clicks: row.clicks,
+      ctr: pct(row.ctr),
+      ctrInterval: [pct(low), pct(high)]
+    };
+    if (i === 0) return result;
+
+    // 两个比例之差的正态近似
+    const diff = row.ctr - control.ctr;
+    const se = row.impressions > 0 && control.impressions > 0
+      ? Math.sqrt(row.ctr * (1 - row.ctr) / row.impressions + control.ctr * (1 - control.ctr) / control.impressions)
+      : null;
+    result.vsControl = {
+      difference: pct(diff),
+      differenceInterval: se === null ? null : [pct(diff - EXPERIMENT_Z * se), pct(diff + EXPERIMENT_Z * se)],
+      relativeLift: control.ctr > 0 ? pct(diff / control.ctr) : null,
+      significant: se !== null && se > 0 && Math.abs(diff) > EXPERIMENT_Z * se
+    };
+    return result;
+  });
+}
+
+/**
+ * 为进行中实验的生成型变体生成推荐（同步时调用，写入 ExperimentRecommendation）
+ * 每个变体只为还没有变体推荐的商品生成，所以实验开始后的下一次同步会补齐全部商品
+ * dryRun 时只估算 token（见 generateRecommendations 的 options.dryRun），每个变体的估算在 estimates 中返回；
+ * refresh 表示预估的是刷新同步（变体推荐会被删除，全部商品都需要生成）
+ * @returns {Promise<{count: number, usage: Object, stoppedEarly: boolean, cacheHits: number, cacheTokensSaved: number, estimates: Array}>}
+ */
+async function generateExperimentRecommendations(client, shop, saved, { provider, batchSize, aiCache, tokenBudget, dryRun = false, refresh = false }) {
+  const result = { count: 0, usage: { total_tokens: 0, prompt_tokens: 0, completion_tokens: 0 }, stoppedEarly: false, cacheHits: 0, cacheTokensSaved: 0, estimates: [] };
+  const experiment = await getRunningExperiment(shop.id);
+  if (!experiment) return result;
+
+  for (const variant of experiment.variants.filter(v => v.generated)) {
+    const existing = refresh ? { rows: [] } : await client.query(
+      'SELECT DISTINCT "sourceId" FROM "ExperimentRecommendation" WHERE "experimentId" = $1 AND "variant" = $2',
+      [experiment.id, variant.name]
+    );
+    const done = new Set(existing.rows.map(r => r.sourceId));
+    const pending = saved.filter(p => !done.has(p.id));
+    if (pending.length === 0) continue;
+
+    const engine = variant.engine || getShopEngine(shop);
+    const budget = tokenBudget === null ? null : Math.max(0, tokenBudget - result.usage.total_tokens);
+    console.log(`[Experiment] ${dryRun ? 'Estimating' : 'Generating'} ${pending.length} products for variant "${variant.name}" of ${experiment.id} (engine=${engine})`);
+    const generated = await generateRecommendations(pending, saved, {
+      provider,
+      batchSize,
+      classifier: getShopClassifier(shop),
+      locales: getShopLocales(shop),
+      rules: await loadMerchantRules(shop.id),
+      priceRules: createPriceFilter(shop.priceRules),
+      engine,
+      count: getShopRecsPerProduct(shop),
+      promptTemplate: engine === 'ai' ? await resolvePromptTemplate({ ...shop, promptTemplateId: variant.promptTemplateId || shop.promptTemplateId }) : null,
+      aiCache,
+      dryRun,
+      tokenBudget: provider.isConfigured() ? budget : null
+    });
+    if (dryRun) {
+      result.estimates.push({ experimentId: experiment.id, variant: variant.name, engine, ...generated.estimate });
+      continue;
+    }
+    result.cacheHits += generated.cacheHits;
+    result.cacheTokensSaved += generated.cacheTokensSaved;
+    result.usage.total_tokens += generated.totalTokens;
+    result.usage.prompt_tokens += generated.promptTokens;
+    result.usage.completion_tokens += generated.completionTokens;
+    result.stoppedEarly = result.stoppedEarly || generated.stoppedEarly;
+
+    for (const rec of generated.recommendations) {
+      const src = saved.find(p => p.productId === rec.sourceId);
+      const tgt = saved.find(p => p.productId === rec.targetId);
+      if (!src || !tgt) continue;
+      await client.query(`
+        INSERT INTO "ExperimentRecommendation" ("id", "experimentId", "shopId", "variant", "sourceId", "targetId", "reason", "reasons", "engine", "promptVersion", "rank", "reserve")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT ("experimentId", "variant", "sourceId", "targetId") DO UPDATE SET
+          "reason" = $7, "reasons" = $8, "engine" = $9, "promptVersion" = $10, "rank" = $11, "reserve" = $12
+      `, [crypto.randomUUID(), experiment.id, shop.id, variant.name, src.id, tgt.id, rec.reason, rec.reasons ? JSON.stringify(rec.reasons) : null,
+          rec.engine, rec.promptVersion, rec.rank, rec.reserve]);
+      if (!rec.reserve) result.count++;
+    }
+  }
+  return result;
+}
+
+/**
+ * storefront 读取推荐（storefront、public 接口共用），assignment 为分配的实验变体（见 assignExperimentVariant）
+ * 生成型变体在下一次同步前还没有该源商品的推荐，这时按默认推荐返回，但仍计入分到的变体（fallbackServed 记录次数），
+ * 避免只有已生成推荐的商品留在变体中、其余商品全部落到对照组造成 CTR 偏差
+ * @returns {Promise<{recs: Array|null, assignment: Object|null}>} assignment.fallback 表示本次返回的是默认推荐
+ */
+async function getStorefrontRecommendations(shop, productId, { limit, locale, assignment = null }) {
+  let recs = await getProductRecommendations(shop, productId, { limit, locale, explore: true, variant: assignment });
+  if (assignment && assignment.generated && recs && !recs.some(r => !r.pinned)) {
+    assignment = { ...assignment, fallback: true };
+    recs = await getProductRecommendations(shop, productId, { limit, locale, explore: true });
+  }
+  if (assignment && recs) {
+    recordExperimentStat(assignment.experimentId, assignment.name, { served: 1, fallbackServed: assignment.fallback ? 1 : 0 })
+      .catch(e => console.error('[Experiment] Stat error:', e.message));
+  }
+  return { recs, assignment: recs ? assignment : null };
+}
+
+// ============ 推荐读取 ============
+
+/**
+ * 从同步数据读取库存和上架状态（也接受 Shopify GraphQL 的 availableForSale / totalInventory / status），未提供时为 null
+ */
+function parseAvailability(p) {
+  const available = p.available ?? p.availableForSale;
+  const inventoryQuantity = p.inventoryQuantity ?? p.totalInventory;
+  const published = p.published ?? (typeof p.status === 'string' ? p.status.toUpperCase() === 'ACTIVE' : undefined);
+  return {
+    available: typeof available === 'boolean' ? available : null,
+    inventoryQuantity: Number.isInteger(parseInt(inventoryQuantity)) ? parseInt(inventoryQuantity) : null,
+    published: typeof published === 'boolean' ? published : null
+  };
+}
+
+/**
+ * 商品是否可推荐：未上架或不可售时不可推荐；没有 available 时按库存判断；没有任何信息时视为可售
+ */
+function isProductAvailable(p) {
+  if (p.published === false || p.available === false) return false;
+  if (p.available == null && p.inventoryQuantity != null && p.inventoryQuantity <= 0) return false;
+  return true;
+}
+
+/**
+ * 读取某个源商品的推荐（后台查询、storefront、public 接口共用）
+ * 应用商家规则：排除 / 禁止的商品被过滤，固定推荐的商品排在最前，带加权标签的商品排序靠前；同组商品（同款不同色）只返回一个
+ * 不可售的商品被过滤，由排名靠后的推荐（包括备选推荐）依次补位
+ * 排序结合生成时的排名和平滑 CTR（见 createCtrRanker），CTR 过低被降级的推荐排在最后
+ * 已导入订单的商店：lift 最高的共同购买商品排在固定推荐之后（最多 coPurchaseSlots 个，见 computeCoPurchasePairs），不做 CTR 重排和降级
+ * explore 为 true 时按商店的探索策略可能把最后一个位置换成排名靠后的推荐（见 createExplorer）
+ * variant 为实验变体时按变体的排序和探索策略读取，生成型变体读取 ExperimentRecommendation
+ * @param {Object} shop - Shop 行
+ * @param {string} productId - 商品数字 ID 或 handle
+ * @param {{limit?: number, locale?: string, explore?: boolean, variant?: Object}} [options] - limit 默认为商店的每商品推荐数；locale 为请求的语言，不在商店语言列表中时使用主语言；explore 和 variant 只用于 storefront 请求
+ * @returns {Promise<Array|null>} 推荐列表（按 rank 排序，reason 已按语言选择），源商品不存在时返回 null
+ */
+async function getProductRecommendations(shop, productId, { limit = getShopRecsPerProduct(shop), locale = null, explore = false, variant = null } = {}) {
+  const srcRes = await pool.query(
+    'SELECT * FROM "Product" WHERE "shopId" = $1 AND ("productId" = $2 OR "handle" = $2)',
+    [shop.id, productId]
+  );
+  if (!srcRes.rows.length) return null;
+  const source = srcRes.rows[0];
+
+  const table = variant && variant.generated ? 'ExperimentRecommendation' : 'Recommendation';
+  const recs = await pool.query(`
+    SELECT r.*, p."productId", p."handle", p."title", p."price", p."image", p."tags", p."vendor", p."productType", p."groupKey", p."productGroup",
+      p."available", p."inventoryQuantity", p."published"
+    FROM "${table}" r
+    JOIN "Product" p ON r."targetId" = p."id"
+    WHERE r."shopId" = $1 AND r."sourceId" = $2 ${table === 'ExperimentRecommendation' ? 'AND r."experimentId" = $3 AND r."variant" = $4' : ''}
+    ORDER BY r."rank" ASC NULLS LAST, r."createdAt" ASC, r."id" ASC
+  `, table === 'ExperimentRecommendation' ? [shop.id, source.id, variant.experimentId, variant.name] : [shop.id, source.id]);
+
+  const resolvedLocale = resolveLocale(locale, shop);
+  const rules = await loadMerchantRules(shop.id);
+  let rows = recs.rows
+    .filter(r => !rules.isBlocked(source, r.productId) && isProductAvailable(r))
+    .map(r => ({ ...r, reason: localizeReason(r, resolvedLocale), pinned: false }));
+
+  const pins = rules.getPins(source);
+  if (pins.length > 0) {
+    const pinned = await pool.query(
+      'SELECT "productId", "handle", "title", "price", "image", "tags", "vendor", "productType", "groupKey", "productGroup", "available", "inventoryQuantity", "published" FROM "Product" WHERE "shopId" = $1 AND "productId" = ANY($2)',
+      [shop.id, pins]
+    );
+    const byId = new Map(pinned.rows.map(p => [p.productId, p]));
+    const pinnedRows = pins
+      .filter(id => byId.has(id) && isProductAvailable(byId.get(id)))
+      .map(id => ({ ...byId.get(id), reason: LOCALES[resolvedLocale].reasons.merchant, engine: 'merchant', pinned: true }));
+    rows = [...pinnedRows, ...rows.filter(r => !pins.includes(r.productId))];
+  }
+
+  // 共同购买：订单导入后无需重新同步即可生效。已在推荐中的商品提前，不在推荐中的商品作为新推荐插入
+  const coPurchaseSlots = getShopCoPurchaseSlots(shop);
+  if (coPurchaseSlots > 0 && shop.ordersIngested > 0) {
+    const pairs = (await getProductCoPurchases(shop, source.productId)).filter(pair => !pins.includes(pair.productId));
+    if (pairs.length > 0) {
+      const candidates = await pool.query(
+        'SELECT "productId", "handle", "title", "price", "image", "tags", "vendor", "productType", "groupKey", "productGroup", "available", "inventoryQuantity", "published" FROM "Product" WHERE "shopId" = $1 AND "productId" = ANY($2)',
+        [shop.id, pairs.map(pair => pair.productId)]
+      );
+      const byId = new Map(candidates.rows.map(p => [p.productId, p]));
+      const priceFilter = createPriceFilter(shop.priceRules);
+      const sourceGroup = getProductGroup(source);
+      const pickedGroups = new Set();
+      let coPurchaseRank = 0;
+      for (const pair of pairs) {
+        if (coPurchaseRank >= coPurchaseSlots) break;
+        const target = byId.get(pair.productId);
+        if (!target || !isProductAvailable(target) || rules.isBlocked(source, target.productId) || !priceFilter.allows(source, target)) continue;
+        const group = getProductGroup(target);
+        if (group === sourceGroup || pickedGroups.has(group)) continue;
+        pickedGroups.add(group);
+        coPurchaseRank++;
+        const existing = rows.find(r => r.productId === target.productId);
+        if (existing) {
+          existing.coPurchaseRank = coPurchaseRank;
+        } else {
+          rows.push({ ...target, reason: LOCALES[resolvedLocale].reasons.copurchase, engine: 'copurchase', pinned: false, coPurchaseRank });
+        }
+      }
+    }
+  }
+
+  // 固定推荐在前，降级的推荐在最后，其余按标签加权、再按排名与 CTR 的综合得分排序
+  // 实验变体 ranking: 'rank' 只按生成时的排名，不做 CTR 重排和降级
+  const rankOnly = variant && variant.ranking === 'rank';
+  const prior = await getShopCtrPrior(shop.id);
+  const ranker = createCtrRanker(prior, rankOnly ? { weight: 0 } : {});
+  const sorted = rows
+    .map((r, index) => ({
+      r,
+      index,
+      coPurchaseRank: r.coPurchaseRank || Infinity,
+      demoted: !r.pinned && !r.coPurchaseRank && !rankOnly && !!r.demotedAt,
+      boost: r.pinned ? 0 : rules.getBoost(source, r),
+      score: r.pinned ? 0 : ranker.score(r, index + 1)
+    }))
+    .sort((a, b) => (b.r.pinned - a.r.pinned) || (a.coPurchaseRank - b.coPurchaseRank) || (a.demoted - b.demoted) || (b.boost - a.boost) || (b.score - a.score) || (a.index - b.index))
+    .map(({ r }) => r);
+
+  // 同组商品（同款不同色）合并为一个，且不推荐源商品的同组商品（商家固定推荐除外）
+  const sourceGroup = getProductGroup(source);
+  const groups = new Set();
+  const collapsed = [];
+  for (const r of sorted) {
+    const group = getProductGroup(r);
+    if (groups.has(group) || (group === sourceGroup && !r.pinned)) continue;
+    groups.add(group);
+    collapsed.push({ ...r, locale: resolvedLocale });
+  }
+  if (!explore) return collapsed.slice(0, limit);
+
+  // 实验变体设置了探索策略时覆盖商店设置
+  const exploration = getShopExploration(variant && variant.explorationPolicy
+    ? { explorationPolicy: variant.explorationPolicy, explorationRate: variant.explorationRate ?? shop.explorationRate }
+    : shop);
+  const visible = createExplorer(exploration, prior).explore(collapsed, limit);
+  const explored = visible.filter(r => r.explored && r.id).map(r => r.id);
+  if (explored.length > 0) {
+    pool.query(`UPDATE "${table}" SET "exploreServes" = COALESCE("exploreServes", 0) + 1 WHERE "id" = ANY($1)`, [explored])
+      .catch(e => console.error('[Exploration] Update error:', e.message));
+  }
+  return visible;
+}
+
+/**
+ * 读取锚点商品的套装（storefront 接口使用）
+ * 锚点不可售时返回空列表；不可售或被商家规则排除 / 禁止的搭配商品被去掉，没有剩余搭配商品的套装不返回
+ * price 为锚点和搭配商品的价格合计；商店设置了套装折扣时返回 discount 和 discountedPrice（店面自行决定如何展示和结算）
+ * @param {Object} shop - Shop 行
+ * @param {string} productId - 锚点商品数字 ID 或 handle
+ * @param {{limit?: number, locale?: string}} [options]
+ * @returns {Promise<Array|null>} 套装列表（按 rank 排序，products 第一个为锚点），锚点商品不存在时返回 null
+ */
+async function getProductBundles(shop, productId, { limit = BUNDLES_PER_PRODUCT, locale = null } = {}) {
+  const anchorRes = await pool.query(
+    'SELECT * FROM "Product" WHERE "shopId" = $1 AND ("productId" = $2 OR "handle" = $2)',
+    [shop.id, productId]
+  );
+  if (!anchorRes.rows.length) return null;
+  const anchor = anchorRes.rows[0];
+  // 锚点不可售或未上架时不返回套装
+  if (!isProductAvailable(anchor)) return [];
+
+  const result = await pool.query(`
+    SELECT b."id" AS "bundleId", b."title" AS "bundleTitle", b."titles", b."reason", b."reasons",
+      p."productId", p."handle", p."title", p."price", p."image", p."available", p."inventoryQuantity", p."published"
+    FROM "Bundle" b
+    JOIN "BundleItem" i ON i."bundleId" = b."id"
+    JOIN "Product" p ON p."id" = i."productId"
+    WHERE b."shopId" = $1 AND b."anchorId" = $2
+    ORDER BY b."rank" ASC NULLS LAST, b."createdAt" ASC, i."position" ASC
+  `, [shop.id, anchor.id]);
+
+  const resolvedLocale = resolveLocale(locale, shop);
+  const rules = await loadMerchantRules(shop.id);
+  const { discountPercent } = getShopBundleSettings(shop);
+  const bundles = new Map();
+  for (const row of result.rows) {
+    if (!bundles.has(row.bundleId)) {
+      bundles.set(row.bundleId, {
+        id: row.bundleId,
+        title: (row.titles && row.titles[resolvedLocale]) || row.bundleTitle,
+        reason: localizeReason(row, resolvedLocale),
+        items: []
+      });
+    }
+    if (rules.isBlocked(anchor, row.productId) || !isProductAvailable(row)) continue;
+    bundles.get(row.bundleId).items.push(row);
+  }
+
+  const roundPrice = (value) => Math.round(value * 100) / 100;
+  return [...bundles.values()]
+    .filter(bundle => bundle.items.length > 0)
+    .slice(0, limit)
+    .map(({ items, ...bundle }) => {
+      const products = [anchor, ...items].map(p => ({ productId: p.productId, handle: p.handle, title: p.title, price: p.price, image: p.image }));
+      const price = roundPrice(products.reduce((total, p) => total + (parseFloat(p.price) || 0), 0));
+      const discount = discountPercent ? { type: 'percentage', value: discountPercent, amount: roundPrice(price * discountPercent / 100) } : null;
+      return {
+        ...bundle,
+        locale: resolvedLocale,
+        products,
+        price,
+        discount,
+        discountedPrice: discount ? roundPrice(price - discount.amount) : price
+      };
+    });
+}
+
+const MAX_CART_ITEMS = 20;
+// 同时读取的购物车商品数（每个商品的读取包含多次查询）
+const CART_READ_CONCURRENCY = 4;
+
+/**
+ * 购物车推荐：合并购物车中每个商品的已存推荐（同样应用商家规则、库存过滤和 CTR 排序）
+ * 购物车中的商品及其同组商品被排除；同组商品只保留一个
+ * 每个来源按位置计分（第 1 位 1 分，第 2 位 1/2 分……），得分累加，因此被多个购物车商品推荐的商品排序靠前
+ * reason 取得分最高的来源的推荐理由；不做探索，也不参与 A/B 实验
+ * @param {Object} shop - Shop 行
+ * @param {string[]} productIds - 购物车中的商品数字 ID 或 handle
+ * @param {{limit?: number, locale?: string}} [options]
+ * @returns {Promise<Array>} 推荐列表，每项带 score 和 sourceProductIds（推荐它的购物车商品，按贡献排序）
+ */
+async function getCartRecommendations(shop, productIds, { limit = getShopRecsPerProduct(shop), locale = null } = {}) {
+  const cartRes = await pool.query(
+    'SELECT "productId", "handle", "title", "vendor", "productType", "groupKey", "productGroup" FROM "Product" WHERE "shopId" = $1 AND ("productId" = ANY($2) OR "handle" = ANY($2))',
+    [shop.id, productIds]
+  );
+  const cartIds = new Set(cartRes.rows.map(p => p.productId));
+  const cartGroups = new Set(cartRes.rows.map(p => getProductGroup(p)));
+
+  // 商店级的规则和 CTR 先验先读一次进入缓存，各来源读取时复用；各来源的推荐互不依赖，有界并发读取
+  await loadMerchantRules(shop.id);
+  await getShopCtrPrior(shop.id);
+  const { results: recsBySource } = await runWorkerPool(cartRes.rows, source =>
+    getProductRecommendations(shop, source.productId, { limit: MAX_RECS_PER_PRODUCT, locale }),
+  { concurrency: CART_READ_CONCURRENCY });
+
+  const merged = new Map();
+  cartRes.rows.forEach((source, sourceIndex) => {
+    (recsBySource[sourceIndex] || []).forEach((r, index) => {
+      const group = getProductGroup(r);
+      if (cartIds.has(r.productId) || cartGroups.has(group)) return;
+      const points = 1 / (index + 1);
+      const entry = merged.get(group);
+      if (!entry) {
+        merged.set(group, { rec: r, score: points, best: points, sources: [{ productId: source.productId, points }] });
+        return;
+      }
+      entry.score += points;
+      entry.sources.push({ productId: source.productId, points });
+      if (points > entry.best) {
+        entry.rec = r;
+        entry.best = points;
+      }
+    });
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => (b.sources.length - a.sources.length) || (b.score - a.score))
+    .slice(0, limit)
+    .map(({ rec, score, sources }) => ({
+      ...rec,
+      score: Math.round(score * 1000) / 1000,
+      sourceProductIds: sources.sort((a, b) => b.points - a.points).map(s => s.productId)
+    }));
+}
+
+// 商店级推荐（首页、集合页等没有源商品的位置）：
+// - popular：作为推荐被点击最多的商品
+// - trending：最近 TRENDING_WINDOW_DAYS 天的平滑 CTR 比上一个窗口提升最多的商品（见 rankTrending）
+// - new：最新同步进来的商品（Product.createdAt）
+const SHOP_FEEDS = ['popular', 'trending', 'new'];
+const DEFAULT_FEED_LIMIT = 8;
+const MAX_FEED_LIMIT = 20;
+// trending 的窗口天数、最近窗口至少需要的展示数，以及相对上一个窗口 CTR 的最低提升
+const TRENDING_WINDOW_DAYS = 7;
+const TRENDING_MIN_IMPRESSIONS = 20;
+const TRENDING_MIN_LIFT = 1.1;
+
+/**
+ * trending 排序：最近窗口的平滑 CTR 除以上一个窗口的平滑 CTR（与 CTR 重排同一先验，见 createCtrRanker）
+ * 上一个窗口没有展示的商品按商店平均 CTR 比较；提升低于 TRENDING_MIN_LIFT 的商品被过滤
+ * @param {Array<{productId: string, impressions: number, clicks: number, previousImpressions: number, previousClicks: number}>} rows
+ * @param {number} prior - 商店平均 CTR（见 getShopCtrPrior）
+ * @returns {Array} 带 lift 的行，按 lift 降序
+ */
+function rankTrending(rows, prior) {
+  const ranker = createCtrRanker(prior);
+  return rows
+    .filter(r => r.impressions >= TRENDING_MIN_IMPRESSIONS)
+    .map(r => ({ ...r, lift: ranker.smoothedCtr(r) / ranker.smoothedCtr({ impressions: r.previousImpressions, clicks: r.previousClicks }) }))
+    .filter(r => r.lift >= TRENDING_MIN_LIFT)
+    .sort((a, b) => (b.lift - a.lift) || (b.clicks - a.clicks) || a.productId.localeCompare(b.productId));
+}
+
+/**
+ * 累加商品当天的展示 / 点击（trending 使用）
+ * @param {string} shopId
+ * @param {string[]} productIds - Shopify 商品数字 ID
+ */
+async function recordProductDailyStat(shopId, productIds, { impressions = 0, clicks = 0 }) {
+  if (productIds.length === 0) return;
+  await pool.query(`
+    INSERT INTO "ProductDailyStat" ("shopId", "productId", "date", "impressions", "clicks")
+    SELECT $1, p."id", CURRENT_DATE, $3, $4 FROM "Product" p WHERE p."shopId" = $1 AND p."productId" = ANY($2)
+    ON CONFLICT ("shopId", "productId", "date") DO UPDATE SET
+      "impressions" = "ProductDailyStat"."impressions" + EXCLUDED."impressions",
+      "clicks" = "ProductDailyStat"."clicks" + EXCLUDED."clicks"
+  `, [shopId, [...productIds].sort(), impressions, clicks]);
+}
+
+/**
+ * 删除 trending 两个窗口之前的每日计数（同步时调用）
+ * @returns {Promise<number>} 删除的行数
+ */
+async function pruneProductDailyStats(db, shopId) {
+  const result = await db.query(
+    'DELETE FROM "ProductDailyStat" WHERE "shopId" = $1 AND "date" <= CURRENT_DATE - $2::int',
+    [shopId, TRENDING_WINDOW_DAYS * 2]
+  );
+  return result.rowCount;
+}
+
+/**
+ * 计算商店级推荐（缓存，每个商店和 feed 缓存 MAX_FEED_LIMIT 个商品）
+ * 不可售、被商家禁止或对所有商品排除的商品被过滤；同组商品（同款不同色）只返回一个
+ * @param {Object} shop - Shop 行
+ * @param {string} feed - SHOP_FEEDS 之一
+ * @param {{limit?: number, locale?: string}} [options]
+ * @returns {Promise<Array>} 商品列表，reason 为按语言选择的 feed 标签；popular / trending 带 impressions、clicks 和 ctr
+ *   （trending 为最近 TRENDING_WINDOW_DAYS 天的数据）
+ */
+async function getShopFeed(shop, feed, { limit = DEFAULT_FEED_LIMIT, locale = null } = {}) {
+  const cacheKey = `feed:${shop.id}:${feed}`;
+  let items;
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() < cached.expiry) {
+    items = cached.data;
+  } else {
+    items = await computeShopFeed(shop, feed);
+    cache.set(cacheKey, { data: items, expiry: Date.now() + CACHE_TTL });
+  }
+
+  const resolvedLocale = resolveLocale(locale, shop);
+  return items.slice(0, limit).map(p => ({ ...p, reason: LOCALES[resolvedLocale].feeds[feed], locale: resolvedLocale }));
+}
 
-        let newTokensUsed = tokensUsed;
-        if (lastResetDate === today) {
-          newTokensUsed = (shop.tokensUsedToday || 0) + tokensUsed;
-        }
+// 计算 feed 的完整列表（不区分语言，由 getShopFeed 缓存）
+async function computeShopFeed(shop, feed) {
+  const columns = 'p."id", p."productId", p."handle", p."title", p."price", p."image", p."groupKey", p."productGroup", p."available", p."inventoryQuantity", p."published", p."createdAt"';
+  let rows;
+  if (feed === 'new') {
+    const result = await pool.query(
+      `SELECT ${columns} FROM "Product" p WHERE p."shopId" = $1 ORDER BY p."createdAt" DESC, p."id" ASC LIMIT $2`,
+      [shop.id, MAX_FEED_LIMIT * 5]
+    );
+    rows = result.rows;
+  } else if (feed === 'popular') {
+    // 按推荐目标汇总展示和点击（一个商品可能是多个源商品的推荐）
+    const result = await pool.query(`
+      SELECT ${columns}, SUM(r."impressions")::int AS "impressions", SUM(r."clicks")::int AS "clicks"
+      FROM "Recommendation" r
+      JOIN "Product" p ON p."id" = r."targetId"
+      WHERE r."shopId" = $1
+      GROUP BY p."id"
+      HAVING SUM(r."clicks") > 0
+    `, [shop.id]);
+    rows = result.rows.sort((a, b) => (b.clicks - a.clicks) || (b.impressions - a.impressions) || a.productId.localeCompare(b.productId));
+  } else {
+    // 最近窗口（含今天）和上一个窗口的每日计数（更早的数据在同步时删除，见 pruneProductDailyStats）
+    const result = await pool.query(`
+      SELECT ${columns},
+        COALESCE(SUM(s."impressions") FILTER (WHERE s."date" > CURRENT_DATE - $2::int), 0)::int AS "impressions",
+        COALESCE(SUM(s."clicks") FILTER (WHERE s."date" > CURRENT_DATE - $2::int), 0)::int AS "clicks",
+        COALESCE(SUM(s."impressions") FILTER (WHERE s."date" <= CURRENT_DATE - $2::int), 0)::int AS "previousImpressions",
+        COALESCE(SUM(s."clicks") FILTER (WHERE s."date" <= CURRENT_DATE - $2::int), 0)::int AS "previousClicks"
+      FROM "ProductDailyStat" s
+      JOIN "Product" p ON p."id" = s."productId"
+      WHERE s."shopId" = $1 AND s."date" > CURRENT_DATE - $2::int * 2
+      GROUP BY p."id"
+      HAVING COALESCE(SUM(s."impressions") FILTER (WHERE s."date" > CURRENT_DATE - $2::int), 0) >= $3
+    `, [shop.id, TRENDING_WINDOW_DAYS, TRENDING_MIN_IMPRESSIONS]);
+    rows = rankTrending(result.rows, await getShopCtrPrior(shop.id));
+  }
 
-        await client.query(`
-          UPDATE "Shop" SET
-            "tokensUsedToday" = $1,
-            "quotaResetDate" = $2::date,
-            "updatedAt" = NOW()
-          WHERE "id" = $3
-        `, [newTokensUsed, today, shopId]);
-      }
+  const rules = await loadMerchantRules(shop.id);
+  const groups = new Set();
+  const items = [];
+  for (const r of rows) {
+    if (items.length >= MAX_FEED_LIMIT) break;
+    // 没有源商品：只有禁止规则和 scope 为 all 的排除规则生效
+    if (!isProductAvailable(r) || rules.isBlocked({}, r.productId)) continue;
+    const group = getProductGroup(r);
+    if (groups.has(group)) continue;
+    groups.add(group);
+    const item = { productId: r.productId, handle: r.handle, title: r.title, price: r.price, image: r.image, createdAt: r.createdAt };
+    if (feed !== 'new') {
+      Object.assign(item, { impressions: r.impressions, clicks: r.clicks, ctr: r.impressions > 0 ? Math.round(r.clicks / r.impressions * 10000) / 10000 : 0 });
     }
+    items.push(item);
+  }
+  return items;
+}
 
-    if (ownClient) {
-      await client.query('COMMIT');
-    }
-    console.log(`[TokenQuota] Updated token usage: +${tokensUsed} tokens (shop: ${shopId || 'N/A'})`);
-  } catch (error) {
-    if (ownClient) {
-      await client.query('ROLLBACK');
-    }
-    console.error('[TokenQuota] Failed to update global token usage:', error);
-    throw error;
-  } finally {
-    if (ownClient) {
-      client.release();
-    }
+/**
+ * storefront 接口的每日 API 限额（按计划，见 API_LIMITS）：检查并计数，同时设置 X-RateLimit-* 响应头
+ * 计数为异步更新，未超限时本次请求计入当天调用数
+ * @returns {{allowed: boolean, limit: number, used: number, plan: string}}
+ */
+function consumeStorefrontApiCall(shop, res) {
+  const today = new Date().toISOString().split('T')[0];
+  const plan = shop.plan || 'free';
+  const apiLimit = API_LIMITS[plan] || API_LIMITS.free;
+  const lastDate = shop.apiCallsDate ? new Date(shop.apiCallsDate).toISOString().split('T')[0] : null;
+  const currentCalls = lastDate === today ? (shop.apiCallsToday || 0) : 0;
+
+  res.header('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+  res.set('X-RateLimit-Limit', apiLimit);
+  if (currentCalls >= apiLimit) {
+    res.set('X-RateLimit-Remaining', 0);
+    return { allowed: false, limit: apiLimit, used: currentCalls, plan };
   }
+
+  // 更新 API 调用计数（异步）
+  pool.query(`
+    UPDATE "Shop" SET
+      "apiCallsToday" = CASE WHEN "apiCallsDate" = $1::date THEN "apiCallsToday" + 1 ELSE 1 END,
+      "apiCallsDate" = $1::date
+    WHERE "id" = $2
+  `, [today, shop.id]).catch(e => console.error('[API Usage] Error:', e.message));
+
+  res.set('X-RateLimit-Remaining', Math.max(0, apiLimit - currentCalls - 1));
+  return { allowed: true, limit: apiLimit, used: currentCalls + 1, plan };
 }
 
 // ============ Routes ============
@@ -1019,7 +5031,9 @@ app.get('/api/health', async (req, res) => {
 
     res.json({
       status: 'ok',
-      ai: !!process.env.DEEPSEEK_API_KEY,
+      ai: getAIProvider().isConfigured(),
+      aiProvider: getAIProvider().name,
+      aiCircuits: getCircuitStatus(),
       pool: poolStatus,
       timestamp: new Date().toISOString()
     });
@@ -1028,6 +5042,36 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Helper: 手动刷新（mode=refresh）的月度次数限制，按自然月计数
+function checkManualRefreshLimit(shop) {
+  const currentMonth = new Date().toISOString().slice(0, 7);
+
+  let refreshCount = shop.refreshCount || 0;
+  if (shop.refreshMonth !== currentMonth) {
+    refreshCount = 0; // 新月份，重置计数
+  }
+
+  const plan = shop.plan || 'free';
+  const REFRESH_LIMITS = {
+    free: 0,   // 0次/月（不允许）
+    pro: 3,    // 3次/月
+    max: 10    // 10次/月
+  };
+  const limit = REFRESH_LIMITS[plan] || REFRESH_LIMITS.free;
+
+  // 计算下次可刷新时间（下个月1号）
+  const nextMonth = new Date(currentMonth + '-01');
+  nextMonth.setMonth(nextMonth.getMonth() + 1);
+
+  return {
+    allowed: refreshCount < limit,
+    limit,
+    used: refreshCount,
+    plan,
+    nextRefreshAt: refreshCount < limit ? null : nextMonth.toISOString()
+  };
+}
+
 // Helper: Check refresh rate limit
 function canRefresh(shop) {
   const plan = shop.plan || 'free';
@@ -1108,11 +5152,221 @@ function canRefresh(shop) {
   };
 }
 
-app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
+// 校验同步的商品数据，返回 [{index, id, error}]（缺少 id、handle、title 的商品会让真实同步在写入时失败，价格无法解析时会被存为 0）
+function validateSyncProducts(products) {
+  const errors = [];
+  products.forEach((p, index) => {
+    const fail = (error) => errors.push({ index, id: p && p.id !== undefined ? p.id : null, error });
+    if (!p || typeof p !== 'object') return fail('Product must be an object');
+    if (typeof p.id !== 'string' || !p.id.trim()) return fail('id must be a non-empty string');
+    if (typeof p.handle !== 'string' || !p.handle.trim()) return fail('handle required');
+    if (typeof p.title !== 'string' || !p.title.trim()) return fail('title required');
+    if (p.price !== undefined && p.price !== null && !Number.isFinite(parseFloat(p.price))) return fail('price must be a number');
+  });
+  return errors;
+}
+
+/**
+ * 同步预估（dryRun）：按与同步相同的规则确定模式和需要生成推荐的商品，构建 prompt 估算 token 和费用，
+ * 并与每日配额对比。不写入任何数据（不记录 SyncLog、不保存商品、不更新缓存命中和配额）
+ * blockers 为会让真实同步被拒绝的原因
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function estimateSync(shop, body) {
+  const { products, regenerate, mode = 'auto' } = body;
+  const batchSize = Math.min(Math.max(parseInt(body.batchSize || process.env.AI_BATCH_SIZE) || 1, 1), 20);
+  if (!Array.isArray(products) || !products.length) {
+    return { status: 400, body: { error: 'Products required' } };
+  }
+  const invalid = validateSyncProducts(products);
+  if (invalid.length > 0) {
+    return { status: 400, body: { error: `${invalid.length} invalid products`, dryRun: true, invalidProducts: invalid } };
+  }
+
+  const plan = shop.plan || 'free';
+  const engine = getShopEngine(shop);
+  const isRefresh = mode === 'refresh' || regenerate;
+  const actualMode = !shop.initialSyncDone ? 'initial' : isRefresh ? 'refresh' : 'incremental';
+
+  const blockers = [];
+  if (shop.isSyncEnabled === false) {
+    blockers.push({ code: 'SYNC_DISABLED', error: 'Sync is disabled for this shop. Please contact support.' });
+  }
+  const accessCheck = checkDevelopmentStoreAccess(shop);
+  if (!accessCheck.allowed) {
+    blockers.push({ code: 'DEVELOPMENT_STORE', error: accessCheck.reason });
+  }
+  if (isRefresh) {
+    const refreshLimit = checkManualRefreshLimit(shop);
+    if (!refreshLimit.allowed) {
+      blockers.push({ code: 'REFRESH_LIMIT', error: 'Refresh rate limit exceeded', nextRefreshAt: refreshLimit.nextRefreshAt });
+    }
+  }
+
+  // 按同步保存后的样子组装商品（已存在的商品带上数据库 ID，用于判断是否已有推荐）
+  const productIds = products.map(p => p.id.replace('gid://shopify/Product/', ''));
+  const existing = await pool.query(
+    'SELECT "id", "productId" FROM "Product" WHERE "shopId" = $1 AND "productId" = ANY($2)',
+    [shop.id, productIds]
+  );
+  const existingIds = new Map(existing.rows.map(r => [r.productId, r.id]));
+  const saved = products.map((p, i) => {
+    const productId = productIds[i];
+    return {
+      id: existingIds.get(productId) || null,
+      productId,
+      handle: p.handle,
+      title: p.title,
+      description: p.description || null,
+      productType: p.productType || null,
+      vendor: p.vendor || null,
+      price: parseFloat(p.price) || 0,
+      image: (typeof p.image === 'string' ? p.image : p.image?.url) || null,
+      tags: p.tags || [],
+      collections: normalizeCollections(p.collections),
+      groupKey: p.groupKey || null,
+      productGroup: computeProductGroup({ ...p, productId }),
+      cost: Number.isFinite(parseFloat(p.cost)) ? parseFloat(p.cost) : null,
+      ...parseAvailability(p)
+    };
+  });
+
+  // 与同步一致：先按请求中的新价格去掉不再符合价格规则的推荐和套装，再判断哪些商品需要生成
+  const violations = await findPriceViolations(pool, shop, new Map(saved.filter(p => p.id).map(p => [p.id, p.price])));
+  const pricePruned = violations.recommendations.Recommendation.length + violations.bundles.length;
+
+  let productsNeedingRecs = saved;
+  if (actualMode === 'incremental') {
+    const existingRecs = await pool.query('SELECT "sourceId", COUNT(*)::int AS "count" FROM "Recommendation" WHERE "shopId" = $1 GROUP BY "sourceId"', [shop.id]);
+    const counts = new Map(existingRecs.rows.map(r => [r.sourceId, r.count]));
+    for (const r of violations.recommendations.Recommendation) counts.set(r.sourceId, counts.get(r.sourceId) - 1);
+    const recsPerProduct = getShopRecsPerProduct(shop);
+    productsNeedingRecs = saved.filter(p => !p.id || (counts.get(p.id) || 0) < recsPerProduct);
+  }
+
+  // 套装全部被剪枝的锚点在同步时会重新生成
+  let prunedAnchorIds = [];
+  if (violations.bundles.length > 0) {
+    const bundleCounts = await pool.query('SELECT "anchorId", COUNT(*)::int AS "count" FROM "Bundle" WHERE "shopId" = $1 GROUP BY "anchorId"', [shop.id]);
+    const remaining = new Map(bundleCounts.rows.map(r => [r.anchorId, r.count]));
+    for (const b of violations.bundles) remaining.set(b.anchorId, remaining.get(b.anchorId) - 1);
+    prunedAnchorIds = [...remaining].filter(([, count]) => count <= 0).map(([anchorId]) => anchorId);
+  }
+
+  const provider = getAIProvider(shop.aiProvider);
+  const aiCache = createAICache(shop.id);
+  const { estimate } = await generateRecommendations(productsNeedingRecs, saved, {
+    provider,
+    batchSize,
+    classifier: getShopClassifier(shop),
+    locales: getShopLocales(shop),
+    rules: await loadMerchantRules(shop.id),
+    priceRules: createPriceFilter(shop.priceRules),
+    engine,
+    count: getShopRecsPerProduct(shop),
+    promptTemplate: engine === 'ai' ? await resolvePromptTemplate(shop) : null,
+    aiCache,
+    dryRun: true
+  });
+  const experiments = await generateExperimentRecommendations(pool, shop, saved, {
+    provider, batchSize, aiCache, tokenBudget: null, dryRun: true, refresh: actualMode === 'refresh'
+  });
+  const bundles = await generateShopBundles(pool, shop, saved, {
+    provider, aiCache, tokenBudget: null, dryRun: true, refresh: actualMode === 'refresh', prunedAnchorIds
+  });
+
+  // 推荐之外的生成（实验变体、套装）计入总估算
+  const extraEstimates = bundles.estimate ? [...experiments.estimates, bundles.estimate] : experiments.estimates;
+  const sum = (key) => estimate[key] + extraEstimates.reduce((total, e) => total + e[key], 0);
+  const usage = { prompt_tokens: sum('promptTokens'), completion_tokens: sum('completionTokens'), total_tokens: sum('totalTokens') };
+
+  // 免费计划的 AI 引擎受全局每日配额限制：超出时同步会提前停止，按任务顺序估算能完成的商品数
+  let tokenQuota = null;
+  if (plan === 'free' && engine === 'ai') {
+    const quotaCheck = await checkDailyTokenQuota({ readOnly: true });
+    if (!quotaCheck.allowed) {
+      blockers.push({ code: 'TOKEN_QUOTA_EXCEEDED', error: quotaCheck.reason });
+    }
+    let used = 0;
+    let productsWithinQuota = estimate.cachedProducts;
+    for (const task of estimate.tasks) {
+      if (used + task.tokens > quotaCheck.tokensRemaining) break;
+      used += task.tokens;
+      productsWithinQuota += task.products;
+    }
+    tokenQuota = {
+      tokensRemaining: quotaCheck.tokensRemaining,
+      quota: quotaCheck.quota,
+      tokensUsed: quotaCheck.tokensUsed,
+      quotaResetDate: quotaCheck.quotaResetDate,
+      withinQuota: quotaCheck.allowed && usage.total_tokens <= quotaCheck.tokensRemaining,
+      productsWithinQuota,
+      estimatedSkippedProducts: estimate.aiProducts + estimate.cachedProducts - productsWithinQuota
+    };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      dryRun: true,
+      mode: actualMode,
+      products: saved.length,
+      newProducts: saved.filter(p => !p.id).length,
+      pricePruned,
+      productsNeedingRecommendations: productsNeedingRecs.length,
+      engine,
+      provider: provider.name,
+      aiConfigured: provider.isConfigured(),
+      batchSize,
+      promptVersion: estimate.promptVersion,
+      estimate: {
+        aiCalls: sum('aiCalls'),
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        totalTokens: usage.total_tokens,
+        estimatedCost: parseFloat(SyncMonitor.prototype.calculateCost(usage).toFixed(4)),
+        cachedProducts: estimate.cachedProducts,
+        cacheTokensSaved: estimate.cacheTokensSaved,
+        noCandidateProducts: estimate.noCandidateProducts
+      },
+      experiments: experiments.estimates.map(({ tasks, ...e }) => e),
+      bundles: bundles.estimate ? (({ tasks, ...e }) => e)(bundles.estimate) : null,
+      tokenQuota,
+      blockers,
+      canSync: blockers.length === 0
+    }
+  };
+}
+
+// 同步预估（不写入数据），参数同 /api/products/sync
+app.post('/api/products/sync/estimate', queryLimiter, auth, async (req, res) => {
+  try {
+    const { status, body } = await estimateSync(req.shop, req.body);
+    res.status(status).json(body);
+  } catch (e) {
+    console.error('[SYNC] Estimate error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/products/sync', syncOrEstimateLimiter, auth, async (req, res) => {
+  // dryRun：只返回预估（见 estimateSync），不写入任何数据
+  if (req.body.dryRun === true) {
+    try {
+      const { status, body } = await estimateSync(req.shop, req.body);
+      return res.status(status).json(body);
+    } catch (e) {
+      console.error('[SYNC] Estimate error:', e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+
   const client = await pool.connect();
 
   // 创建监控实例
   const { products, regenerate, mode = 'auto' } = req.body;
+  const batchSize = Math.min(Math.max(parseInt(req.body.batchSize || process.env.AI_BATCH_SIZE) || 1, 1), 20);
   const shopId = req.shop.id;
   const shop = req.shop;
   const isFirstSync = !shop.initialSyncDone;
@@ -1120,7 +5374,7 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
   console.log('='.repeat(80));
   console.log('[SYNC] ===== NEW SYNC REQUEST =====');
   console.log(`[SYNC] Shop: ${shop.domain} (ID: ${shopId})`);
-  console.log(`[SYNC] Request params: mode="${mode}", regenerate=${regenerate}`);
+  console.log(`[SYNC] Request params: mode="${mode}", regenerate=${regenerate}, batchSize=${batchSize}`);
   console.log(`[SYNC] Products received: ${products?.length || 0}`);
   console.log(`[SYNC] Shop state: initialSyncDone=${shop.initialSyncDone}, lastRefreshAt=${shop.lastRefreshAt}`);
   console.log('='.repeat(80));
@@ -1179,10 +5433,13 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
       });
     }
 
-    // Check daily token quota (only for free plan)
+    // Check daily token quota (only for free plan using the AI engine)
     const plan = shop.plan || 'free';
-    if (plan === 'free') {
+    const engine = getShopEngine(shop);
+    let tokenBudget = null;
+    if (plan === 'free' && engine === 'ai') {
       const quotaCheck = await checkDailyTokenQuota();
+      tokenBudget = quotaCheck.tokensRemaining;
       if (!quotaCheck.allowed) {
         console.error(`[SYNC] ❌ Daily token quota exceeded: ${shop.domain}`);
         await monitor.fail(new Error('Daily token quota exceeded'));
@@ -1210,36 +5467,17 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
       `, [shopId]);
 
       if (shopLockResult.rows.length > 0) {
-        const lockedShop = shopLockResult.rows[0];
-        const currentMonth = new Date().toISOString().slice(0, 7);
-
-        let refreshCount = lockedShop.refreshCount || 0;
-        if (lockedShop.refreshMonth !== currentMonth) {
-          refreshCount = 0; // 新月份，重置计数
-        }
-
-        const plan = lockedShop.plan || 'free';
-        const REFRESH_LIMITS = {
-          free: 0,   // 0次/月（不允许）
-          pro: 3,    // 3次/月
-          max: 10    // 10次/月
-        };
-        const limit = REFRESH_LIMITS[plan] || REFRESH_LIMITS.free;
-
-        if (refreshCount >= limit) {
-          // 计算下次可刷新时间（下个月1号）
-          const nextMonth = new Date(currentMonth + '-01');
-          nextMonth.setMonth(nextMonth.getMonth() + 1);
-
+        const refreshLimit = checkManualRefreshLimit(shopLockResult.rows[0]);
+        if (!refreshLimit.allowed) {
           await monitor.fail(new Error('Refresh rate limit exceeded'));
           await client.query('ROLLBACK');
           return res.status(429).json({
             error: 'Refresh rate limit exceeded',
-            limit,
-            used: refreshCount,
+            limit: refreshLimit.limit,
+            used: refreshLimit.used,
             remaining: 0,
-            nextRefreshAt: nextMonth.toISOString(),
-            plan
+            nextRefreshAt: refreshLimit.nextRefreshAt,
+            plan: refreshLimit.plan
           });
         }
       }
@@ -1261,21 +5499,33 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
     for (const p of products) {
       const productId = p.id.replace('gid://shopify/Product/', '');
       const id = crypto.randomUUID();
+      const availability = parseAvailability(p);
 
       await client.query(`
-        INSERT INTO "Product" ("id", "shopId", "productId", "handle", "title", "description", "productType", "vendor", "price", "image", "tags")
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        INSERT INTO "Product" ("id", "shopId", "productId", "handle", "title", "description", "productType", "vendor", "price", "image", "tags", "collections", "groupKey", "productGroup", "cost", "available", "inventoryQuantity", "published")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
         ON CONFLICT ("shopId", "productId") DO UPDATE SET
-          "handle" = $4, "title" = $5, "description" = $6, "productType" = $7, "vendor" = $8, "price" = $9, "image" = $10, "tags" = $11
+          "handle" = $4, "title" = $5, "description" = $6, "productType" = $7, "vendor" = $8, "price" = $9, "image" = $10, "tags" = $11, "collections" = $12,
+          "groupKey" = $13, "productGroup" = $14, "cost" = $15, "available" = $16, "inventoryQuantity" = $17, "published" = $18
         RETURNING *
-      `, [id, shopId, productId, p.handle, p.title, p.description || null, p.productType || null, p.vendor || null, parseFloat(p.price) || 0, (typeof p.image === 'string' ? p.image : p.image?.url) || null, p.tags || []]);
+      `, [id, shopId, productId, p.handle, p.title, p.description || null, p.productType || null, p.vendor || null, parseFloat(p.price) || 0, (typeof p.image === 'string' ? p.image : p.image?.url) || null, p.tags || [], normalizeCollections(p.collections), p.groupKey || null, computeProductGroup({ ...p, productId }), Number.isFinite(parseFloat(p.cost)) ? parseFloat(p.cost) : null,
+          availability.available, availability.inventoryQuantity, availability.published]);
 
       const result = await client.query('SELECT * FROM "Product" WHERE "shopId" = $1 AND "productId" = $2', [shopId, productId]);
       saved.push(result.rows[0]);
     }
 
+    // 增量更新相似度索引（只重算新增或内容变化的商品）
+    const vectorsUpdated = await updateProductVectors(client, saved);
+    console.log(`[SYNC] Similarity index updated for ${vectorsUpdated}/${saved.length} products`);
+
+    // 价格可能已变化：删除不再符合价格规则的推荐和套装（推荐数不足的商品在下面的增量模式中重新生成）
+    const pricePruned = await prunePriceViolations(client, shop);
+
     // Determine which products need recommendations based on mode
     let productsNeedingRecs = saved;
+    // 增量模式下推荐数不足、需要重新生成的已有推荐的商品（保存前删除不在新列表中的旧推荐）
+    const topUpSourceIds = new Set();
 
     console.log('[SYNC] ===== DETERMINING RECOMMENDATION STRATEGY =====');
     console.log(`[SYNC] Actual mode: ${actualMode}`);
@@ -1285,19 +5535,25 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
       // Refresh mode: delete all and regenerate
       console.log('[SYNC] 🔄 REFRESH MODE: Deleting all existing recommendations...');
       const deleteResult = await client.query('DELETE FROM "Recommendation" WHERE "shopId" = $1', [shopId]);
+      await client.query('DELETE FROM "ExperimentRecommendation" WHERE "shopId" = $1', [shopId]);
+      await client.query('DELETE FROM "Bundle" WHERE "shopId" = $1', [shopId]);
       console.log(`[SYNC] ✅ Deleted ${deleteResult.rowCount} existing recommendations`);
       console.log(`[SYNC] Will regenerate recommendations for ALL ${saved.length} products`);
     } else if (actualMode === 'incremental') {
-      // Incremental mode: only new products
-      console.log('[SYNC] 📈 INCREMENTAL MODE: Finding products without recommendations...');
+      // Incremental mode: new products, plus products whose recommendations (incl. reserves) fell below recsPerProduct
+      console.log('[SYNC] 📈 INCREMENTAL MODE: Finding products without enough recommendations...');
       const existingRecs = await client.query(
-        'SELECT DISTINCT "sourceId" FROM "Recommendation" WHERE "shopId" = $1',
+        'SELECT "sourceId", COUNT(*)::int AS "count" FROM "Recommendation" WHERE "shopId" = $1 GROUP BY "sourceId"',
         [shopId]
       );
       console.log(`[SYNC] Found ${existingRecs.rows.length} products with existing recommendations`);
-      const existingSourceIds = new Set(existingRecs.rows.map(r => r.sourceId));
-      productsNeedingRecs = saved.filter(p => !existingSourceIds.has(p.id));
-      console.log(`[SYNC] ✅ Filtered down to ${productsNeedingRecs.length} NEW products needing recommendations`);
+      const existingCounts = new Map(existingRecs.rows.map(r => [r.sourceId, r.count]));
+      const recsPerProduct = getShopRecsPerProduct(shop);
+      productsNeedingRecs = saved.filter(p => (existingCounts.get(p.id) || 0) < recsPerProduct);
+      for (const p of productsNeedingRecs) {
+        if (existingCounts.has(p.id)) topUpSourceIds.add(p.id);
+      }
+      console.log(`[SYNC] ✅ Filtered down to ${productsNeedingRecs.length} products needing recommendations (${topUpSourceIds.size} with fewer than ${recsPerProduct})`);
       if (productsNeedingRecs.length > 0) {
         console.log(`[SYNC] Sample products needing recs:`, productsNeedingRecs.slice(0, 3).map(p => ({ id: p.productId, title: p.title })));
       }
@@ -1310,14 +5566,56 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
     console.log(`[SYNC] Products needing recommendations: ${productsNeedingRecs.length}`);
 
     let count = 0;
+    let reserveCount = 0; // 备选推荐（不计入新推荐数）
+    let quotaStopped = false;
+    let skippedProducts = 0;
     if (productsNeedingRecs.length > 0) {
       console.log(`[SYNC] 🤖 Calling AI to generate recommendations for ${productsNeedingRecs.length} products...`);
       console.log(`[SYNC] Total product pool for recommendations: ${saved.length}`);
 
-      const { recommendations: recs, totalTokens, promptTokens, completionTokens } = await generateRecommendations(productsNeedingRecs, saved);
+      const provider = getAIProvider(shop.aiProvider);
+      const aiCache = createAICache(shopId);
+      const cachePruned = await aiCache.prune();
+      if (cachePruned > 0) console.log(`[SYNC] Pruned ${cachePruned} expired AI cache entries`);
+      const { recommendations: recs, totalTokens, promptTokens, completionTokens, aiCalls, batchTokensSaved, stoppedEarly, skippedProductIds, outcomes, parseRepairs, parseRetries, parseFailures, promptVersion, cacheHits, cacheTokensSaved, coPurchaseBlended } = await generateRecommendations(productsNeedingRecs, saved, {
+        provider,
+        batchSize,
+        classifier: getShopClassifier(shop),
+        locales: getShopLocales(shop),
+        rules: await loadMerchantRules(shopId),
+        priceRules: createPriceFilter(shop.priceRules),
+        engine,
+        count: getShopRecsPerProduct(shop),
+        promptTemplate: engine === 'ai' ? await resolvePromptTemplate(shop) : null,
+        // 刷新时商品和候选集没变的商品复用上次的 AI 结果
+        aiCache,
+        // 免费用户：全局剩余配额作为本次生成的 token 上限，超出时提前停止
+        tokenBudget: provider.isConfigured() ? tokenBudget : null,
+        // 已导入订单的商店：共同购买商品占推荐列表的前几个位置
+        coPurchase: getShopCoPurchaseSlots(shop) > 0
+          ? { pairs: await loadCoPurchasePairs(shop, productsNeedingRecs.map(p => p.productId)), slots: getShopCoPurchaseSlots(shop) }
+          : null
+      });
+      quotaStopped = stoppedEarly;
+      skippedProducts = skippedProductIds.length;
 
       console.log(`[SYNC] ✅ AI returned ${recs.length} recommendations`);
+      if (stoppedEarly) {
+        console.warn(`[SYNC] ⚠️ Token quota reached during generation, ${skippedProducts} products skipped (will be picked up by the next incremental sync)`);
+      }
       console.log(`[SYNC] Token usage: total=${totalTokens}, input=${promptTokens}, output=${completionTokens}`);
+      monitor.updateMetrics({ aiCalls, batchSize, batchTokensSaved, parseRepairs, parseRetries, parseFailures, promptVersion, cacheHits, cacheTokensSaved });
+      if (cacheHits > 0) {
+        console.log(`[SYNC] ♻️ Reused cached AI results for ${cacheHits} products (${cacheTokensSaved} tokens saved)`);
+      }
+      if (coPurchaseBlended > 0) {
+        console.log(`[SYNC] 🛒 Blended ${coPurchaseBlended} co-purchase recommendations from order history`);
+      }
+      await monitor.recordOutcomes(outcomes);
+      const fallbackCount = outcomes.filter(o => o.outcome === 'fallback').length;
+      if (fallbackCount > 0) {
+        console.warn(`[SYNC] ⚠️ ${fallbackCount} products used fallback recommendations`);
+      }
 
       // 记录token消耗（传入完整的 usage 对象）
       if (totalTokens > 0) {
@@ -1329,28 +5627,78 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
       }
 
       console.log(`[SYNC] 💾 Saving ${recs.length} recommendations to database...`);
+      if (topUpSourceIds.size > 0) {
+        const kept = recs
+          .map(rec => ({ src: saved.find(p => p.productId === rec.sourceId), tgt: saved.find(p => p.productId === rec.targetId) }))
+          .filter(({ src, tgt }) => src && tgt && topUpSourceIds.has(src.id));
+        const replacedSourceIds = [...new Set(kept.map(({ src }) => src.id))];
+        if (replacedSourceIds.length > 0) {
+          const stale = await client.query(`
+            DELETE FROM "Recommendation" r
+            WHERE r."shopId" = $1 AND r."sourceId" = ANY($2)
+              AND NOT EXISTS (
+                SELECT 1 FROM unnest($3::text[], $4::text[]) AS n("sourceId", "targetId")
+                WHERE n."sourceId" = r."sourceId" AND n."targetId" = r."targetId"
+              )
+          `, [shopId, replacedSourceIds, kept.map(({ src }) => src.id), kept.map(({ tgt }) => tgt.id)]);
+          console.log(`[SYNC] Replaced ${stale.rowCount} leftover recommendations for ${replacedSourceIds.length} products below recsPerProduct`);
+        }
+      }
       for (const rec of recs) {
         const src = saved.find(p => p.productId === rec.sourceId);
         const tgt = saved.find(p => p.productId === rec.targetId);
         if (src && tgt) {
           // 使用 ON CONFLICT 避免重复插入
           await client.query(`
-            INSERT INTO "Recommendation" ("id", "shopId", "sourceId", "targetId", "reason")
-            VALUES ($1, $2, $3, $4, $5)
-            ON CONFLICT ("shopId", "sourceId", "targetId") DO UPDATE SET "reason" = $5
-          `, [crypto.randomUUID(), shopId, src.id, tgt.id, rec.reason]);
-          count++;
+            INSERT INTO "Recommendation" ("id", "shopId", "sourceId", "targetId", "reason", "reasons", "engine", "promptVersion", "rank", "reserve")
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ON CONFLICT ("shopId", "sourceId", "targetId") DO UPDATE SET "reason" = $5, "reasons" = $6, "engine" = $7, "promptVersion" = $8, "rank" = $9, "reserve" = $10,
+              "demotedAt" = NULL, "demotionReason" = NULL
+          `, [crypto.randomUUID(), shopId, src.id, tgt.id, rec.reason, rec.reasons ? JSON.stringify(rec.reasons) : null, rec.engine, rec.promptVersion, rec.rank, rec.reserve]);
+          if (rec.reserve) reserveCount++;
+          else count++;
         } else {
           console.warn(`[SYNC] ⚠️ Could not find src or tgt for recommendation:`, { sourceId: rec.sourceId, targetId: rec.targetId, srcFound: !!src, tgtFound: !!tgt });
         }
       }
-      console.log(`[SYNC] ✅ Successfully saved ${count} recommendations to database`);
+      console.log(`[SYNC] ✅ Successfully saved ${count} recommendations (+${reserveCount} reserves) to database`);
     } else {
       console.log('[SYNC] ⏭️ No products need recommendations, skipping generation phase');
     }
 
+    // 进行中实验的生成型变体（engine / prompt）单独生成推荐，包括实验开始前已同步的商品
+    const experimentRecs = await generateExperimentRecommendations(client, shop, saved, {
+      provider: getAIProvider(shop.aiProvider),
+      batchSize,
+      aiCache: createAICache(shopId),
+      tokenBudget: tokenBudget === null ? null : Math.max(0, tokenBudget - monitor.metrics.tokensUsed)
+    });
+    if (experimentRecs.usage.total_tokens > 0) monitor.recordTokenUsage(experimentRecs.usage);
+    monitor.updateMetrics({
+      cacheHits: monitor.metrics.cacheHits + experimentRecs.cacheHits,
+      cacheTokensSaved: monitor.metrics.cacheTokensSaved + experimentRecs.cacheTokensSaved
+    });
+    if (experimentRecs.count > 0) {
+      console.log(`[SYNC] ✅ Saved ${experimentRecs.count} experiment variant recommendations`);
+    }
+
+    // 开启套装的商店为还没有套装的商品生成套装
+    const bundleResult = await generateShopBundles(client, shop, saved, {
+      provider: getAIProvider(shop.aiProvider),
+      aiCache: createAICache(shopId),
+      tokenBudget: tokenBudget === null ? null : Math.max(0, tokenBudget - monitor.metrics.tokensUsed)
+    });
+    if (bundleResult.usage.total_tokens > 0) monitor.recordTokenUsage(bundleResult.usage);
+    monitor.updateMetrics({
+      cacheHits: monitor.metrics.cacheHits + bundleResult.cacheHits,
+      cacheTokensSaved: monitor.metrics.cacheTokensSaved + bundleResult.cacheTokensSaved
+    });
+    if (bundleResult.count > 0) {
+      console.log(`[SYNC] ✅ Saved ${bundleResult.count} bundles (${bundleResult.fallbackProducts} products used fallback bundles)`);
+    }
+
     // 获取总推荐数
-    const totalRecs = await client.query('SELECT COUNT(*) FROM "Recommendation" WHERE "shopId" = $1', [shopId]);
+    const totalRecs = await client.query('SELECT COUNT(*) FROM "Recommendation" WHERE "shopId" = $1 AND "reserve" = false', [shopId]);
     const totalRecsCount = parseInt(totalRecs.rows[0].count);
 
     console.log('[SYNC] ===== DATABASE STATE AFTER SYNC =====');
@@ -1421,6 +5769,9 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
       }
     }
 
+    const statsPruned = await pruneProductDailyStats(client, shopId);
+    if (statsPruned > 0) console.log(`[SYNC] Pruned ${statsPruned} daily product stats older than ${TRENDING_WINDOW_DAYS * 2} days`);
+
     await client.query(`
       UPDATE "Shop" SET
         "productCount" = $1,
@@ -1511,7 +5862,16 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
         nextRefreshAt: refreshCheck.nextRefreshAt
       },
       canRefresh: refreshCheck.allowed,
-      tokenQuota: tokenQuotaInfo
+      tokenQuota: tokenQuotaInfo,
+      quotaStopped: quotaStopped || experimentRecs.stoppedEarly || bundleResult.stoppedEarly,
+      skippedProducts,
+      pricePruned,
+      experimentRecommendations: experimentRecs.count,
+      bundles: bundleResult.count,
+      aiCache: {
+        hits: monitor.metrics.cacheHits,
+        tokensSaved: monitor.metrics.cacheTokensSaved
+      }
     };
 
     console.log('[SYNC] 📤 Sending response to client...');
@@ -1534,102 +5894,262 @@ app.post('/api/products/sync', syncLimiter, auth, async (req, res) => {
   }
 });
 
-// 公开推荐接口（供 Theme Extension 使用，通过 shop 参数识别）
-app.get('/api/storefront/recommendations', queryLimiter, async (req, res) => {
-  // CORS 头
+// 公开推荐接口（供 Theme Extension 使用，通过 shop 参数识别）
+app.get('/api/storefront/recommendations', queryLimiter, async (req, res) => {
+  // CORS 头
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+
+  try {
+    const { shop, product_id, limit: limitParam, locale, visitor_id: visitorId } = req.query;
+    if (!shop || !product_id) {
+      return res.status(400).json({ error: 'Missing shop or product_id parameter' });
+    }
+
+    // 通过 shop domain 查找商店
+    const cleanDomain = shop.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    const shopResult = await pool.query('SELECT * FROM "Shop" WHERE "domain" = $1', [cleanDomain]);
+    if (shopResult.rows.length === 0) {
+      return res.json({ productId: product_id, recommendations: [] });
+    }
+
+    const shopData = shopResult.rows[0];
+    const shopId = shopData.id;
+    const limit = Math.min(parseInt(limitParam) || getShopRecsPerProduct(shopData), MAX_RECS_PER_PRODUCT);
+
+    // API 限额检查
+    const usage = consumeStorefrontApiCall(shopData, res);
+    if (!usage.allowed) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded',
+        limit: usage.limit,
+        used: usage.used,
+        plan: usage.plan
+      });
+    }
+
+    // 查找商品并获取推荐
+    const { recs, assignment } = await getStorefrontRecommendations(shopData, product_id, {
+      limit,
+      locale,
+      assignment: await assignExperimentVariant(shopId, visitorId)
+    });
+    if (!recs) {
+      return res.json({ productId: product_id, recommendations: [] });
+    }
+
+    res.json({
+      productId: product_id,
+      locale: resolveLocale(locale, shopData),
+      experiment: assignment ? { id: assignment.experimentId, variant: assignment.name, fallback: !!assignment.fallback } : null,
+      recommendations: recs.map(r => ({
+        id: r.productId,
+        handle: r.handle,
+        title: r.title,
+        price: r.price,
+        image: r.image,
+        reason: r.reason,
+        explored: !!r.explored
+      }))
+    });
+  } catch (e) {
+    console.error('[Storefront] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 购物车推荐接口（供购物车抽屉使用），product_ids 为购物车中的商品 ID 或 handle，逗号分隔
+app.get('/api/storefront/cart-recommendations', queryLimiter, async (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+
+  try {
+    const { shop, product_ids: productIdsParam, limit: limitParam, locale } = req.query;
+    const productIds = [...new Set(String(productIdsParam || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (!shop || productIds.length === 0) {
+      return res.status(400).json({ error: 'Missing shop or product_ids parameter' });
+    }
+    if (productIds.length > MAX_CART_ITEMS) {
+      return res.status(400).json({ error: `product_ids must contain at most ${MAX_CART_ITEMS} items` });
+    }
+
+    const cleanDomain = shop.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    const shopResult = await pool.query('SELECT * FROM "Shop" WHERE "domain" = $1', [cleanDomain]);
+    if (shopResult.rows.length === 0) {
+      return res.json({ productIds, recommendations: [] });
+    }
+
+    const shopData = shopResult.rows[0];
+    const limit = Math.min(parseInt(limitParam) || getShopRecsPerProduct(shopData), MAX_RECS_PER_PRODUCT);
+
+    // 与单商品接口共用 API 限额，每次请求计一次
+    const usage = consumeStorefrontApiCall(shopData, res);
+    if (!usage.allowed) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded',
+        limit: usage.limit,
+        used: usage.used,
+        plan: usage.plan
+      });
+    }
+
+    const recs = await getCartRecommendations(shopData, productIds, { limit, locale });
+    res.json({
+      productIds,
+      locale: resolveLocale(locale, shopData),
+      recommendations: recs.map(r => ({
+        id: r.productId,
+        handle: r.handle,
+        title: r.title,
+        price: r.price,
+        image: r.image,
+        reason: r.reason,
+        score: r.score,
+        sourceProductIds: r.sourceProductIds
+      }))
+    });
+  } catch (e) {
+    console.error('[Cart Recommendations] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.options('/api/storefront/cart-recommendations', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.sendStatus(204);
+});
+
+// 套装接口（Complete the look），商店未开启套装时返回空列表
+app.get('/api/storefront/bundles', queryLimiter, async (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+
+  try {
+    const { shop, product_id, limit: limitParam, locale } = req.query;
+    if (!shop || !product_id) {
+      return res.status(400).json({ error: 'Missing shop or product_id parameter' });
+    }
+
+    const cleanDomain = shop.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    const shopResult = await pool.query('SELECT * FROM "Shop" WHERE "domain" = $1', [cleanDomain]);
+    if (shopResult.rows.length === 0 || !getShopBundleSettings(shopResult.rows[0]).enabled) {
+      return res.json({ productId: product_id, bundles: [] });
+    }
+
+    const shopData = shopResult.rows[0];
+    const limit = Math.min(parseInt(limitParam) || BUNDLES_PER_PRODUCT, BUNDLES_PER_PRODUCT);
+
+    // 与推荐接口共用 API 限额
+    const usage = consumeStorefrontApiCall(shopData, res);
+    if (!usage.allowed) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded',
+        limit: usage.limit,
+        used: usage.used,
+        plan: usage.plan
+      });
+    }
+
+    const bundles = await getProductBundles(shopData, product_id, { limit, locale });
+    res.json({
+      productId: product_id,
+      locale: resolveLocale(locale, shopData),
+      bundles: (bundles || []).map(b => ({
+        id: b.id,
+        title: b.title,
+        reason: b.reason,
+        products: b.products.map((p, index) => ({
+          id: p.productId,
+          handle: p.handle,
+          title: p.title,
+          price: p.price,
+          image: p.image,
+          anchor: index === 0
+        })),
+        price: b.price,
+        discount: b.discount,
+        discountedPrice: b.discountedPrice
+      }))
+    });
+  } catch (e) {
+    console.error('[Bundles] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.options('/api/storefront/bundles', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.sendStatus(204);
+});
+
+// 商店级推荐接口（首页、集合页等没有源商品的位置），type 为 popular / trending / new
+app.get('/api/storefront/feed', queryLimiter, async (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type');
 
   try {
-    const { shop, product_id, limit: limitParam } = req.query;
-    if (!shop || !product_id) {
-      return res.status(400).json({ error: 'Missing shop or product_id parameter' });
+    const { shop, type, limit: limitParam, locale } = req.query;
+    if (!shop || !type) {
+      return res.status(400).json({ error: 'Missing shop or type parameter' });
+    }
+    if (!SHOP_FEEDS.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${SHOP_FEEDS.join(', ')}` });
     }
 
-    const limit = Math.min(parseInt(limitParam) || 3, 10);
-
-    // 通过 shop domain 查找商店
     const cleanDomain = shop.replace(/^https?:\/\//, '').replace(/\/$/, '');
     const shopResult = await pool.query('SELECT * FROM "Shop" WHERE "domain" = $1', [cleanDomain]);
     if (shopResult.rows.length === 0) {
-      return res.json({ productId: product_id, recommendations: [] });
+      return res.json({ type, products: [] });
     }
 
     const shopData = shopResult.rows[0];
-    const shopId = shopData.id;
-
-    // API 限额检查
-    const today = new Date().toISOString().split('T')[0];
-    const plan = shopData.plan || 'free';
-    const apiLimit = API_LIMITS[plan] || API_LIMITS.free;
-    let currentCalls = shopData.apiCallsToday || 0;
-    const lastDate = shopData.apiCallsDate ? new Date(shopData.apiCallsDate).toISOString().split('T')[0] : null;
-
-    if (lastDate !== today) {
-      currentCalls = 0;
-    }
+    const limit = Math.min(parseInt(limitParam) || DEFAULT_FEED_LIMIT, MAX_FEED_LIMIT);
 
-    if (currentCalls >= apiLimit) {
-      res.header('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
-      res.set('X-RateLimit-Limit', apiLimit);
-      res.set('X-RateLimit-Remaining', 0);
+    // 与推荐接口共用 API 限额
+    const usage = consumeStorefrontApiCall(shopData, res);
+    if (!usage.allowed) {
       return res.status(429).json({
         error: 'API rate limit exceeded',
-        limit: apiLimit,
-        used: currentCalls,
-        plan
+        limit: usage.limit,
+        used: usage.used,
+        plan: usage.plan
       });
     }
 
-    // 更新 API 调用计数（异步）
-    pool.query(`
-      UPDATE "Shop" SET
-        "apiCallsToday" = CASE WHEN "apiCallsDate" = $1::date THEN "apiCallsToday" + 1 ELSE 1 END,
-        "apiCallsDate" = $1::date
-      WHERE "id" = $2
-    `, [today, shopId]).catch(e => console.error('[API Usage] Error:', e.message));
-
-    // 添加限额响应头
-    res.header('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
-    res.set('X-RateLimit-Limit', apiLimit);
-    res.set('X-RateLimit-Remaining', Math.max(0, apiLimit - currentCalls - 1));
-
-    // 查找商品
-    const srcRes = await pool.query(
-      'SELECT * FROM "Product" WHERE "shopId" = $1 AND ("productId" = $2 OR "handle" = $2)',
-      [shopId, product_id]
-    );
-    if (!srcRes.rows.length) {
-      return res.json({ productId: product_id, recommendations: [] });
-    }
-
-    // 获取推荐
-    const recs = await pool.query(`
-      SELECT r.*, p."productId", p."handle", p."title", p."price", p."image"
-      FROM "Recommendation" r
-      JOIN "Product" p ON r."targetId" = p."id"
-      WHERE r."shopId" = $1 AND r."sourceId" = $2
-      LIMIT $3
-    `, [shopId, srcRes.rows[0].id, limit]);
-
+    const products = await getShopFeed(shopData, type, { limit, locale });
     res.json({
-      productId: product_id,
-      recommendations: recs.rows.map(r => ({
-        id: r.productId,
-        handle: r.handle,
-        title: r.title,
-        price: r.price,
-        image: r.image,
-        reason: r.reason
+      type,
+      locale: resolveLocale(locale, shopData),
+      products: products.map(p => ({
+        id: p.productId,
+        handle: p.handle,
+        title: p.title,
+        price: p.price,
+        image: p.image,
+        reason: p.reason
       }))
     });
   } catch (e) {
-    console.error('[Storefront] Error:', e);
+    console.error('[Feed] Error:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
+app.options('/api/storefront/feed', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.sendStatus(204);
+});
+
 // ============ 管理 API ============
 
 // 获取商店同步状态
@@ -1653,7 +6173,7 @@ app.get('/api/shops/sync-status', auth, async (req, res) => {
       [shop.id]
     );
     const recCount = await pool.query(
-      'SELECT COUNT(*) FROM "Recommendation" WHERE "shopId" = $1',
+      'SELECT COUNT(*) FROM "Recommendation" WHERE "shopId" = $1 AND "reserve" = false',
       [shop.id]
     );
 
@@ -1741,6 +6261,129 @@ app.get('/api/shops/sync-status', auth, async (req, res) => {
   }
 });
 
+// 获取商店设置
+app.get('/api/shops/settings', auth, (req, res) => {
+  const locales = getShopLocales(req.shop);
+  res.json({
+    shop: req.shop.domain,
+    primaryLocale: locales[0],
+    locales,
+    supportedLocales: Object.keys(LOCALES),
+    engine: getShopEngine(req.shop),
+    supportedEngines: RECOMMENDATION_ENGINES,
+    recsPerProduct: getShopRecsPerProduct(req.shop),
+    maxRecsPerProduct: MAX_RECS_PER_PRODUCT,
+    priceRules: req.shop.priceRules || null,
+    exploration: getShopExploration(req.shop),
+    supportedExplorationPolicies: EXPLORATION_POLICIES,
+    maxExplorationRate: MAX_EXPLORATION_RATE,
+    bundles: getShopBundleSettings(req.shop),
+    bundleSizeRange: [MIN_BUNDLE_SIZE, MAX_BUNDLE_SIZE],
+    maxBundleDiscountPercent: MAX_BUNDLE_DISCOUNT_PERCENT,
+    coPurchaseSlots: getShopCoPurchaseSlots(req.shop),
+    ordersIngested: req.shop.ordersIngested || 0
+  });
+});
+
+// 更新商店设置（语言、推荐引擎和推荐数在下次生成推荐时生效，已有推荐需要强制刷新后重新生成）
+// 价格规则立即生效：不符合新规则的已有推荐被删除；探索策略从下一次 storefront 请求开始生效
+// 开启套装后，下一次同步为还没有套装的商品生成；套装件数修改后需要强制刷新，折扣立即生效
+// 共同购买位置数在读取时立即生效
+app.put('/api/shops/settings', auth, async (req, res) => {
+  try {
+    const shop = req.shop;
+    const { primaryLocale, locales, engine, recsPerProduct, priceRules, explorationPolicy, explorationRate, bundlesEnabled, bundleSize, bundleDiscountPercent, coPurchaseSlots } = req.body;
+
+    if (engine !== undefined && engine !== null && !RECOMMENDATION_ENGINES.includes(engine)) {
+      return res.status(400).json({ error: `engine must be null or one of: ${RECOMMENDATION_ENGINES.join(', ')}` });
+    }
+    if (recsPerProduct !== undefined && recsPerProduct !== null &&
+        !(Number.isInteger(recsPerProduct) && recsPerProduct >= 1 && recsPerProduct <= MAX_RECS_PER_PRODUCT)) {
+      return res.status(400).json({ error: `recsPerProduct must be null or an integer between 1 and ${MAX_RECS_PER_PRODUCT}` });
+    }
+    if (priceRules !== undefined && priceRules !== null) {
+      const error = validatePriceRules(priceRules);
+      if (error) return res.status(400).json({ error });
+    }
+    if (explorationPolicy !== undefined && explorationPolicy !== null && !EXPLORATION_POLICIES.includes(explorationPolicy)) {
+      return res.status(400).json({ error: `explorationPolicy must be null or one of: ${EXPLORATION_POLICIES.join(', ')}` });
+    }
+    if (explorationRate !== undefined && explorationRate !== null &&
+        !(typeof explorationRate === 'number' && explorationRate >= 0 && explorationRate <= MAX_EXPLORATION_RATE)) {
+      return res.status(400).json({ error: `explorationRate must be null or a number between 0 and ${MAX_EXPLORATION_RATE}` });
+    }
+    if (bundlesEnabled !== undefined && typeof bundlesEnabled !== 'boolean') {
+      return res.status(400).json({ error: 'bundlesEnabled must be a boolean' });
+    }
+    if (bundleSize !== undefined && bundleSize !== null &&
+        !(Number.isInteger(bundleSize) && bundleSize >= MIN_BUNDLE_SIZE && bundleSize <= MAX_BUNDLE_SIZE)) {
+      return res.status(400).json({ error: `bundleSize must be null or an integer between ${MIN_BUNDLE_SIZE} and ${MAX_BUNDLE_SIZE}` });
+    }
+    if (bundleDiscountPercent !== undefined && bundleDiscountPercent !== null &&
+        !(typeof bundleDiscountPercent === 'number' && bundleDiscountPercent > 0 && bundleDiscountPercent <= MAX_BUNDLE_DISCOUNT_PERCENT)) {
+      return res.status(400).json({ error: `bundleDiscountPercent must be null or a number between 0 and ${MAX_BUNDLE_DISCOUNT_PERCENT}` });
+    }
+    if (coPurchaseSlots !== undefined && coPurchaseSlots !== null &&
+        !(Number.isInteger(coPurchaseSlots) && coPurchaseSlots >= 0 && coPurchaseSlots <= MAX_RECS_PER_PRODUCT)) {
+      return res.status(400).json({ error: `coPurchaseSlots must be null or an integer between 0 and ${MAX_RECS_PER_PRODUCT}` });
+    }
+
+    const primary = primaryLocale === undefined ? getShopLocales(shop)[0] : normalizeLocale(primaryLocale);
+    if (!primary) {
+      return res.status(400).json({ error: `primaryLocale must be one of: ${Object.keys(LOCALES).join(', ')}` });
+    }
+
+    let extraLocales = shop.locales;
+    if (locales !== undefined) {
+      if (locales !== null && !Array.isArray(locales)) {
+        return res.status(400).json({ error: 'locales must be an array or null' });
+      }
+      const invalid = (locales || []).filter(l => !normalizeLocale(l));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Unsupported locales: ${invalid.join(', ')}` });
+      }
+      extraLocales = locales ? [...new Set(locales.map(normalizeLocale))] : null;
+    }
+
+    const result = await pool.query(
+      `UPDATE "Shop" SET "primaryLocale" = $1, "locales" = $2, "recommendationEngine" = $3, "recsPerProduct" = $4, "priceRules" = $5,
+        "explorationPolicy" = $6, "explorationRate" = $7, "bundlesEnabled" = $8, "bundleSize" = $9, "bundleDiscountPercent" = $10,
+        "coPurchaseSlots" = $11, "updatedAt" = NOW() WHERE "id" = $12 RETURNING *`,
+      [primary, extraLocales, engine === undefined ? shop.recommendationEngine : engine,
+       recsPerProduct === undefined ? shop.recsPerProduct : recsPerProduct,
+       JSON.stringify(priceRules === undefined ? shop.priceRules ?? null : priceRules),
+       explorationPolicy === undefined ? shop.explorationPolicy : explorationPolicy,
+       explorationRate === undefined ? shop.explorationRate : explorationRate,
+       bundlesEnabled === undefined ? !!shop.bundlesEnabled : bundlesEnabled,
+       bundleSize === undefined ? shop.bundleSize : bundleSize,
+       bundleDiscountPercent === undefined ? shop.bundleDiscountPercent : bundleDiscountPercent,
+       coPurchaseSlots === undefined ? shop.coPurchaseSlots : coPurchaseSlots, shop.id]
+    );
+
+    const updated = result.rows[0];
+    const pricePruned = priceRules !== undefined ? await prunePriceViolations(pool, updated) : 0;
+    console.log(`[Settings] Updated settings for ${shop.domain}: locales=${getShopLocales(updated).join(', ')}, engine=${getShopEngine(updated)}, recsPerProduct=${getShopRecsPerProduct(updated)}, exploration=${getShopExploration(updated).policy}, bundles=${getShopBundleSettings(updated).enabled}`);
+    // 读取接口的默认 limit、价格规则、探索策略和语言跟随设置
+    clearShopCache(shop.id, RECOMMENDATION_CACHE_PREFIXES);
+
+    res.json({
+      success: true,
+      primaryLocale: updated.primaryLocale,
+      locales: getShopLocales(updated),
+      engine: getShopEngine(updated),
+      recsPerProduct: getShopRecsPerProduct(updated),
+      priceRules: updated.priceRules || null,
+      pricePruned,
+      exploration: getShopExploration(updated),
+      bundles: getShopBundleSettings(updated),
+      coPurchaseSlots: getShopCoPurchaseSlots(updated)
+    });
+  } catch (e) {
+    console.error('[Settings] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // 查询商店的所有推荐
 app.get('/api/recommendations', queryLimiter, auth, async (req, res) => {
   try {
@@ -1756,7 +6399,7 @@ app.get('/api/recommendations', queryLimiter, auth, async (req, res) => {
 
     // 获取推荐数量
     const recCount = await pool.query(
-      'SELECT COUNT(*) FROM "Recommendation" WHERE "shopId" = $1',
+      'SELECT COUNT(*) FROM "Recommendation" WHERE "shopId" = $1 AND "reserve" = false',
       [shopId]
     );
 
@@ -1770,12 +6413,16 @@ app.get('/api/recommendations', queryLimiter, auth, async (req, res) => {
         tp."title" as "targetTitle",
         tp."image" as "targetImage",
         r."reason",
+        r."reasons",
+        r."engine",
+        r."rank",
+        r."reserve",
         r."createdAt"
       FROM "Recommendation" r
       JOIN "Product" sp ON r."sourceId" = sp."id"
       JOIN "Product" tp ON r."targetId" = tp."id"
       WHERE r."shopId" = $1
-      ORDER BY sp."productId", r."createdAt"
+      ORDER BY sp."productId", r."rank" ASC NULLS LAST, r."createdAt"
       LIMIT $2 OFFSET $3
     `, [shopId, limit, offset]);
 
@@ -1917,35 +6564,28 @@ app.get('/api/recommendations/:productId', queryLimiter, auth, trackApiUsage, as
   try {
     const shopId = req.shop.id;
     const { productId } = req.params;
-    const limit = Math.min(parseInt(req.query.limit) || 3, 10);
+    const limit = Math.min(parseInt(req.query.limit) || getShopRecsPerProduct(req.shop), MAX_RECS_PER_PRODUCT);
+    const locale = resolveLocale(req.query.locale, req.shop);
 
-    const cacheKey = `${shopId}:${productId}:${limit}`;
+    const cacheKey = `recs:${shopId}:${productId}:${limit}:${locale}`;
     const cached = cache.get(cacheKey);
     if (cached && Date.now() < cached.expiry) return res.json(cached.data);
 
-    const srcRes = await pool.query(
-      'SELECT * FROM "Product" WHERE "shopId" = $1 AND ("productId" = $2 OR "handle" = $2)',
-      [shopId, productId]
-    );
-    if (!srcRes.rows.length) return res.json({ productId, recommendations: [] });
-
-    const recs = await pool.query(`
-      SELECT r.*, p."productId", p."handle", p."title", p."price", p."image"
-      FROM "Recommendation" r
-      JOIN "Product" p ON r."targetId" = p."id"
-      WHERE r."shopId" = $1 AND r."sourceId" = $2
-      LIMIT $3
-    `, [shopId, srcRes.rows[0].id, limit]);
+    const recs = await getProductRecommendations(req.shop, productId, { limit, locale });
+    if (!recs) return res.json({ productId, recommendations: [] });
 
     const data = {
       productId,
-      recommendations: recs.rows.map(r => ({
+      locale,
+      recommendations: recs.map(r => ({
         id: r.productId,
         handle: r.handle,
         title: r.title,
         price: r.price,
         image: r.image,
-        reason: r.reason
+        reason: r.reason,
+        engine: r.engine,
+        rank: r.rank
       }))
     };
 
@@ -1967,11 +6607,11 @@ app.get('/api/public/recommendations/:shop/:productId', queryLimiter, async (req
 
   try {
     const { shop: shopDomain, productId } = req.params;
-    const limit = Math.min(parseInt(req.query.limit) || 3, 10);
+    const { locale: requestedLocale, visitor_id: visitorId } = req.query;
 
     // Clean the domain
     const cleanDomain = shopDomain.replace(/^https?:\/\//, '').replace(/\/$/, '');
-    console.log('[Public Recommendations] Request:', { shop: cleanDomain, productId, limit });
+    console.log('[Public Recommendations] Request:', { shop: cleanDomain, productId, limit: req.query.limit });
 
     // Find shop by domain
     const shopResult = await pool.query('SELECT * FROM "Shop" WHERE "domain" = $1', [cleanDomain]);
@@ -1982,6 +6622,7 @@ app.get('/api/public/recommendations/:shop/:productId', queryLimiter, async (req
 
     const shop = shopResult.rows[0];
     const shopId = shop.id;
+    const limit = Math.min(parseInt(req.query.limit) || getShopRecsPerProduct(shop), MAX_RECS_PER_PRODUCT);
 
     // Check API usage (but don't block, just track)
     const today = new Date().toISOString().split('T')[0];
@@ -2008,51 +6649,45 @@ app.get('/api/public/recommendations/:shop/:productId', queryLimiter, async (req
       WHERE "id" = $2
     `, [today, shopId]).catch(e => console.error('[Public Recommendations] Update error:', e.message));
 
-    // Cache check
-    const cacheKey = `public:${shopId}:${productId}:${limit}`;
-    const cached = cache.get(cacheKey);
+    // Cache check (exploring shops and experiment visitors vary per request, so they are not cached)
+    const locale = resolveLocale(requestedLocale, shop);
+    const experimentVariant = await assignExperimentVariant(shopId, visitorId);
+    const cacheable = !experimentVariant && getShopExploration(shop).policy === 'none';
+    const cacheKey = `public:${shopId}:${productId}:${limit}:${locale}`;
+    const cached = cacheable && cache.get(cacheKey);
     if (cached && Date.now() < cached.expiry) {
       console.log('[Public Recommendations] Cache hit');
       return res.json(cached.data);
     }
 
-    // Find source product
-    const srcRes = await pool.query(
-      'SELECT * FROM "Product" WHERE "shopId" = $1 AND ("productId" = $2 OR "handle" = $2)',
-      [shopId, productId]
-    );
-    if (!srcRes.rows.length) {
+    // Find source product and get recommendations
+    const { recs, assignment } = await getStorefrontRecommendations(shop, productId, { limit, locale, assignment: experimentVariant });
+    if (!recs) {
       console.log('[Public Recommendations] Product not found:', productId);
       return res.json({ productId, recommendations: [] });
     }
 
-    // Get recommendations
-    const recs = await pool.query(`
-      SELECT r.*, p."productId", p."handle", p."title", p."price", p."image"
-      FROM "Recommendation" r
-      JOIN "Product" p ON r."targetId" = p."id"
-      WHERE r."shopId" = $1 AND r."sourceId" = $2
-      LIMIT $3
-    `, [shopId, srcRes.rows[0].id, limit]);
-
     const data = {
       success: true,
       productId,
       shop: cleanDomain,
-      count: recs.rows.length,
-      recommendations: recs.rows.map(r => ({
+      locale,
+      experiment: assignment ? { id: assignment.experimentId, variant: assignment.name, fallback: !!assignment.fallback } : null,
+      count: recs.length,
+      recommendations: recs.map(r => ({
         id: `gid://shopify/Product/${r.productId}`,
         numericId: r.productId,
         handle: r.handle,
         title: r.title,
         price: r.price,
         image: r.image,
-        reasoning: r.reason
+        reasoning: r.reason,
+        explored: !!r.explored
       }))
     };
 
-    cache.set(cacheKey, { data, expiry: Date.now() + CACHE_TTL });
-    console.log('[Public Recommendations] Returning', recs.rows.length, 'recommendations');
+    if (cacheable) cache.set(cacheKey, { data, expiry: Date.now() + CACHE_TTL });
+    console.log('[Public Recommendations] Returning', recs.length, 'recommendations');
     res.json(data);
   } catch (e) {
     console.error('[Public Recommendations] Error:', e);
@@ -2207,6 +6842,344 @@ app.put('/api/shops/:domain/plan', async (req, res) => {
   }
 });
 
+// ============ 商家规则 API ============
+
+// 从请求体组装规则字段（商品 ID 兼容 gid 格式，标签和系列统一小写）
+function buildMerchantRule(body, existing = {}) {
+  const pick = (key) => (body[key] !== undefined ? body[key] : existing[key]);
+  const type = pick('type');
+  const tag = pick('tag');
+  const sourceCollection = pick('sourceCollection');
+  const weight = pick('weight');
+  return {
+    type,
+    scope: pick('scope') || (type === 'ban' ? 'all' : 'product'),
+    sourceProductId: normalizeProductId(pick('sourceProductId')),
+    sourceCollection: typeof sourceCollection === 'string' && sourceCollection.trim() ? sourceCollection.trim().toLowerCase() : null,
+    targetProductId: normalizeProductId(pick('targetProductId')),
+    tag: typeof tag === 'string' && tag.trim() ? tag.trim().toLowerCase() : null,
+    weight: type === 'boost_tag' ? (weight === undefined || weight === null ? DEFAULT_BOOST_WEIGHT : weight) : null,
+    position: parseInt(pick('position')) || 0
+  };
+}
+
+// 获取商家规则
+app.get('/api/rules', auth, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const params = [req.shop.id];
+    let where = '"shopId" = $1';
+    if (type) {
+      params.push(type);
+      where += ` AND "type" = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM "MerchantRule" WHERE ${where} ORDER BY "type", "position", "createdAt"`,
+      params
+    );
+
+    res.json({ success: true, rules: result.rows });
+  } catch (e) {
+    console.error('[Rules] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 创建商家规则
+app.post('/api/rules', auth, async (req, res) => {
+  try {
+    const rule = buildMerchantRule(req.body);
+    const error = validateMerchantRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = `rule_${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+    const result = await pool.query(`
+      INSERT INTO "MerchantRule" ("id", "shopId", "type", "scope", "sourceProductId", "sourceCollection", "targetProductId", "tag", "weight", "position")
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [id, req.shop.id, rule.type, rule.scope, rule.sourceProductId, rule.sourceCollection, rule.targetProductId, rule.tag, rule.weight, rule.position]);
+
+    // 规则立即影响推荐读取结果
+    clearShopCache(req.shop.id, ['rules', ...RECOMMENDATION_CACHE_PREFIXES]);
+    console.log(`[Rules] ${req.shop.domain}: created ${rule.type} rule ${id} (scope=${rule.scope})`);
+
+    res.json({ success: true, rule: result.rows[0] });
+  } catch (e) {
+    console.error('[Rules] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 更新商家规则
+app.put('/api/rules/:ruleId', auth, async (req, res) => {
+  try {
+    const existing = await pool.query(
+      'SELECT * FROM "MerchantRule" WHERE "id" = $1 AND "shopId" = $2',
+      [req.params.ruleId, req.shop.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const rule = buildMerchantRule(req.body, existing.rows[0]);
+    const error = validateMerchantRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(`
+      UPDATE "MerchantRule" SET
+        "type" = $1, "scope" = $2, "sourceProductId" = $3, "sourceCollection" = $4, "targetProductId" = $5,
+        "tag" = $6, "weight" = $7, "position" = $8, "updatedAt" = NOW()
+      WHERE "id" = $9 AND "shopId" = $10
+      RETURNING *
+    `, [rule.type, rule.scope, rule.sourceProductId, rule.sourceCollection, rule.targetProductId, rule.tag, rule.weight, rule.position, req.params.ruleId, req.shop.id]);
+
+    clearShopCache(req.shop.id, ['rules', ...RECOMMENDATION_CACHE_PREFIXES]);
+    console.log(`[Rules] ${req.shop.domain}: updated rule ${req.params.ruleId}`);
+
+    res.json({ success: true, rule: result.rows[0] });
+  } catch (e) {
+    console.error('[Rules] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 删除商家规则
+app.delete('/api/rules/:ruleId', auth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM "MerchantRule" WHERE "id" = $1 AND "shopId" = $2',
+      [req.params.ruleId, req.shop.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    clearShopCache(req.shop.id, ['rules', ...RECOMMENDATION_CACHE_PREFIXES]);
+    console.log(`[Rules] ${req.shop.domain}: deleted rule ${req.params.ruleId}`);
+
+    res.json({ success: true, deleted: result.rowCount });
+  } catch (e) {
+    console.error('[Rules] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ============ 实验 API ============
+
+// 获取商店的实验
+app.get('/api/experiments', auth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM "Experiment" WHERE "shopId" = $1 ORDER BY "createdAt" DESC',
+      [req.shop.id]
+    );
+    res.json({ success: true, experiments: result.rows });
+  } catch (e) {
+    console.error('[Experiment] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 创建并开始实验（同时只能有一个进行中的实验）
+app.post('/api/experiments', auth, async (req, res) => {
+  try {
+    const { name, variants } = req.body;
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name required' });
+    }
+    const error = validateExperimentVariants(variants);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const templateIds = [...new Set(variants.map(v => v.promptTemplateId).filter(Boolean))];
+    if (templateIds.length > 0) {
+      const templates = await pool.query('SELECT "id" FROM "PromptTemplate" WHERE "id" = ANY($1)', [templateIds]);
+      const found = new Set(templates.rows.map(t => t.id));
+      const missing = templateIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `Prompt templates not found: ${missing.join(', ')}` });
+      }
+    }
+
+    const running = await getRunningExperiment(req.shop.id);
+    if (running) {
+      return res.status(409).json({ error: 'Another experiment is already running', experimentId: running.id });
+    }
+
+    const id = `exp_${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+    let result;
+    try {
+      result = await pool.query(`
+        INSERT INTO "Experiment" ("id", "shopId", "name", "variants")
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [id, req.shop.id, name.trim(), JSON.stringify(normalizeExperimentVariants(variants))]);
+    } catch (e) {
+      // 并发创建：另一个请求先插入了进行中的实验（Experiment_running_shopId_idx）
+      if (e.code !== '23505') throw e;
+      return res.status(409).json({ error: 'Another experiment is already running' });
+    }
+
+    // 分配立即生效；生成型变体的推荐在下一次同步时生成
+    clearShopCache(req.shop.id, ['experiment', ...RECOMMENDATION_CACHE_PREFIXES]);
+    const experiment = result.rows[0];
+    const generated = experiment.variants.filter(v => v.engine || v.promptTemplateId).map(v => v.name);
+    console.log(`[Experiment] ${req.shop.domain}: started ${id} with variants ${experiment.variants.map(v => v.name).join(', ')}`);
+
+    res.json({ success: true, experiment, pendingGeneration: generated });
+  } catch (e) {
+    console.error('[Experiment] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 停止实验（统计和结果保留）
+app.post('/api/experiments/:experimentId/stop', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE "Experiment" SET "status" = 'stopped', "stoppedAt" = NOW()
+      WHERE "id" = $1 AND "shopId" = $2 AND "status" = 'running'
+      RETURNING *
+    `, [req.params.experimentId, req.shop.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Running experiment not found' });
+    }
+
+    // 变体推荐不再读取
+    await pool.query('DELETE FROM "ExperimentRecommendation" WHERE "experimentId" = $1', [req.params.experimentId]);
+    clearShopCache(req.shop.id, ['experiment', ...RECOMMENDATION_CACHE_PREFIXES]);
+    console.log(`[Experiment] ${req.shop.domain}: stopped ${req.params.experimentId}`);
+
+    res.json({ success: true, experiment: result.rows[0] });
+  } catch (e) {
+    console.error('[Experiment] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 实验结果：每个变体的 CTR、95% 置信区间以及与对照组的差异
+app.get('/api/experiments/:experimentId/results', auth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM "Experiment" WHERE "id" = $1 AND "shopId" = $2',
+      [req.params.experimentId, req.shop.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    const experiment = result.rows[0];
+    const stats = await pool.query('SELECT * FROM "ExperimentStat" WHERE "experimentId" = $1', [experiment.id]);
+
+    res.json({
+      success: true,
+      experiment: {
+        id: experiment.id,
+        name: experiment.name,
+        status: experiment.status,
+        startedAt: experiment.startedAt,
+        stoppedAt: experiment.stoppedAt
+      },
+      confidenceLevel: 0.95,
+      variants: summarizeExperiment(experiment, stats.rows)
+    });
+  } catch (e) {
+    console.error('[Experiment] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ============ 订单 API ============
+
+// 批量导入订单（历史订单回填或商家自己的订单系统推送），重复的订单 ID 被忽略
+// body: { orders: [{ id, lineItems: [{ productId }] }] }，也接受 Shopify 订单格式（line_items / product_id）
+app.post('/api/orders', auth, async (req, res) => {
+  try {
+    const { orders } = req.body;
+    const error = validateOrders(orders);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await ingestOrders(req.shop, orders, 'api');
+    console.log(`[Orders] ${req.shop.domain}: ingested ${result.ingested}/${result.received} orders (${result.duplicates} duplicates, ${result.pairs} pairs)`);
+    // 读取时的共同购买推荐立即更新
+    if (result.ingested > 0) clearShopCache(req.shop.id, ['copurchase', ...RECOMMENDATION_CACHE_PREFIXES]);
+
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('[Orders] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Shopify orders/create webhook：按 X-Shopify-Shop-Domain 找到商店，签名使用 SHOPIFY_WEBHOOK_SECRET 校验
+app.post('/api/webhooks/orders', async (req, res) => {
+  try {
+    const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({ error: 'Webhooks are not configured' });
+    }
+    if (!verifyWebhookSignature(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const domain = (req.get('X-Shopify-Shop-Domain') || '').trim();
+    const shopResult = await pool.query('SELECT * FROM "Shop" WHERE "domain" = $1', [domain]);
+    if (shopResult.rows.length === 0) {
+      console.log('[Orders] Webhook for unknown shop:', domain);
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+    const error = validateOrders([req.body]);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const shop = shopResult.rows[0];
+    const result = await ingestOrders(shop, [req.body], 'webhook');
+    if (result.ingested > 0) clearShopCache(shop.id, ['copurchase', ...RECOMMENDATION_CACHE_PREFIXES]);
+    console.log(`[Orders] ${shop.domain}: webhook order ${normalizeOrder(req.body).orderId} ${result.ingested > 0 ? 'ingested' : 'already ingested'}`);
+
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('[Orders] Webhook error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 查询某个商品的共同购买推荐（按 lift 排序，包括不可售的商品，用于商家检查订单数据）
+app.get('/api/co-purchases/:productId', auth, async (req, res) => {
+  try {
+    const productId = String(req.params.productId).replace(GID_PRODUCT_PREFIX, '');
+    const pairs = await getProductCoPurchases(req.shop, productId);
+    const products = pairs.length > 0
+      ? await pool.query(
+        'SELECT "productId", "handle", "title", "price", "image", "available" FROM "Product" WHERE "shopId" = $1 AND "productId" = ANY($2)',
+        [req.shop.id, pairs.map(pair => pair.productId)]
+      )
+      : { rows: [] };
+    const byId = new Map(products.rows.map(p => [p.productId, p]));
+
+    res.json({
+      success: true,
+      productId,
+      ordersIngested: req.shop.ordersIngested || 0,
+      minOrders: COPURCHASE_MIN_ORDERS,
+      minLift: COPURCHASE_MIN_LIFT,
+      coPurchases: pairs.map(pair => ({ ...pair, product: byId.get(pair.productId) || null }))
+    });
+  } catch (e) {
+    console.error('[Orders] Error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ============ Tracking API ============
 
 // Record impression (when recommendation is shown)
@@ -2217,8 +7190,8 @@ app.post('/api/tracking/impression', async (req, res) => {
   res.header('Access-Control-Allow-Headers', 'Content-Type, X-Shop-Domain');
 
   try {
-    const { shop, sourceProductId, targetProductIds } = req.body;
-    console.log('[Tracking] Impression request:', { shop, sourceProductId, targetProductIds });
+    const { shop, sourceProductId, targetProductIds, exploredProductIds, experimentId, variant, fallback } = req.body;
+    console.log('[Tracking] Impression request:', { shop, sourceProductId, targetProductIds, exploredProductIds, experimentId, variant, fallback });
 
     if (!shop || !sourceProductId || !targetProductIds) {
       return res.status(400).json({ error: 'Missing required fields: shop, sourceProductId, targetProductIds' });
@@ -2247,22 +7220,38 @@ app.post('/api/tracking/impression', async (req, res) => {
 
     const sourceId = srcRes.rows[0].id;
     const targetIds = Array.isArray(targetProductIds) ? targetProductIds : [targetProductIds];
+    // 探索占位展示的商品（storefront 响应中 explored: true 的推荐）
+    const exploredIds = new Set((Array.isArray(exploredProductIds) ? exploredProductIds : exploredProductIds ? [exploredProductIds] : [])
+      .map(id => String(id).replace('gid://shopify/Product/', '')));
+
+    // 生成型实验变体的展示计入变体自己的推荐
+    const tracked = await findTrackedVariant(shopId, experimentId, variant);
+    const scope = getTrackingScope(tracked, fallback === true);
 
     // Update impression counts for each recommendation
     let updated = 0;
+    const updatedRows = [];
+    const shownProductIds = [];
     for (const targetProductId of targetIds) {
       const cleanTargetId = String(targetProductId).replace('gid://shopify/Product/', '');
       const result = await pool.query(`
-        UPDATE "Recommendation" r
-        SET "impressions" = COALESCE("impressions", 0) + 1
+        UPDATE "${scope.table}" r
+        SET "impressions" = COALESCE("impressions", 0) + 1,
+            "exploreImpressions" = COALESCE("exploreImpressions", 0) + $4
         FROM "Product" p
-        WHERE r."shopId" = $1 AND r."sourceId" = $2 AND r."targetId" = p."id" AND p."productId" = $3
-      `, [shopId, sourceId, cleanTargetId]);
+        WHERE r."shopId" = $1 AND r."sourceId" = $2 AND r."targetId" = p."id" AND p."productId" = $3 ${scope.filter}
+        RETURNING ${scope.returning}
+      `, [shopId, sourceId, cleanTargetId, exploredIds.has(cleanTargetId) ? 1 : 0, ...scope.params]);
       updated += result.rowCount;
+      updatedRows.push(...result.rows);
+      if (result.rowCount > 0) shownProductIds.push(cleanTargetId);
     }
+    if (!scope.variant) await refreshDemotions(shopId, updatedRows);
+    await recordProductDailyStat(shopId, shownProductIds, { impressions: 1 });
+    if (tracked) await recordExperimentStat(tracked.experimentId, tracked.name, { impressions: updated });
 
-    console.log('[Tracking] Impressions updated:', { updated });
-    res.json({ success: true, updated });
+    console.log('[Tracking] Impressions updated:', { updated, variant: tracked ? tracked.name : null });
+    res.json({ success: true, updated, variant: tracked ? tracked.name : null });
   } catch (e) {
     console.error('[Tracking] Impression error:', e);
     res.status(500).json({ error: e.message });
@@ -2277,8 +7266,8 @@ app.post('/api/tracking/click', async (req, res) => {
   res.header('Access-Control-Allow-Headers', 'Content-Type, X-Shop-Domain');
 
   try {
-    const { shop, sourceProductId, targetProductId } = req.body;
-    console.log('[Tracking] Click request:', { shop, sourceProductId, targetProductId });
+    const { shop, sourceProductId, targetProductId, explored, experimentId, variant, fallback } = req.body;
+    console.log('[Tracking] Click request:', { shop, sourceProductId, targetProductId, explored, experimentId, variant, fallback });
 
     if (!shop || !sourceProductId || !targetProductId) {
       return res.status(400).json({ error: 'Missing required fields: shop, sourceProductId, targetProductId' });
@@ -2311,22 +7300,66 @@ app.post('/api/tracking/click', async (req, res) => {
     const cleanTargetId = String(targetProductId).replace('gid://shopify/Product/', '');
     console.log('[Tracking] Looking for target:', { cleanTargetId });
 
+    const tracked = await findTrackedVariant(shopId, experimentId, variant);
+    const scope = getTrackingScope(tracked, fallback === true);
+
     // Update click count
     const result = await pool.query(`
-      UPDATE "Recommendation" r
-      SET "clicks" = COALESCE("clicks", 0) + 1
+      UPDATE "${scope.table}" r
+      SET "clicks" = COALESCE("clicks", 0) + 1,
+          "exploreClicks" = COALESCE("exploreClicks", 0) + $4
       FROM "Product" p
-      WHERE r."shopId" = $1 AND r."sourceId" = $2 AND r."targetId" = p."id" AND p."productId" = $3
-    `, [shopId, sourceId, cleanTargetId]);
-
-    console.log('[Tracking] Click updated:', { rowCount: result.rowCount });
-    res.json({ success: true, updated: result.rowCount });
+      WHERE r."shopId" = $1 AND r."sourceId" = $2 AND r."targetId" = p."id" AND p."productId" = $3 ${scope.filter}
+      RETURNING ${scope.returning}
+    `, [shopId, sourceId, cleanTargetId, explored === true ? 1 : 0, ...scope.params]);
+    if (!scope.variant) await refreshDemotions(shopId, result.rows);
+    if (result.rowCount > 0) await recordProductDailyStat(shopId, [cleanTargetId], { clicks: 1 });
+    if (tracked) await recordExperimentStat(tracked.experimentId, tracked.name, { clicks: result.rowCount });
+
+    console.log('[Tracking] Click updated:', { rowCount: result.rowCount, variant: tracked ? tracked.name : null });
+    res.json({ success: true, updated: result.rowCount, variant: tracked ? tracked.name : null });
   } catch (e) {
     console.error('[Tracking] Click error:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
+// 套装展示 / 点击（套装级别，不计入单个推荐的 CTR）
+async function trackBundles(req, res, column) {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Shop-Domain');
+
+  try {
+    const { shop, bundleIds, bundleId } = req.body;
+    const ids = column === 'impressions'
+      ? (Array.isArray(bundleIds) ? bundleIds : bundleIds ? [bundleIds] : [])
+      : (bundleId ? [bundleId] : []);
+    if (!shop || ids.length === 0) {
+      return res.status(400).json({ error: `Missing required fields: shop, ${column === 'impressions' ? 'bundleIds' : 'bundleId'}` });
+    }
+
+    const cleanDomain = shop.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    const shopResult = await pool.query('SELECT "id" FROM "Shop" WHERE "domain" = $1', [cleanDomain]);
+    if (shopResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE "Bundle" SET "${column}" = COALESCE("${column}", 0) + 1 WHERE "shopId" = $1 AND "id" = ANY($2)`,
+      [shopResult.rows[0].id, ids.map(String)]
+    );
+    console.log(`[Tracking] Bundle ${column} updated:`, { updated: result.rowCount });
+    res.json({ success: true, updated: result.rowCount });
+  } catch (e) {
+    console.error(`[Tracking] Bundle ${column} error:`, e);
+    res.status(500).json({ error: e.message });
+  }
+}
+
+app.post('/api/tracking/bundle-impression', (req, res) => trackBundles(req, res, 'impressions'));
+app.post('/api/tracking/bundle-click', (req, res) => trackBundles(req, res, 'clicks'));
+
 // OPTIONS handler for CORS preflight
 app.options('/api/tracking/impression', (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
@@ -2342,6 +7375,13 @@ app.options('/api/tracking/click', (req, res) => {
   res.sendStatus(204);
 });
 
+app.options(['/api/tracking/bundle-impression', '/api/tracking/bundle-click'], (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Shop-Domain');
+  res.sendStatus(204);
+});
+
 // Get statistics
 app.get('/api/statistics', auth, async (req, res) => {
   try {
@@ -2414,6 +7454,69 @@ app.get('/api/statistics', auth, async (req, res) => {
       LIMIT 10
     `, [shopId]);
 
+    // CTR 降级的推荐及原因
+    const demoted = await pool.query(`
+      SELECT
+        sp."productId" as "sourceProductId",
+        sp."title" as "sourceTitle",
+        tp."productId" as "targetProductId",
+        tp."title" as "targetTitle",
+        r."impressions",
+        r."clicks",
+        r."demotedAt",
+        r."demotionReason"
+      FROM "Recommendation" r
+      JOIN "Product" sp ON r."sourceId" = sp."id"
+      JOIN "Product" tp ON r."targetId" = tp."id"
+      WHERE r."shopId" = $1 AND r."demotedAt" IS NOT NULL
+      ORDER BY r."demotedAt" DESC
+      LIMIT ${CTR_DEMOTED_LIST_LIMIT}
+    `, [shopId]);
+    const demotedTotal = await pool.query('SELECT COUNT(*) FROM "Recommendation" WHERE "shopId" = $1 AND "demotedAt" IS NOT NULL', [shopId]);
+    const priorCtr = await getShopCtrPrior(shopId);
+    const ranker = createCtrRanker(priorCtr);
+
+    // 套装的展示和点击（套装级别）
+    const bundleTotals = await pool.query(`
+      SELECT
+        COUNT(*) as "count",
+        COALESCE(SUM("impressions"), 0) as "impressions",
+        COALESCE(SUM("clicks"), 0) as "clicks"
+      FROM "Bundle"
+      WHERE "shopId" = $1
+    `, [shopId]);
+    const topBundles = await pool.query(`
+      SELECT
+        b."id",
+        b."title",
+        ap."productId" as "anchorProductId",
+        ap."title" as "anchorTitle",
+        b."impressions",
+        b."clicks",
+        CASE WHEN b."impressions" > 0 THEN ROUND((b."clicks"::float / b."impressions" * 100)::numeric, 2) ELSE 0 END as "ctr"
+      FROM "Bundle" b
+      JOIN "Product" ap ON b."anchorId" = ap."id"
+      WHERE b."shopId" = $1 AND b."impressions" >= 10
+      ORDER BY "ctr" DESC, b."clicks" DESC
+      LIMIT 10
+    `, [shopId]);
+    const bundleImpressions = parseInt(bundleTotals.rows[0].impressions);
+    const bundleClicks = parseInt(bundleTotals.rows[0].clicks);
+
+    // 探索展示的效果（与全部展示对比）
+    const exploration = getShopExploration(req.shop);
+    const exploreTotals = await pool.query(`
+      SELECT
+        COALESCE(SUM("exploreServes"), 0) as "serves",
+        COALESCE(SUM("exploreImpressions"), 0) as "impressions",
+        COALESCE(SUM("exploreClicks"), 0) as "clicks",
+        COUNT(*) FILTER (WHERE "exploreServes" > 0) as "pairs"
+      FROM "Recommendation"
+      WHERE "shopId" = $1
+    `, [shopId]);
+    const exploreImpressions = parseInt(exploreTotals.rows[0].impressions);
+    const exploreClicks = parseInt(exploreTotals.rows[0].clicks);
+
     res.json({
       success: true,
       statistics: {
@@ -2429,7 +7532,40 @@ app.get('/api/statistics', auth, async (req, res) => {
           impressions: parseInt(r.impressions),
           clicks: parseInt(r.clicks),
           ctr: parseFloat(r.ctr)
-        }))
+        })),
+        reranking: {
+          priorCtr: parseFloat((priorCtr * 100).toFixed(2)),
+          priorImpressions: CTR_PRIOR_IMPRESSIONS,
+          demoteMinImpressions: CTR_DEMOTE_MIN_IMPRESSIONS,
+          demoteRatio: CTR_DEMOTE_RATIO,
+          demotedCount: parseInt(demotedTotal.rows[0].count),
+          demoted: demoted.rows.map(r => ({
+            ...r,
+            smoothedCtr: parseFloat((ranker.smoothedCtr(r) * 100).toFixed(2))
+          }))
+        },
+        exploration: {
+          policy: exploration.policy,
+          rate: exploration.rate,
+          serves: parseInt(exploreTotals.rows[0].serves),
+          exploredPairs: parseInt(exploreTotals.rows[0].pairs),
+          impressions: exploreImpressions,
+          clicks: exploreClicks,
+          ctr: exploreImpressions > 0 ? parseFloat((exploreClicks / exploreImpressions * 100).toFixed(2)) : 0,
+          // 实际被探索占位的展示比例
+          exploredShare: totalImpressions > 0 ? parseFloat((exploreImpressions / totalImpressions * 100).toFixed(2)) : 0
+        },
+        bundles: {
+          enabled: getShopBundleSettings(req.shop).enabled,
+          count: parseInt(bundleTotals.rows[0].count),
+          impressions: bundleImpressions,
+          clicks: bundleClicks,
+          ctr: bundleImpressions > 0 ? parseFloat((bundleClicks / bundleImpressions * 100).toFixed(2)) : 0,
+          topByCtr: topBundles.rows.map(r => ({
+            ...r,
+            ctr: parseFloat(r.ctr)
+          }))
+        }
       }
     });
   } catch (e) {
@@ -2512,6 +7648,42 @@ app.get('/api/monitoring/sync-logs', auth, async (req, res) => {
   }
 });
 
+// 获取某次同步中每个商品的推荐生成结果
+app.get('/api/monitoring/sync-logs/:logId/outcomes', auth, async (req, res) => {
+  try {
+    const shopId = req.shop.id;
+    const { logId } = req.params;
+    const { outcome } = req.query;
+
+    const params = [logId, shopId];
+    let query = `
+      SELECT "productId", "outcome", "errorType", "errorMessage", "attempts", "recommendations", "createdAt"
+      FROM "GenerationOutcome"
+      WHERE "syncLogId" = $1 AND "shopId" = $2
+    `;
+    if (outcome) {
+      query += ` AND "outcome" = $3`;
+      params.push(outcome);
+    }
+    query += ` ORDER BY "createdAt", "productId"`;
+
+    const result = await pool.query(query, params);
+
+    const summary = {};
+    result.rows.forEach(r => { summary[r.outcome] = (summary[r.outcome] || 0) + 1; });
+
+    res.json({
+      success: true,
+      syncLogId: logId,
+      summary,
+      outcomes: result.rows
+    });
+  } catch (e) {
+    console.error('[Monitoring] Error fetching generation outcomes:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // 获取所有商店的同步日志（管理员视图）
 app.get('/api/monitoring/all-sync-logs', async (req, res) => {
   try {
@@ -2700,7 +7872,8 @@ app.get('/api/admin/shops', async (req, res) => {
         "dailyTokenQuota",
         "tokensUsedToday",
         "quotaResetDate",
-        "isSyncEnabled"
+        "isSyncEnabled",
+        "aiProvider"
       FROM "Shop"
       ORDER BY "createdAt" DESC
     `);
@@ -2895,6 +8068,353 @@ app.put('/api/admin/shops/:shopId/sync-permission', async (req, res) => {
   }
 });
 
+// Set shop AI provider (null = use AI_PROVIDER env)
+app.put('/api/admin/shops/:shopId/ai-provider', async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { aiProvider } = req.body;
+
+    if (aiProvider !== null && (typeof aiProvider !== 'string' || !Object.hasOwn(AI_PROVIDERS, aiProvider))) {
+      return res.status(400).json({ error: `aiProvider must be null or one of: ${Object.keys(AI_PROVIDERS).join(', ')}` });
+    }
+
+    const result = await pool.query(
+      `UPDATE "Shop" SET "aiProvider" = $1, "updatedAt" = NOW() WHERE "id" = $2 RETURNING *`,
+      [aiProvider, shopId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const shop = result.rows[0];
+    console.log(`[Admin] Updated AI provider for ${shop.domain}: ${aiProvider || 'default'}`);
+
+    res.json({
+      success: true,
+      shop: result.rows[0]
+    });
+  } catch (e) {
+    console.error('[Admin] Error updating AI provider:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 获取默认分类规则
+app.get('/api/admin/taxonomy/default', (req, res) => {
+  res.json({ success: true, taxonomy: DEFAULT_TAXONOMY });
+});
+
+// 获取商店分类规则（覆盖规则 + 合并后的生效规则）
+app.get('/api/admin/shops/:shopId/taxonomy', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT "id", "domain", "taxonomy", "primaryLocale", "locales" FROM "Shop" WHERE "id" = $1`, [req.params.shopId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const shop = result.rows[0];
+    res.json({
+      success: true,
+      overrides: shop.taxonomy,
+      effective: getShopTaxonomy(shop)
+    });
+  } catch (e) {
+    console.error('[Admin] Error getting taxonomy:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 设置商店分类规则覆盖（下次同步生成推荐时生效）
+app.put('/api/admin/shops/:shopId/taxonomy', async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { taxonomy } = req.body;
+
+    const error = validateTaxonomyOverrides(taxonomy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE "Shop" SET "taxonomy" = $1, "updatedAt" = NOW() WHERE "id" = $2 RETURNING *`,
+      [JSON.stringify(taxonomy), shopId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const shop = result.rows[0];
+    console.log(`[Admin] Updated taxonomy for ${shop.domain}: ${(taxonomy.categories || []).length} categories, ${(taxonomy.audiences || []).length} audiences, ${(taxonomy.disabled || []).length} disabled`);
+
+    res.json({
+      success: true,
+      shop,
+      effective: getShopTaxonomy(shop)
+    });
+  } catch (e) {
+    console.error('[Admin] Error updating taxonomy:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 删除商店分类规则覆盖（恢复默认规则）
+app.delete('/api/admin/shops/:shopId/taxonomy', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE "Shop" SET "taxonomy" = NULL, "updatedAt" = NOW() WHERE "id" = $1 RETURNING *`,
+      [req.params.shopId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    console.log(`[Admin] Reset taxonomy for ${result.rows[0].domain} to default`);
+    res.json({ success: true, shop: result.rows[0] });
+  } catch (e) {
+    console.error('[Admin] Error resetting taxonomy:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 预览商店商品的分类结果（用于调整规则）
+app.get('/api/admin/shops/:shopId/taxonomy/preview', async (req, res) => {
+  try {
+    const shopResult = await pool.query(`SELECT * FROM "Shop" WHERE "id" = $1`, [req.params.shopId]);
+    if (shopResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const classifier = getShopClassifier(shopResult.rows[0]);
+    const products = await pool.query(
+      `SELECT "productId", "title", "productType", "tags" FROM "Product" WHERE "shopId" = $1 ORDER BY "title"`,
+      [req.params.shopId]
+    );
+
+    const categories = {};
+    const audiences = {};
+    const samples = [];
+    for (const p of products.rows) {
+      const category = classifier.getCategory(p);
+      const gender = classifier.getGender(p);
+      categories[category] = (categories[category] || 0) + 1;
+      audiences[gender] = (audiences[gender] || 0) + 1;
+      if (samples.length < 50) {
+        samples.push({ productId: p.productId, title: p.title, productType: p.productType, category, gender, accessory: classifier.isAccessory(category) });
+      }
+    }
+
+    res.json({
+      success: true,
+      totalProducts: products.rows.length,
+      categories,
+      audiences,
+      samples
+    });
+  } catch (e) {
+    console.error('[Admin] Error previewing taxonomy:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ============ Prompt 模板 API ============
+
+// 获取所有模板版本和计划指定
+app.get('/api/admin/prompt-templates', async (req, res) => {
+  try {
+    const templates = await pool.query(`SELECT * FROM "PromptTemplate" ORDER BY "name", "version" DESC`);
+    const assignments = await pool.query(`SELECT "plan", "templateId" FROM "PromptAssignment" ORDER BY "plan"`);
+
+    res.json({
+      success: true,
+      builtin: { ...BUILTIN_PROMPT_TEMPLATE, promptVersion: formatPromptVersion(BUILTIN_PROMPT_TEMPLATE) },
+      templates: templates.rows.map(t => ({ ...t, promptVersion: formatPromptVersion(t) })),
+      assignments: assignments.rows,
+      placeholders: PROMPT_PLACEHOLDERS
+    });
+  } catch (e) {
+    console.error('[Admin] Error listing prompt templates:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 版本号冲突时创建模板的最大尝试次数
+const PROMPT_TEMPLATE_CREATE_ATTEMPTS = 3;
+
+// 创建模板：同名模板自动生成下一个版本（已有版本不可修改，便于对比效果）
+app.post('/api/admin/prompt-templates', async (req, res) => {
+  try {
+    const error = validatePromptTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { name, systemPrompt, batchSystemPrompt, singlePrompt, batchPrompt, notes } = req.body;
+    const id = `prompt_${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+    // 同名模板并发创建时可能分到同一个版本号（UNIQUE("name", "version") 冲突，23505），重新取号再试
+    let template = null;
+    for (let attempt = 1; !template; attempt++) {
+      try {
+        const result = await pool.query(
+          `INSERT INTO "PromptTemplate" ("id", "name", "version", "systemPrompt", "batchSystemPrompt", "singlePrompt", "batchPrompt", "notes")
+           SELECT $1, $2, COALESCE(MAX("version"), 0) + 1, $3, $4, $5, $6, $7 FROM "PromptTemplate" WHERE "name" = $2
+           RETURNING *`,
+          [id, name, systemPrompt || null, batchSystemPrompt || null, singlePrompt, batchPrompt, notes || null]
+        );
+        template = result.rows[0];
+      } catch (e) {
+        if (e.code !== '23505') throw e;
+        if (attempt >= PROMPT_TEMPLATE_CREATE_ATTEMPTS) {
+          return res.status(409).json({ error: `Template "${name}" is being modified concurrently, please retry` });
+        }
+      }
+    }
+
+    console.log(`[Admin] Created prompt template ${formatPromptVersion(template)}`);
+    res.json({ success: true, template: { ...template, promptVersion: formatPromptVersion(template) } });
+  } catch (e) {
+    console.error('[Admin] Error creating prompt template:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 按计划指定模板（templateId 为 null 时恢复内置模板）
+app.put('/api/admin/prompt-templates/plans/:plan', async (req, res) => {
+  try {
+    const { plan } = req.params;
+    const { templateId } = req.body;
+
+    if (templateId === null) {
+      await pool.query(`DELETE FROM "PromptAssignment" WHERE "plan" = $1`, [plan]);
+      console.log(`[Admin] Reset prompt template for plan ${plan} to builtin`);
+      return res.json({ success: true, plan, templateId: null });
+    }
+
+    const template = await pool.query(`SELECT * FROM "PromptTemplate" WHERE "id" = $1`, [templateId]);
+    if (template.rows.length === 0) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    await pool.query(
+      `INSERT INTO "PromptAssignment" ("plan", "templateId", "updatedAt") VALUES ($1, $2, NOW())
+       ON CONFLICT ("plan") DO UPDATE SET "templateId" = $2, "updatedAt" = NOW()`,
+      [plan, templateId]
+    );
+
+    console.log(`[Admin] Assigned prompt template ${formatPromptVersion(template.rows[0])} to plan ${plan}`);
+    res.json({ success: true, plan, templateId });
+  } catch (e) {
+    console.error('[Admin] Error assigning prompt template:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 为商店指定模板（null = 使用计划指定的模板）
+app.put('/api/admin/shops/:shopId/prompt-template', async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { templateId } = req.body;
+
+    if (templateId !== null) {
+      const template = await pool.query(`SELECT "id" FROM "PromptTemplate" WHERE "id" = $1`, [templateId]);
+      if (template.rows.length === 0) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE "Shop" SET "promptTemplateId" = $1, "updatedAt" = NOW() WHERE "id" = $2 RETURNING *`,
+      [templateId, shopId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const shop = result.rows[0];
+    const effective = await resolvePromptTemplate(shop);
+    console.log(`[Admin] Updated prompt template for ${shop.domain}: ${formatPromptVersion(effective)}`);
+
+    res.json({
+      success: true,
+      shop,
+      promptVersion: formatPromptVersion(effective)
+    });
+  } catch (e) {
+    console.error('[Admin] Error updating shop prompt template:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 按模板版本对比效果：推荐点击率、同步的 token 消耗和解析失败
+app.get('/api/admin/prompt-templates/stats', async (req, res) => {
+  try {
+    const { shopId } = req.query;
+    const params = shopId ? [shopId] : [];
+
+    const recommendations = await pool.query(`
+      SELECT
+        "promptVersion",
+        COUNT(*) as "recommendations",
+        COALESCE(SUM("impressions"), 0) as "impressions",
+        COALESCE(SUM("clicks"), 0) as "clicks"
+      FROM "Recommendation"
+      WHERE "promptVersion" IS NOT NULL ${shopId ? 'AND "shopId" = $1' : ''}
+      GROUP BY "promptVersion"
+    `, params);
+
+    const syncs = await pool.query(`
+      SELECT
+        "promptVersion",
+        COUNT(*) as "syncs",
+        AVG("tokensUsed") as "avgTokens",
+        SUM("estimatedCost") as "totalCost",
+        SUM("fallbackProducts") as "fallbackProducts",
+        SUM("parseRepairs") as "parseRepairs",
+        SUM("parseFailures") as "parseFailures"
+      FROM "SyncLog"
+      WHERE "promptVersion" IS NOT NULL AND "status" = 'success' ${shopId ? 'AND "shopId" = $1' : ''}
+      GROUP BY "promptVersion"
+    `, params);
+
+    const versions = {};
+    for (const row of recommendations.rows) {
+      const impressions = parseInt(row.impressions);
+      const clicks = parseInt(row.clicks);
+      versions[row.promptVersion] = {
+        promptVersion: row.promptVersion,
+        recommendations: parseInt(row.recommendations),
+        impressions,
+        clicks,
+        ctr: impressions > 0 ? parseFloat((clicks / impressions * 100).toFixed(2)) : 0
+      };
+    }
+    for (const row of syncs.rows) {
+      versions[row.promptVersion] = {
+        promptVersion: row.promptVersion,
+        recommendations: 0,
+        impressions: 0,
+        clicks: 0,
+        ctr: 0,
+        ...versions[row.promptVersion],
+        syncs: parseInt(row.syncs),
+        avgTokens: Math.round(parseFloat(row.avgTokens) || 0),
+        totalCost: parseFloat(row.totalCost) || 0,
+        fallbackProducts: parseInt(row.fallbackProducts) || 0,
+        parseRepairs: parseInt(row.parseRepairs) || 0,
+        parseFailures: parseInt(row.parseFailures) || 0
+      };
+    }
+
+    res.json({ success: true, versions: Object.values(versions) });
+  } catch (e) {
+    console.error('[Admin] Error getting prompt template stats:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ============ 商店同步管理 API ============
 
 // 手动设置商品数
@@ -3041,20 +8561,78 @@ app.post('/api/admin/shops/:shopId/trigger-sync', async (req, res) => {
   }
 });
 
+// ============ Exports ============
+// 供离线脚本复用推荐流程（见 scripts/evaluate-recommendations.js），不会启动服务
+// 纯函数同时供 test/ 下的单元测试使用
+module.exports = {
+  app,
+  pool,
+  initDatabase,
+  generateRecommendations,
+  getAIProvider,
+  getAITemperature,
+  runWorkerPool,
+  createRateLimiter,
+  getAIRateLimiter,
+  callAI,
+  getCircuitStatus,
+  AIError,
+  parseRecommendationResponse,
+  clearShopCache,
+  cache,
+  complementarityScore,
+  selectCandidates,
+  createRuleSet,
+  createPriceFilter,
+  validatePriceRules,
+  findPriceViolations,
+  prunePriceViolations,
+  createCtrRanker,
+  createExplorer,
+  summarizeExperiment,
+  assignExperimentVariant,
+  normalizeOrder,
+  validateOrders,
+  computeCoPurchasePairs,
+  rankTrending,
+  getShopFeed,
+  parseAvailability,
+  computeAICacheKey,
+  isProductAvailable,
+  getProductRecommendations,
+  getProductBundles,
+  getShopExploration,
+  createVectorLookup,
+  createClassifier,
+  getShopClassifier,
+  getProductGroup,
+  normalizeCollections,
+  validatePromptTemplate,
+  toPromptTemplate,
+  formatPromptVersion,
+  BUILTIN_PROMPT_TEMPLATE,
+  RECOMMENDATION_ENGINES,
+  SyncMonitor
+};
+
 // ============ Start ============
-initDatabase().then(() => {
-  const server = app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`AI: ${process.env.DEEPSEEK_API_KEY ? 'ON' : 'OFF'}`);
-  });
+// 直接运行时才启动服务（被 require 时只导出上面的函数）
+if (require.main === module) {
+  initDatabase().then(() => {
+    const server = app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      const provider = getAIProvider();
+      console.log(`AI: ${provider.isConfigured() ? 'ON' : 'OFF'} (provider: ${provider.name})`);
+    });
 
-  // 设置超时时间为 35 分钟（比前端的 30 分钟稍长）
-  server.timeout = 2100000; // 35 分钟
-  server.headersTimeout = 2100000; // 35 分钟
-  server.keepAliveTimeout = 2100000; // 35 分钟
+    // 设置超时时间为 35 分钟（比前端的 30 分钟稍长）
+    server.timeout = 2100000; // 35 分钟
+    server.headersTimeout = 2100000; // 35 分钟
+    server.keepAliveTimeout = 2100000; // 35 分钟
 
-  console.log(`Server timeouts set to 35 minutes`);
-}).catch(e => {
-  console.error('Failed to start:', e);
-  process.exit(1);
-});
+    console.log(`Server timeouts set to 35 minutes`);
+  }).catch(e => {
+    console.error('Failed to start:', e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getAIProvider, getAITemperature, computeAICacheKey } = require('../src/index.js');
+
+test('getAIProvider returns the named provider', () => {
+  assert.equal(getAIProvider('mock').name, 'mock');
+  assert.equal(getAIProvider('openai').name, 'openai');
+});
+
+test('getAIProvider ignores inherited property names', () => {
+  for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.equal(getAIProvider(name).name, 'deepseek');
+  }
+});
+
+test('getAITemperature keeps an explicit 0 and defaults invalid values', (t) => {
+  const original = process.env.AI_TEMPERATURE;
+  t.after(() => {
+    if (original === undefined) delete process.env.AI_TEMPERATURE;
+    else process.env.AI_TEMPERATURE = original;
+  });
+
+  process.env.AI_TEMPERATURE = '0';
+  assert.equal(getAITemperature(), 0);
+  process.env.AI_TEMPERATURE = '0.2';
+  assert.equal(getAITemperature(), 0.2);
+  process.env.AI_TEMPERATURE = 'abc';
+  assert.equal(getAITemperature(), 0.7);
+  delete process.env.AI_TEMPERATURE;
+  assert.equal(getAITemperature(), 0.7);
+});
+
+test('AI cache keys change with the model, base URL and temperature', (t) => {
+  const names = ['OPENAI_MODEL', 'OPENAI_BASE_URL', 'AI_TEMPERATURE'];
+  const original = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  t.after(() => {
+    for (const name of names) {
+      if (original[name] === undefined) delete process.env[name];
+      else process.env[name] = original[name];
+    }
+  });
+  for (const name of names) delete process.env[name];
+
+  const key = () => computeAICacheKey({ provider: getAIProvider('openai'), promptVersion: 'builtin@v1', systemPrompt: 's', prompt: 'p' });
+  const base = key();
+  assert.equal(key(), base);
+  process.env.OPENAI_MODEL = 'gpt-4o';
+  const model = key();
+  assert.notEqual(model, base);
+  process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+  const baseUrl = key();
+  assert.notEqual(baseUrl, model);
+  process.env.AI_TEMPERATURE = '0';
+  assert.notEqual(key(), baseUrl);
+});
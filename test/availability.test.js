@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool, cache, parseAvailability, isProductAvailable, getProductRecommendations, getProductBundles } = require('../src/index.js');
+
+test('parseAvailability reads REST fields and maps GraphQL availableForSale / totalInventory / status', () => {
+  assert.deepEqual(parseAvailability({ available: false, inventoryQuantity: '3', published: true }),
+    { available: false, inventoryQuantity: 3, published: true });
+  assert.deepEqual(parseAvailability({ availableForSale: true, totalInventory: 0, status: 'ACTIVE' }),
+    { available: true, inventoryQuantity: 0, published: true });
+  assert.deepEqual(parseAvailability({ status: 'draft' }), { available: null, inventoryQuantity: null, published: false });
+  assert.deepEqual(parseAvailability({ available: 'yes', inventoryQuantity: 'n/a' }), { available: null, inventoryQuantity: null, published: null });
+});
+
+test('isProductAvailable falls back to inventory only when available is missing', () => {
+  assert.equal(isProductAvailable({}), true);
+  assert.equal(isProductAvailable({ published: false }), false);
+  assert.equal(isProductAvailable({ available: false, inventoryQuantity: 10 }), false);
+  assert.equal(isProductAvailable({ available: null, inventoryQuantity: 0 }), false);
+  assert.equal(isProductAvailable({ available: null, inventoryQuantity: -2 }), false);
+  assert.equal(isProductAvailable({ available: true, inventoryQuantity: 0 }), true);
+  assert.equal(isProductAvailable({ available: null, inventoryQuantity: 5 }), true);
+});
+
+test('unavailable recommendations are backfilled from lower-ranked reserves', async (t) => {
+  t.after(() => cache.clear());
+  const rec = (rank, extra = {}) => ({
+    id: `r${rank}`, rank, productId: String(rank), title: `Item ${rank}`, productGroup: `g${rank}`,
+    impressions: 0, clicks: 0, reason: 'r', ...extra
+  });
+  t.mock.method(pool, 'query', async (sql) => {
+    if (sql.includes('FROM "Product" WHERE')) return { rows: [{ id: 'src', productId: '100', title: 'Source', productGroup: 'src' }] };
+    if (sql.includes('FROM "Recommendation" r')) {
+      return { rows: [
+        rec(1, { available: false }),
+        rec(2),
+        rec(3, { available: null, inventoryQuantity: 0 }),
+        rec(4, { published: false }),
+        rec(5)
+      ] };
+    }
+    if (sql.includes('"MerchantRule"')) return { rows: [] };
+    if (sql.includes('SUM("impressions")')) return { rows: [{ impressions: 0, clicks: 0 }] };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  const recs = await getProductRecommendations({ id: 's1' }, '100', { limit: 2 });
+  assert.deepEqual(recs.map(r => r.productId), ['2', '5']);
+});
+
+test('bundles are not served for an unavailable anchor', async (t) => {
+  const queries = [];
+  t.mock.method(pool, 'query', async (sql) => {
+    queries.push(sql);
+    if (sql.includes('FROM "Product" WHERE')) return { rows: [{ id: 'a', productId: '100', available: false }] };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  assert.deepEqual(await getProductBundles({ id: 's1' }, '100'), []);
+  assert.equal(queries.length, 1);
+});
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cache, clearShopCache } = require('../src/index.js');
+
+test('clearShopCache removes only the given shop and prefixes', () => {
+  cache.clear();
+  const entry = { data: {}, expiry: Date.now() + 60000 };
+  for (const key of ['rules:s1', 'recs:s1:p1:4:en', 'feed:s1:popular', 'ctr-prior:s1', 'rules:s10', 'recs:s10:p1:4:en', 'recs:s2:p1:4:en']) {
+    cache.set(key, entry);
+  }
+
+  assert.equal(clearShopCache('s1', ['rules', 'recs', 'feed']), 3);
+  assert.deepEqual([...cache.keys()].sort(), ['ctr-prior:s1', 'recs:s10:p1:4:en', 'recs:s2:p1:4:en', 'rules:s10']);
+  cache.clear();
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  complementarityScore,
+  selectCandidates,
+  createClassifier,
+  createRuleSet,
+  createPriceFilter
+} = require('../src/index.js');
+
+test('complementarity rises with similarity up to the substitute threshold, then falls', () => {
+  assert.equal(complementarityScore(0.2), 0.2);
+  assert.equal(complementarityScore(0.6), 0.6);
+  assert.ok(complementarityScore(0.7) < complementarityScore(0.6));
+  assert.ok(complementarityScore(0.95) < complementarityScore(0.3));
+});
+
+test('near-duplicate candidates rank below complementary ones', () => {
+  const axis = (i) => {
+    const v = new Array(256).fill(0);
+    v[i] = 1;
+    return v;
+  };
+  const mix = (a, b, wa) => axis(a).map((x, i) => wa * x + Math.sqrt(1 - wa * wa) * axis(b)[i]);
+  const source = { productId: 's', title: 'Linen Shirt', price: 40, vector: axis(0) };
+  const substitute = { productId: 'sub', title: 'Linen Overshirt', price: 40, vector: mix(0, 1, 0.95) };
+  const complement = { productId: 'pair', title: 'Linen Trousers', price: 40, vector: mix(0, 2, 0.5) };
+  const unrelated = { productId: 'far', title: 'Desk Lamp', price: 40, vector: axis(3) };
+
+  const { candidates } = selectCandidates(source, [source, substitute, complement, unrelated], {
+    classifier: createClassifier(),
+    rules: createRuleSet(),
+    priceFilter: createPriceFilter(),
+    getVector: p => p.vector
+  });
+  assert.deepEqual(candidates.map(p => p.productId), ['pair', 'far', 'sub']);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// 熔断参数在加载时读取：不重试、阈值 3、冷却 30ms
+process.env.AI_MAX_RETRIES = '0';
+process.env.AI_CIRCUIT_THRESHOLD = '3';
+process.env.AI_CIRCUIT_COOLDOWN_MS = '30';
+
+const { callAI, getCircuitStatus, AIError } = require('../src/index.js');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function fakeProvider(name, respond) {
+  return { name, isConfigured: () => true, chat: respond };
+}
+
+const okResponse = { content: '{"recommendations":[]}', usage: null };
+
+test('AI_MAX_RETRIES=0 makes a single attempt', async () => {
+  let calls = 0;
+  const provider = fakeProvider('no-retry', async () => { calls++; throw new AIError('server', 'HTTP 503'); });
+  await assert.rejects(callAI('p', provider, 's'), { type: 'server', attempts: 1 });
+  assert.equal(calls, 1);
+});
+
+test('prompt-caused errors do not open the circuit', async () => {
+  const provider = fakeProvider('bad-prompt', async () => { throw new AIError('bad_request', 'HTTP 400'); });
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(callAI('p', provider, 's'), { type: 'bad_request' });
+  }
+  assert.equal(getCircuitStatus()['bad-prompt'].open, false);
+  assert.equal(getCircuitStatus()['bad-prompt'].consecutiveFailures, 0);
+});
+
+test('availability errors open the circuit after the threshold', async () => {
+  let calls = 0;
+  const provider = fakeProvider('flaky', async () => { calls++; throw new AIError('rate_limit', 'HTTP 429'); });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(callAI('p', provider, 's'), { type: 'rate_limit' });
+  }
+  assert.equal(getCircuitStatus().flaky.open, true);
+  await assert.rejects(callAI('p', provider, 's'), { type: 'circuit_open' });
+  assert.equal(calls, 3);
+});
+
+test('connection failures open the circuit', async () => {
+  let calls = 0;
+  const provider = fakeProvider('unreachable', async () => { calls++; throw new Error('connect ECONNREFUSED 127.0.0.1:443'); });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(callAI('p', provider, 's'), { type: 'network' });
+  }
+  assert.equal(getCircuitStatus().unreachable.open, true);
+  await assert.rejects(callAI('p', provider, 's'), { type: 'circuit_open' });
+  assert.equal(calls, 3);
+});
+
+test('half-open circuit lets a single probe through and closes on success', async () => {
+  let failing = true;
+  let calls = 0;
+  const provider = fakeProvider('probe', async () => {
+    calls++;
+    if (failing) throw new AIError('timeout', 'timed out');
+    await sleep(20);
+    return okResponse;
+  });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(callAI('p', provider, 's'), { type: 'timeout' });
+  }
+  await sleep(40);
+  assert.equal(getCircuitStatus().probe.halfOpen, true);
+
+  failing = false;
+  calls = 0;
+  const results = await Promise.allSettled([callAI('p', provider, 's'), callAI('p', provider, 's'), callAI('p', provider, 's')]);
+  assert.equal(calls, 1);
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.ok(results.filter(r => r.status === 'rejected').every(r => r.reason.type === 'circuit_open'));
+
+  const status = getCircuitStatus().probe;
+  assert.equal(status.open, false);
+  assert.equal(status.halfOpen, false);
+  await callAI('p', provider, 's');
+});
+
+test('a failed probe reopens the circuit immediately', async () => {
+  const provider = fakeProvider('probe-fail', async () => { throw new AIError('server', 'HTTP 500'); });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(callAI('p', provider, 's'), { type: 'server' });
+  }
+  await sleep(40);
+  await assert.rejects(callAI('p', provider, 's'), { type: 'server' });
+  assert.equal(getCircuitStatus()['probe-fail'].open, true);
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createClassifier, getShopClassifier } = require('../src/index.js');
+
+test('english keywords match whole words and plurals', () => {
+  const classifier = createClassifier();
+  assert.equal(classifier.getCategory({ title: 'Summer Dresses' }), 'dress');
+  assert.equal(classifier.getCategory({ title: 'Rocket Tee' }), 'top');
+  assert.equal(classifier.getGender({ title: "Men's Hoodie" }), 'male');
+  assert.equal(classifier.getGender({ title: 'Unisex Crew Sweatshirt', tags: ["men's", "women's"] }), 'unisex');
+});
+
+test('chinese keywords do not match inside unrelated words', () => {
+  const classifier = getShopClassifier({ primaryLocale: 'zh', locales: [] });
+  assert.equal(classifier.getCategory({ title: '纯棉T恤 包邮' }), 'top');
+  assert.equal(classifier.getCategory({ title: '真皮斜挎包' }), 'bag');
+  assert.equal(classifier.getCategory({ title: '连帽卫衣' }), 'outerwear');
+  assert.equal(classifier.getGender({ title: '男女同款 连帽卫衣' }), 'unisex');
+  assert.equal(classifier.getGender({ title: '女士 连衣裙' }), 'female');
+  assert.equal(classifier.getCategory({ title: '眉笔' }), 'eye');
+});
+
+test('latin locale keywords respect word boundaries, including accented letters', () => {
+  const de = getShopClassifier({ primaryLocale: 'de', locales: ['en'] });
+  assert.equal(de.getCategory({ title: 'Rock Band Hoodie' }), 'outerwear');
+  assert.equal(de.getCategory({ title: 'Plissee Midirock' }), 'skirt');
+  assert.equal(de.getCategory({ title: 'Wintermütze' }), 'other');
+  assert.equal(de.getCategory({ title: 'Mütze aus Wolle' }), 'hat');
+
+  const fr = getShopClassifier({ primaryLocale: 'fr', locales: [] });
+  assert.equal(fr.getCategory({ title: 'Silk Robe' }), 'sleepwear');
+  assert.equal(fr.getCategory({ title: 'Écharpe en laine' }), 'accessory');
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeOrder, validateOrders, computeCoPurchasePairs } = require('../src/index.js');
+
+test('normalizeOrder accepts REST and GraphQL shapes and drops lines without a product', () => {
+  assert.deepEqual(normalizeOrder({ id: 5001, line_items: [{ product_id: 123 }, { product_id: 123 }, { title: 'Shipping' }] }),
+    { orderId: '5001', productIds: ['123'] });
+  assert.deepEqual(normalizeOrder({ id: 'gid://shopify/Order/5002', lineItems: [{ productId: 'gid://shopify/Product/7' }, { product: { id: 8 } }] }),
+    { orderId: '5002', productIds: ['7', '8'] });
+  assert.equal(normalizeOrder({ lineItems: [] }), null);
+  assert.equal(normalizeOrder(null), null);
+});
+
+test('validateOrders rejects empty batches and orders without an id', () => {
+  assert.equal(validateOrders([{ id: 1 }]), null);
+  assert.match(validateOrders([]), /non-empty array/);
+  assert.match(validateOrders([{ id: 1 }, { lineItems: [] }]), /orders\[1\]/);
+});
+
+test('lift compares co-purchase rate with the rate expected by chance', () => {
+  const pairs = computeCoPurchasePairs({
+    totalOrders: 100,
+    productOrders: new Map([['a', 10], ['b', 10], ['c', 50]]),
+    pairs: [
+      { productA: 'a', productB: 'b', orders: 5 },
+      { productA: 'a', productB: 'c', orders: 5 }
+    ]
+  }, { minOrders: 3, minLift: 1.5 });
+
+  // a/b：5 × 100 / (10 × 10) = 5；a/c：5 × 100 / (10 × 50) = 1，低于 minLift
+  assert.deepEqual(pairs.get('a'), [{ productId: 'b', orders: 5, lift: 5, confidence: 0.5 }]);
+  assert.deepEqual(pairs.get('b'), [{ productId: 'a', orders: 5, lift: 5, confidence: 0.5 }]);
+  assert.equal(pairs.has('c'), false);
+});
+
+test('pairs below minOrders or with unknown product counts are ignored', () => {
+  const stats = {
+    totalOrders: 100,
+    productOrders: new Map([['a', 4], ['b', 4]]),
+    pairs: [
+      { productA: 'a', productB: 'b', orders: 2 },
+      { productA: 'a', productB: 'x', orders: 4 }
+    ]
+  };
+  assert.equal(computeCoPurchasePairs(stats, { minOrders: 3, minLift: 1 }).size, 0);
+  assert.equal(computeCoPurchasePairs(stats, { minOrders: 2, minLift: 1 }).get('a').length, 1);
+  assert.equal(computeCoPurchasePairs({ ...stats, totalOrders: 0 }, { minOrders: 1, minLift: 0 }).size, 0);
+});
+
+test('recommendations are sorted by lift, then by co-purchase orders', () => {
+  const pairs = computeCoPurchasePairs({
+    totalOrders: 100,
+    productOrders: new Map([['a', 20], ['b', 10], ['c', 20], ['d', 10]]),
+    pairs: [
+      { productA: 'a', productB: 'b', orders: 4 },
+      { productA: 'a', productB: 'c', orders: 8 },
+      { productA: 'a', productB: 'd', orders: 6 }
+    ]
+  }, { minOrders: 1, minLift: 1 });
+
+  // a/b：2，a/c：2（共同订单更多），a/d：3
+  assert.deepEqual(pairs.get('a').map(p => [p.productId, p.lift]), [['d', 3], ['c', 2], ['b', 2]]);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CTR_RERANK_WEIGHT = 'not-a-number';
+process.env.CTR_DEMOTE_RATIO = '-1';
+const { createCtrRanker } = require('../src/index.js');
+
+test('smoothing pulls low-traffic recommendations toward the shop prior', () => {
+  const ranker = createCtrRanker(0.02);
+  assert.equal(ranker.smoothedCtr({ impressions: 0, clicks: 0 }), 0.02);
+  assert.ok(Math.abs(ranker.smoothedCtr({ impressions: 1, clicks: 1 }) - 2 / 51) < 1e-9);
+  assert.ok(ranker.smoothedCtr({ impressions: 1000, clicks: 100 }) > 0.09);
+});
+
+test('malformed env values fall back to the defaults instead of NaN', () => {
+  const ranker = createCtrRanker(0.02);
+  const score = ranker.score({ rank: 1, impressions: 0, clicks: 0 }, 1);
+  assert.equal(score, 1);
+  assert.match(ranker.demotionReason({ impressions: 1000, clicks: 0 }), /30% of shop average/);
+});
+
+test('higher CTR lifts a lower-ranked recommendation; weight 0 keeps generation order', () => {
+  const ranker = createCtrRanker(0.02);
+  const first = { rank: 1, impressions: 500, clicks: 2 };
+  const second = { rank: 2, impressions: 500, clicks: 40 };
+  assert.ok(ranker.score(second, 2) > ranker.score(first, 1));
+
+  const rankOnly = createCtrRanker(0.02, { weight: 0 });
+  assert.ok(rankOnly.score(first, 1) > rankOnly.score(second, 2));
+  assert.equal(rankOnly.score({ impressions: 0, clicks: 0 }, 3), 1 / 3);
+});
+
+test('demotion needs enough impressions and a CTR below the threshold', () => {
+  const ranker = createCtrRanker(0.02);
+  assert.equal(ranker.demotionReason({ impressions: 199, clicks: 0 }), null);
+  assert.equal(ranker.demotionReason({ impressions: 1000, clicks: 20 }), null);
+  assert.match(ranker.demotionReason({ impressions: 1000, clicks: 1 }), /after 1000 impressions \(1 clicks\)/);
+});
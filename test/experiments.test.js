@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { app, pool, summarizeExperiment, assignExperimentVariant, cache } = require('../src/index.js');
+
+const experiment = {
+  id: 'exp_1',
+  variants: [{ name: 'control', weight: 1 }, { name: 'heuristic', weight: 3, engine: 'heuristic' }]
+};
+
+test('variants report CTR intervals and the difference to control', () => {
+  const [control, variant] = summarizeExperiment(experiment, [
+    { variant: 'control', served: '900', impressions: '2000', clicks: '40' },
+    { variant: 'heuristic', served: '950', fallbackServed: '120', impressions: '2100', clicks: '63' }
+  ]);
+  assert.equal(control.control, true);
+  assert.equal(control.ctr, 2);
+  assert.ok(control.ctrInterval[0] < 2 && control.ctrInterval[1] > 2);
+  assert.equal(control.vsControl, undefined);
+
+  assert.equal(variant.fallbackServed, 120);
+  assert.equal(variant.vsControl.difference, 1);
+  assert.equal(variant.vsControl.relativeLift, 50);
+  assert.equal(variant.vsControl.significant, true);
+});
+
+test('variants without traffic have no interval and are not significant', () => {
+  const [, variant] = summarizeExperiment(experiment, []);
+  assert.deepEqual(variant.ctrInterval, [0, 0]);
+  assert.equal(variant.vsControl.differenceInterval, null);
+  assert.equal(variant.vsControl.significant, false);
+});
+
+test('visitors are assigned deterministically in proportion to the weights', async () => {
+  const variants = experiment.variants.map(v => ({ ...v, experimentId: experiment.id, generated: !!v.engine }));
+  cache.set('experiment:shop_1', { data: { ...experiment, variants }, expiry: Date.now() + 60000 });
+
+  assert.equal(await assignExperimentVariant('shop_1', null), null);
+  const first = await assignExperimentVariant('shop_1', 'visitor-42');
+  assert.equal((await assignExperimentVariant('shop_1', 'visitor-42')).name, first.name);
+
+  let heuristic = 0;
+  for (let i = 0; i < 2000; i++) {
+    if ((await assignExperimentVariant('shop_1', `v${i}`)).name === 'heuristic') heuristic++;
+  }
+  assert.ok(heuristic > 1400 && heuristic < 1600, `heuristic share ${heuristic}/2000`);
+  cache.delete('experiment:shop_1');
+});
+
+test('fallback-served impressions and clicks update default recommendations and count under the variant', async (t) => {
+  const variants = experiment.variants.map(v => ({ ...v, experimentId: experiment.id, generated: !!v.engine }));
+  cache.set('experiment:shop_1', { data: { ...experiment, variants }, expiry: Date.now() + 60000 });
+  const updates = [];
+  const stats = [];
+  t.mock.method(pool, 'query', async (sql, params) => {
+    if (sql.includes('FROM "Shop"')) return { rows: [{ id: 'shop_1' }] };
+    if (sql.includes('FROM "Product"') && sql.startsWith('SELECT')) return { rows: [{ id: 'src' }] };
+    if (sql.trim().startsWith('UPDATE')) {
+      updates.push(sql.match(/UPDATE "(\w+)"/)[1]);
+      return { rowCount: 1, rows: [] };
+    }
+    if (sql.includes('"ExperimentStat"')) stats.push(params);
+    return { rowCount: 0, rows: [] };
+  });
+  const server = app.listen(0);
+  t.after(() => {
+    server.close();
+    cache.delete('experiment:shop_1');
+  });
+  const post = (path, body) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ shop: 'test.myshopify.com', sourceProductId: '1', experimentId: 'exp_1', variant: 'heuristic', ...body })
+  }).then(res => res.json());
+
+  assert.equal((await post('/api/tracking/impression', { targetProductIds: ['2'], fallback: true })).updated, 1);
+  assert.equal((await post('/api/tracking/click', { targetProductId: '2', fallback: true })).updated, 1);
+  assert.deepEqual(updates, ['Recommendation', 'Recommendation']);
+  // [experimentId, variant, served, fallbackServed, impressions, clicks]
+  assert.deepEqual(stats, [['exp_1', 'heuristic', 0, 0, 1, 0], ['exp_1', 'heuristic', 0, 0, 0, 1]]);
+
+  await post('/api/tracking/click', { targetProductId: '2' });
+  assert.equal(updates[2], 'ExperimentRecommendation');
+});
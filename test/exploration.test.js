@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExplorer, getShopExploration } = require('../src/index.js');
+
+const rec = (id, impressions, clicks, extra = {}) => ({ id, impressions, clicks, ...extra });
+
+test('exploration settings fall back to no exploration and the default rate', () => {
+  assert.deepEqual(getShopExploration({}), { policy: 'none', rate: 0.1 });
+  assert.deepEqual(getShopExploration({ explorationPolicy: 'thompson', explorationRate: 0.9 }), { policy: 'thompson', rate: 0.1 });
+});
+
+test('epsilon-greedy only explores at the configured rate', () => {
+  const ranked = [rec('a', 100, 5), rec('b', 100, 4), rec('c', 0, 0)];
+  const never = createExplorer({ policy: 'epsilon_greedy', rate: 0 }, 0.02);
+  for (let i = 0; i < 50; i++) assert.deepEqual(never.explore(ranked, 2).map(r => r.id), ['a', 'b']);
+
+  const always = createExplorer({ policy: 'epsilon_greedy', rate: 1 }, 0.02);
+  const visible = always.explore(ranked, 2);
+  assert.deepEqual(visible.map(r => r.id), ['a', 'c']);
+  assert.equal(visible[1].explored, true);
+});
+
+test('thompson samples every visible slot regardless of the rate', () => {
+  // 候选的后验明显更好：即使探索率为 0 也总会被选中
+  const ranked = [rec('a', 5000, 400), rec('b', 5000, 5), rec('c', 5000, 1000)];
+  const explorer = createExplorer({ policy: 'thompson', rate: 0 }, 0.02);
+  for (let i = 0; i < 20; i++) {
+    const visible = explorer.explore(ranked, 2);
+    assert.deepEqual(visible.map(r => r.id), ['a', 'c']);
+    assert.equal(visible[1].explored, true);
+    assert.equal(visible[0].explored, undefined);
+  }
+});
+
+test('thompson can replace several slots and never displaces pinned recommendations', () => {
+  const ranked = [rec(null, 0, 0, { pinned: true }), rec('a', 5000, 1), rec('b', 5000, 2), rec('c', 5000, 900), rec('d', 5000, 800)];
+  const visible = createExplorer({ policy: 'thompson', rate: 0 }, 0.02).explore(ranked, 3);
+  assert.equal(visible[0].pinned, true);
+  assert.deepEqual(visible.slice(1).map(r => r.id), ['c', 'd']);
+  assert.ok(visible.slice(1).every(r => r.explored));
+});
+
+test('thompson keeps well-performing recommendations in place', () => {
+  const ranked = [rec('a', 5000, 900), rec('b', 5000, 800), rec('c', 5000, 1)];
+  const visible = createExplorer({ policy: 'thompson', rate: 0.5 }, 0.02).explore(ranked, 2);
+  assert.deepEqual(visible.map(r => r.id), ['a', 'b']);
+  assert.ok(visible.every(r => !r.explored));
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool, rankTrending, getShopFeed, cache } = require('../src/index.js');
+
+const row = (productId, impressions, clicks, previousImpressions, previousClicks) => ({ productId, impressions, clicks, previousImpressions, previousClicks });
+
+test('trending ranks recent CTR against the previous window, not the shop average', () => {
+  const ranked = rankTrending([
+    row('steady', 200, 20, 200, 20),
+    row('rising', 200, 20, 200, 4),
+    row('fresh', 100, 6, 0, 0),
+    row('falling', 200, 4, 200, 20)
+  ], 0.02);
+
+  // steady 的 CTR 远高于商店平均，但与上一个窗口相同，不算上升
+  assert.deepEqual(ranked.map(r => r.productId), ['rising', 'fresh']);
+  assert.ok(Math.abs(ranked[0].lift - 4.2) < 1e-9);
+});
+
+test('trending needs enough recent impressions', () => {
+  assert.deepEqual(rankTrending([row('sparse', 10, 5, 0, 0)], 0.02), []);
+  assert.equal(rankTrending([row('enough', 20, 5, 0, 0)], 0.02).length, 1);
+});
+
+test('trending ties fall back to recent clicks, then product id', () => {
+  const ranked = rankTrending([
+    row('b', 100, 10, 100, 2),
+    row('a', 100, 10, 100, 2),
+    row('c', 200, 20, 200, 4)
+  ], 0.02);
+  assert.deepEqual(ranked.map(r => r.productId), ['c', 'a', 'b']);
+});
+
+test('getShopFeed serves the cached list with the limit and a localized reason', async (t) => {
+  t.after(() => cache.clear());
+  const shop = { id: 's1', primaryLocale: 'en', locales: ['fr'] };
+  cache.set('feed:s1:trending', {
+    data: [{ productId: '1', title: 'A' }, { productId: '2', title: 'B' }],
+    expiry: Date.now() + 60000
+  });
+
+  const fr = await getShopFeed(shop, 'trending', { limit: 1, locale: 'fr' });
+  assert.deepEqual(fr, [{ productId: '1', title: 'A', reason: 'Tendance', locale: 'fr' }]);
+  const fallback = await getShopFeed(shop, 'trending', { locale: 'de' });
+  assert.equal(fallback.length, 2);
+  assert.equal(fallback[0].reason, 'Trending');
+});
+
+test('computing the trending feed only reads', async (t) => {
+  t.after(() => cache.clear());
+  const queries = [];
+  t.mock.method(pool, 'query', async (sql) => {
+    queries.push(sql.trim().split(/\s+/)[0]);
+    if (sql.includes('"ProductDailyStat"')) {
+      return { rows: [{ id: 'p1', productId: '1', title: 'A', impressions: 200, clicks: 20, previousImpressions: 200, previousClicks: 4 }] };
+    }
+    if (sql.includes('SUM("impressions")')) return { rows: [{ impressions: 10000, clicks: 200 }] };
+    return { rows: [] };
+  });
+
+  const feed = await getShopFeed({ id: 's1' }, 'trending');
+  assert.deepEqual(feed.map(p => p.productId), ['1']);
+  assert.deepEqual([...new Set(queries)], ['SELECT']);
+});
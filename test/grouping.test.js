@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getProductGroup } = require('../src/index.js');
+
+const product = (title, extra = {}) => ({ title, vendor: 'SKIMS', productType: 'Tops', tags: [], ...extra });
+
+test('"TITLE | COLOR" siblings share a group', () => {
+  assert.equal(
+    getProductGroup(product('FEATHERWEIGHT CASHMERE SLEEVELESS TOP | ONYX', { handle: 'featherweight-cashmere-sleeveless-top-onyx' })),
+    getProductGroup(product('FEATHERWEIGHT CASHMERE SLEEVELESS TOP | LIGHT HEATHER GREY', { handle: 'featherweight-cashmere-sleeveless-top-light-heather-grey' }))
+  );
+});
+
+test('multi-hyphen handles that share a prefix are not treated as color variants', () => {
+  const long = product('Cotton Jersey T-Shirt Long Sleeve', { handle: 'cotton-jersey-t-shirt-long-sleeve' });
+  const short = product('Cotton Jersey T-Shirt Short Sleeve', { handle: 'cotton-jersey-t-shirt-short-sleeve' });
+  const tank = product('Cotton Jersey T-Shirt', { handle: 'cotton-jersey-t-shirt' });
+  assert.notEqual(getProductGroup(long), getProductGroup(short));
+  assert.notEqual(getProductGroup(long), getProductGroup(tank));
+});
+
+test('a " - suffix" is only dropped when it names a color', () => {
+  const black = getProductGroup(product('Runner - Black (White Sole)', { productType: 'Shoes' }));
+  assert.equal(black, getProductGroup(product('Runner - Navy', { productType: 'Shoes' })));
+  // 标签中的颜色（FilterColor）同样识别
+  assert.equal(black, getProductGroup(product('Runner - Sage', { productType: 'Shoes', tags: ['FilterColor: Sage'] })));
+  assert.notEqual(black, getProductGroup(product('Runner - Trail Edition', { productType: 'Shoes' })));
+});
+
+test('vendor and product type keep same-named items apart', () => {
+  const tint = product('Rosewood', { vendor: 'Glow', productType: 'Lip Tint' });
+  assert.notEqual(getProductGroup(tint), getProductGroup({ ...tint, productType: 'Blush' }));
+  assert.notEqual(getProductGroup(tint), getProductGroup({ ...tint, vendor: 'Other' }));
+});
+
+test('merchant groupKey and the stored productGroup take precedence', () => {
+  assert.equal(
+    getProductGroup(product('Summer Dress', { groupKey: ' Look-1 ' })),
+    getProductGroup(product('Straw Hat', { groupKey: 'look-1' }))
+  );
+  assert.equal(getProductGroup(product('Anything', { productGroup: 'stored' })), 'stored');
+  assert.equal(getProductGroup({ productId: '42', title: '' }), 'id:42');
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRecommendationResponse } = require('../src/index.js');
+
+test('parses a well-formed single-product response without repairs', () => {
+  const result = parseRecommendationResponse('{"recommendations":[{"productId":"1","reason":"Nice"}]}');
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.recommendations, [{ productId: '1', reason: 'Nice', reasons: null }]);
+  assert.deepEqual(result.repairs, []);
+});
+
+test('repairs code fences, surrounding text and trailing commas', () => {
+  const content = 'Here you go:\n```json\n{"recommendations":[{"productId":"1","reason":"A"},],}\n```\nEnjoy!';
+  const result = parseRecommendationResponse(content);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.recommendations.map(r => r.productId), ['1']);
+  assert.ok(result.repairs.includes('code_fence'));
+  assert.ok(result.repairs.includes('trailing_comma'));
+
+  const prose = parseRecommendationResponse('Sure! {"recommendations":[{"productId":"2","reason":"B"}]} Hope it helps');
+  assert.ok(prose.repairs.includes('surrounding_text'));
+});
+
+test('normalizes numeric ids, gid prefixes, field aliases and locale keys', () => {
+  const content = JSON.stringify({
+    recommendations: [
+      { productId: 42, reason: 'a' },
+      { productId: 'gid://shopify/Product/7', reason: 'b' },
+      { product_id: '9', reasons: { 'FR-ca': 'Bien', xx: 'ignored', en: ' ' } },
+      { reason: 'no id' }
+    ]
+  });
+  const result = parseRecommendationResponse(content);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.recommendations.map(r => r.productId), ['42', '7', '9']);
+  assert.deepEqual(result.recommendations[2].reasons, { fr: 'Bien' });
+  for (const repair of ['numeric_id', 'gid_prefix', 'field_alias', 'dropped_invalid_entries']) {
+    assert.ok(result.repairs.includes(repair), repair);
+  }
+});
+
+test('accepts a top-level array and a single wrapped result', () => {
+  assert.ok(parseRecommendationResponse('[{"productId":"1"}]').repairs.includes('top_level_array'));
+  const wrapped = parseRecommendationResponse('{"results":[{"sourceId":"s","recommendations":[{"productId":"1"}]}]}');
+  assert.equal(wrapped.ok, true);
+  assert.ok(wrapped.repairs.includes('unwrapped_results'));
+});
+
+test('groups batch responses by source id', () => {
+  const content = JSON.stringify({
+    results: [
+      { sourceId: 'gid://shopify/Product/1', recommendations: [{ productId: '3' }] },
+      { sourceId: 2, recommendations: [{ productId: '4' }] },
+      { recommendations: [{ productId: '5' }] }
+    ]
+  });
+  const result = parseRecommendationResponse(content, { batch: true });
+  assert.equal(result.ok, true);
+  assert.deepEqual([...result.bySource.keys()], ['1', '2']);
+  assert.equal(result.bySource.get('2')[0].productId, '4');
+});
+
+test('reports unusable responses', () => {
+  assert.equal(parseRecommendationResponse('').error, 'Empty response');
+  assert.equal(parseRecommendationResponse('no json here').error, 'No JSON object found');
+  assert.match(parseRecommendationResponse('{"recommendations": [oops]}').error, /^Invalid JSON/);
+  assert.equal(parseRecommendationResponse('{"recommendations":[]}').error, 'Empty recommendations array');
+  assert.equal(parseRecommendationResponse('{"items":[]}').error, 'Missing recommendations array');
+  assert.equal(parseRecommendationResponse('{"results":[]}', { batch: true }).error, 'No usable results');
+});
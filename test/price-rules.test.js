@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPriceFilter, validatePriceRules, findPriceViolations, prunePriceViolations } = require('../src/index.js');
+
+test('price filter checks absolute bounds and ratios to the source price', () => {
+  const filter = createPriceFilter({ minRatio: 0.5, maxRatio: 2, maxPrice: 150 });
+  assert.equal(filter.active, true);
+  assert.equal(filter.allows({ price: 50 }, { price: 100 }), true);
+  assert.equal(filter.allows({ price: 50 }, { price: 101 }), false);
+  assert.equal(filter.allows({ price: 50 }, { price: 24 }), false);
+  assert.equal(filter.allows({ price: 0 }, { price: 140 }), true);
+  assert.equal(filter.allows({ price: 0 }, { price: 160 }), false);
+  assert.equal(createPriceFilter(null).active, false);
+});
+
+test('margin bonus only applies to products with a cost', () => {
+  const filter = createPriceFilter({ marginWeight: 0.5 });
+  assert.equal(filter.marginBonus({ price: 100, cost: 40 }), 0.3);
+  assert.equal(filter.marginBonus({ price: 100 }), 0);
+});
+
+test('validatePriceRules rejects unknown fields and inverted ranges', () => {
+  assert.equal(validatePriceRules({ minRatio: 0.5, maxRatio: 2 }), null);
+  assert.match(validatePriceRules({ ratio: 1 }), /Unknown price rule/);
+  assert.match(validatePriceRules({ minPrice: 10, maxPrice: 5 }), /minPrice must not exceed maxPrice/);
+  assert.match(validatePriceRules({ marginWeight: 2 }), /marginWeight/);
+});
+
+test('pruning removes violating recommendations and whole bundles with a violating item', async () => {
+  const deleted = [];
+  const db = {
+    async query(sql, params) {
+      if (sql.startsWith('DELETE')) {
+        deleted.push([sql.match(/"(\w+)"/)[1], params[0]]);
+        return { rowCount: params[0].length };
+      }
+      if (sql.includes('"BundleItem"')) {
+        return { rows: [
+          { id: 'b1', anchorPrice: 50, itemPrice: 60 },
+          { id: 'b1', anchorPrice: 50, itemPrice: 500 },
+          { id: 'b2', anchorPrice: 50, itemPrice: 40 }
+        ] };
+      }
+      if (sql.includes('"ExperimentRecommendation"')) return { rows: [] };
+      return { rows: [{ id: 'r1', sourcePrice: 50, targetPrice: 60 }, { id: 'r2', sourcePrice: 50, targetPrice: 300 }] };
+    }
+  };
+
+  const pruned = await prunePriceViolations(db, { id: 's', domain: 'test', priceRules: { maxRatio: 2 } });
+  assert.equal(pruned, 2);
+  assert.deepEqual(deleted, [['Recommendation', ['r2']], ['Bundle', ['b1']]]);
+});
+
+test('price overrides let the sync estimate see violations before new prices are saved', async () => {
+  const db = {
+    async query(sql) {
+      if (sql.includes('"BundleItem"')) return { rows: [{ id: 'b1', anchorId: 'p1', productId: 'p3', anchorPrice: 50, itemPrice: 60 }] };
+      if (sql.includes('"ExperimentRecommendation"')) return { rows: [] };
+      return { rows: [{ id: 'r1', sourceId: 'p1', targetId: 'p2', sourcePrice: 50, targetPrice: 60 }] };
+    }
+  };
+  const shop = { id: 's', priceRules: { maxRatio: 2 } };
+
+  const unchanged = await findPriceViolations(db, shop);
+  assert.deepEqual(unchanged.recommendations.Recommendation, []);
+  assert.deepEqual(unchanged.bundles, []);
+
+  const repriced = await findPriceViolations(db, shop, new Map([['p2', 200], ['p3', 150]]));
+  assert.deepEqual(repriced.recommendations.Recommendation, [{ id: 'r1', sourceId: 'p1' }]);
+  assert.deepEqual(repriced.bundles, [{ id: 'b1', anchorId: 'p1' }]);
+});
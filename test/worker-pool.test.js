@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runWorkerPool, createRateLimiter, getAIRateLimiter } = require('../src/index.js');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('runWorkerPool keeps results in task order and bounds concurrency', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const { results, stopped, processed } = await runWorkerPool([30, 5, 20, 1, 10], async (ms, index) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(ms);
+    running--;
+    return index * 10;
+  }, { concurrency: 2 });
+
+  assert.deepEqual(results, [0, 10, 20, 30, 40]);
+  assert.equal(stopped, false);
+  assert.equal(processed, 5);
+  assert.equal(maxRunning, 2);
+});
+
+test('runWorkerPool stops dispatching when admit returns false', async () => {
+  let budget = 2;
+  const { results, stopped, processed } = await runWorkerPool(['a', 'b', 'c', 'd'], async (task) => task.toUpperCase(), {
+    concurrency: 1,
+    admit: () => budget-- > 0
+  });
+
+  assert.equal(stopped, true);
+  assert.equal(processed, 2);
+  assert.deepEqual(results.slice(0, 2), ['A', 'B']);
+  assert.equal(results[2], undefined);
+});
+
+test('createRateLimiter spaces starts by 60000 / requestsPerMinute', async () => {
+  const limiter = createRateLimiter(60000 / 20); // 20ms 间隔
+  const starts = [];
+  await Promise.all([0, 1, 2].map(async () => {
+    await limiter.wait();
+    starts.push(Date.now());
+  }));
+  starts.sort((a, b) => a - b);
+  assert.ok(starts[2] - starts[0] >= 35, `starts too close: ${starts[2] - starts[0]}ms`);
+});
+
+test('a shared rate limiter paces two worker pools together', async () => {
+  const limiter = createRateLimiter(60000 / 20);
+  const starts = [];
+  const run = () => runWorkerPool([1, 2], async () => { starts.push(Date.now()); }, { concurrency: 2, rateLimiter: limiter });
+  await Promise.all([run(), run()]);
+  starts.sort((a, b) => a - b);
+  assert.equal(starts.length, 4);
+  assert.ok(starts[3] - starts[0] >= 55, `starts too close: ${starts[3] - starts[0]}ms`);
+});
+
+test('getAIRateLimiter shares one limiter per provider and does not limit mock', () => {
+  assert.equal(getAIRateLimiter({ name: 'deepseek' }, 120), getAIRateLimiter({ name: 'deepseek' }, 120));
+  assert.notEqual(getAIRateLimiter({ name: 'deepseek' }, 120), getAIRateLimiter({ name: 'openai' }, 120));
+  assert.equal(getAIRateLimiter({ name: 'mock' }, 120).requestsPerMinute, 0);
+});
+
+test('AI_REQUESTS_PER_MINUTE=0 means unlimited, invalid values use the default', (t) => {
+  const original = process.env.AI_REQUESTS_PER_MINUTE;
+  t.after(() => {
+    if (original === undefined) delete process.env.AI_REQUESTS_PER_MINUTE;
+    else process.env.AI_REQUESTS_PER_MINUTE = original;
+  });
+
+  process.env.AI_REQUESTS_PER_MINUTE = '0';
+  assert.equal(getAIRateLimiter({ name: 'deepseek' }).requestsPerMinute, 0);
+  process.env.AI_REQUESTS_PER_MINUTE = '-5';
+  assert.equal(getAIRateLimiter({ name: 'deepseek' }).requestsPerMinute, 120);
+});